@@ -8,17 +8,32 @@ const { app, ipcMain , ipcRenderer, Menu, MenuItem, BrowserWindow, dialog , prot
 
 const { exec } = require('child_process');
 const net = require('net');
+const path = require('path');
 const fileUrl = require('file-url');
-const RenderWindow = require('../prod_lib/RenderWindow');
+const WindowManager = require('../prod_lib/WindowManager');
+const SessionStore = require('../prod_lib/SessionStore');
+const RecentlyClosed = require('../prod_lib/RecentlyClosed');
+const MemorySaver = require('../prod_lib/MemorySaver');
+const SiteSettings = require('../prod_lib/SiteSettings');
+const TabStripLayout = require('../prod_lib/TabStripLayout');
+const Commands = require('../prod_lib/Commands');
+const Containers = require('../prod_lib/Containers');
+const Bookmarks = require('../prod_lib/Bookmarks');
+const Omnibox = require('../prod_lib/Omnibox');
+const SearchEngines = require('../prod_lib/SearchEngines');
+const InternalPages = require('../prod_lib/InternalPages');
+const Reader = require('../prod_lib/Reader');
+const CertExceptions = require('../prod_lib/CertExceptions');
+const SiteSecurity = require('../prod_lib/SiteSecurity');
+const Preferences = require('../prod_lib/Preferences');
 const settings_data = require('data-store')({ path: app.getPath('userData') + '/settings.json' });
-const search_engines = require('data-store')({ path: app.getPath('userData') + '/search_engines.json' });
 const dataSetup = require('data-store')({ path: process.cwd() + '/dataSetup.json' });
 const isDev = require('electron-is-dev');
 var request = require('request');
 var progress = require('request-progress');
 const history = require('data-store')({ path: app.getPath('userData') + '/history.json' });
 const fs = require('fs');
-const validUrl = require('../prod_lib/isUrl.js');
+const { inputToURL } = require('../prod_lib/classifyInput');
 var PublicWin;
 var pathWin = app.getPath('userData')+"/../../.gloablx";
 const global_X = require('data-store')({ path: pathWin + '/expirmental.json' });
@@ -27,6 +42,8 @@ var halfmoon = global_X.get('halfmoon_is_enabled');
 var htmlLoad;
 
 process.env.GOOGLE_API_KEY = 'YOUR_KEY_HERE'
+// px:// pages, before app is ready
+InternalPages.registerScheme();
 try{
   var savedImageDir = app.getPath('userData') + "/savedImages";
   if (!fs.existsSync(savedImageDir)){
@@ -38,8 +55,39 @@ try{
 
   const x = require('../prod_lib/x.js');
 
-  let browser;
-  var setBrowser;
+  let windowManager;
+  let sessionStore;
+  const recentlyClosed = new RecentlyClosed();
+  const memorySaver = new MemorySaver({ path: app.getPath('userData') + '/memory_saver.json' });
+  const siteSettings = new SiteSettings({ path: app.getPath('userData') + '/site_settings.json' });
+  const tabStripLayout = new TabStripLayout({ path: app.getPath('userData') + '/tab_strip.json' });
+  const commands = new Commands({ path: app.getPath('userData') + '/keymap.json' });
+  const containers = new Containers({ path: app.getPath('userData') + '/containers.json' });
+  const bookmarks = new Bookmarks({ path: app.getPath('userData') + '/bookmarks.json' });
+  const reader = new Reader({ path: app.getPath('userData') + '/reader.json' });
+  const certExceptions = new CertExceptions();
+  const siteSecurity = new SiteSecurity();
+  const preferences = new Preferences({ path: app.getPath('userData') + '/preferences.json' });
+  // Engines set up for everyone come from dataSetup.json's `search_engines`
+  const searchEngines = new SearchEngines({
+    path: app.getPath('userData') + '/search_engines.json',
+    defaultId: settings_data.get('default_search'),
+    presets: dataSetup.get('search_engines') || []
+  });
+  const omnibox = new Omnibox({
+    providers: [
+      Omnibox.historyProvider(history),
+      Omnibox.bookmarksProvider(bookmarks),
+      Omnibox.tabsProvider(() => (windowManager ? windowManager.windows.reduce((acc, rw) => [...acc, ...rw.quickSwitcherTabs()], []) : [])),
+      Omnibox.searchSuggestProvider({
+        engine: () => {
+          // Settings pages write through their window's own stores, read them again
+          const settings = require('data-store')({ path: app.getPath('userData') + '/settings.json' });
+          return settings.get('search_suggest') ? searchEngines.getDefault() : null;
+        }
+      })
+    ]
+  });
 
   var port_in = 35565;
 
@@ -74,17 +122,11 @@ try{
         parsed_on = value;
         xisrv = true;
       }
-      if(validUrl.isUri(value)){
-        new_tab_url2 = value;
-      }else{
-        if (value.endsWith(".exe")) return;
-        if (value.startsWith("--")) return;
-        if (value.endsWith(".AppImage")) return;
-        if (value.startsWith("/opt")) return;
-        if (value.startsWith("/")) return;
-        if (value.startsWith("/snap")) return;
-        new_tab_url2 = `${search_engines.get(settings_data.get('default_search'))}${value}`;
-      }
+      // The app's own executable, its app path or main.js and switches come along, everything else is for a tab
+      if (typeof value !== 'string' || !value || value.startsWith("--") || value.endsWith('.xext')) return;
+      const resolved = path.resolve(value);
+      if (resolved === process.execPath || resolved === app.getAppPath() || resolved === __filename) return;
+      new_tab_url2 = inputToURL(value, searchEngines.state()) || new_tab_url2;
 
     });
     //console.log(parameters);
@@ -112,9 +154,6 @@ try{
       return;
     }
 
-    ipcMain.on('close-app',(event) => {
-      app.quit();
-    })
     ipcMain.on('max-min',(event) => {
       app.quit();
     })
@@ -142,19 +181,46 @@ try{
     const partition = 'persist:xbrapi';
     const ses = session.fromPartition(partition);
 
-    browser = new RenderWindow({
+    // Guest windows leave no trace, so they neither save nor restore tabs
+    if (!guest_win && !sessionStore) {
+      sessionStore = new SessionStore({ path: app.getPath('userData') + '/session.json' });
+    }
+
+    windowManager = new WindowManager({
       controlHeight: 109,
       controlPanel: htmlLoad,
-      startPage: new_tab_url2,
       blankTitle: 'New tab',
       blankPage: new_tab_url,
       debug: isdebug, // will open controlPanel's devtools,
       guest: guest_win,
       dirname: __dirname+"/../../",
       partition : partition,
+      sessionStore: guest_win ? undefined : sessionStore,
+      recentlyClosed: recentlyClosed,
+      memorySaver: memorySaver,
+      siteSettings: siteSettings,
+      tabStripLayout: tabStripLayout,
+      commands: commands,
+      containers: containers,
+      history: history,
+      bookmarks: bookmarks,
+      omnibox: omnibox,
+      searchEngines: searchEngines,
+      reader: reader,
+      certExceptions: certExceptions,
+      siteSecurity: siteSecurity,
+      preferences: preferences,
     });
 
-    setBrowser = browser;
+    windowManager.on('all-closed', () => {
+      app.quit();
+    });
+
+    // First window restores the last session, later ones start with a new tab
+    const browser = windowManager.createWindow({
+      startPage: new_tab_url2,
+      restoreSession: true
+    });
 
     // browserWindow.webContents.session.webRequest.onBeforeSendHeaders(
     //   filter,
@@ -170,11 +236,11 @@ try{
     //   message:JSON.stringify(parameters),
     // })
 
-    browser.on('closed', () => {
-      browser = null;
-    });
     var diag_print;
+    // Window that opened the print dialog, it prints its current tab
+    var printTarget;
     function start_print_diag(){
+      printTarget = windowManager.focused();
       const printDialog = new BrowserWindow({ 
         width: 800, 
         height: 600, 
@@ -203,19 +269,25 @@ try{
       diag_print.close();
     });
 
-    ipcMain.on('close-app',(event) => {
-      app.quit();
+    ipcMain.on('print-webContent', (event,device) => {
+      if (printTarget && printTarget.currentView) {
+        printTarget.printView(printTarget.currentViewId,device);
+      }
     });
 
-    ipcMain.on('minimize-app',(event) => {
+    windowManager.handle('close-app',(browser, event) => {
+      browser.win.close();
+    });
+
+    windowManager.handle('minimize-app',(browser, event) => {
       browser.win.isMaximized() ? browser.win.unmaximize() : browser.win.maximize()
     });
 
-    ipcMain.on('mini-app',(event) => {
+    windowManager.handle('mini-app',(browser, event) => {
       browser.win.isMinimized() ? browser.win.restore() : browser.win.minimize()
     });
 
-    ipcMain.on('fullScreentoggle',(event) => {
+    windowManager.handle('fullScreentoggle',(browser, event) => {
       browser.win.isFullScreen() ? browser.win.setSimpleFullScreen(false) : browser.win.setSimpleFullScreen(true)
     });
 
@@ -252,33 +324,6 @@ try{
       });
     }
 
-    var contains = function(needle) {
-      // Per spec, the way to identify NaN is that it is not equal to itself
-      var findNaN = needle !== needle;
-      var indexOf;
-
-      if(!findNaN && typeof Array.prototype.indexOf === 'function') {
-          indexOf = Array.prototype.indexOf;
-      } else {
-          indexOf = function(needle) {
-              var i = -1, index = -1;
-
-              for(i = 0; i < this.length; i++) {
-                  var item = this[i];
-
-                  if((findNaN && item !== item) || item === needle) {
-                      index = i;
-                      break;
-                  }
-              }
-
-              return index;
-          };
-      }
-
-      return indexOf.call(this, needle) > -1;
-    };
-
     require('axios').get(`https://xbrowse-update-server.preknowledge.repl.co?version=${require('../../package.json').version}`)
       .then(function (response) {
         if (settings_data.get('is_welcomed') == undefined) return;
@@ -330,23 +375,32 @@ try{
     });
 
     ipcMain.on('set_search_engine', (event,name) => {
-      settings_data.set('default_search',name);
+      searchEngines.setDefault(name);
     });
 
-    ipcMain.on('open_settings', (event) => {
-      if (halfmoon == false) {
-        browser.newTabMainProcess(fileUrl(`${__dirname}/renderer/pageViews/settings.html`));
-      }else if (halfmoon == true) {
-        browser.newTabMainProcess(fileUrl(`${__dirname}/renderer/pageViews/settings.html`));
-      }
+    windowManager.handle('open_settings', (browser, event) => {
+      browser.newTabMainProcess('px://settings');
     });
 
-    ipcMain.on('open_market', (event) => {
-      if (halfmoon == false) {
-        browser.newTabMainProcess(fileUrl(`${__dirname}/renderer/pageViews/marketplace.html`));
-      }else if (halfmoon == true) {
-        browser.newTabMainProcess(fileUrl(`${__dirname}/renderer/pageViews/marketplace.html`));
-      }
+    windowManager.handle('open_market', (browser, event) => {
+      browser.newTabMainProcess('px://marketplace');
+    });
+
+    // px:// pages wait for the answer, so it's always given
+    ipcMain.on('internal-page-info', (event) => {
+      const browser = windowManager.fromWebContents(event.sender);
+      event.returnValue = browser && InternalPages.isInternalPage(event.sender.getURL()) ? browser.internalPageInfo() : null;
+    });
+
+    // The control panel and our file pages read them, see lcss.js
+    ipcMain.on('get-preferences', (event) => {
+      event.returnValue = windowManager.fromWebContents(event.sender) ? preferences.get() : null;
+    });
+
+    // px:// pages change them, the control panel hands over what older versions kept in its local storage
+    windowManager.handle('set-preferences', (browser, event, props) => {
+      if (event.sender !== browser.controlView.webContents && !InternalPages.isInternalPage(event.sender.getURL())) return;
+      preferences.set(props);
     });
 
     ipcMain.on('execute_code', (event,code) => {
@@ -420,81 +474,101 @@ try{
       });
     }
 
-    const Appmenu = new Menu()
-    Appmenu.append(new MenuItem({
-      label: 'Tab',
-      submenu: [
-        {
-          role: 'Print',
-          accelerator: process.platform === 'darwin' ? 'Ctrl+P' : 'Ctrl+P',
-          click: () => {
-           start_print_diag();
-          }
-        },
-        {
-          role: 'New',
-          accelerator: process.platform === 'darwin' ? 'Ctrl+T' : 'Ctrl+T',
-          click: () => {
-           browser.newTabMainProcess();
-          }
-        },
-        {
-          role: 'Reload',
-          accelerator: process.platform === 'darwin' ? 'Ctrl+L' : 'Ctrl+L',
-          click: () => {
-            browser.getWebContents().reload();
-            console.log("RELOADING WEBPAGE AT" + Date.now());
-          }
-        },
-        {
-          role: 'Zoom Out',
-          accelerator: process.platform === 'darwin' ? 'Ctrl+-' : 'Ctrl+-',
-          click: () => {
-            browser.getWebContents().setZoomLevel(browser.getWebContents().getZoomFactor() - 1);
-          }
-        },
-        {
-          role: 'Switch',
-          accelerator: process.platform === 'darwin' ? 'Ctrl+Tab' : 'Ctrl+Tab',
-          click: () => {
-            var calculated_tabID = browser.currentViewId + 1;
-            var uncalculated_tabID = browser.tabs[0];
-            // browser.tabs.forEach(function(value){
-            //   if (value == calculated_tabID) {
-            //     browser.switchTab(calculated_tabID);
-            //   }else{
-            //     browser.switchTab(uncalculated_tabID);
-            //   }
-            // });
-            if (contains.call(browser.tabs, calculated_tabID)) {
-              browser.switchTab(calculated_tabID);
-            }else{
-              browser.switchTab(uncalculated_tabID);
-            }
-          }
-        }
-      ]
-    }))
+    // Menu shortcuts act on the focused window
+    const withFocused = fn => () => {
+      const browser = windowManager.focused();
+      if (browser) fn(browser);
+    };
 
-    Menu.setApplicationMenu(Appmenu)
+    // Default commands, plugins can add theirs with commands.register from main_process.js
+    [
+      { id: 'tab.new', label: 'New Tab', keys: ['Ctrl+T'], run: withFocused(browser => browser.newTabMainProcess()) },
+      { id: 'tab.close', label: 'Close Tab', keys: ['Ctrl+W', 'Ctrl+F4'], run: withFocused(browser => browser.closeTab(browser.currentViewId)) },
+      { id: 'tab.reopen', label: 'Reopen Closed Tab', keys: ['Ctrl+Shift+T'], run: withFocused(browser => browser.reopenClosed()) },
+      { id: 'tab.next', label: 'Next Tab', keys: ['Ctrl+Tab', 'Ctrl+PageDown'], run: withFocused(browser => browser.cycleTab(1)) },
+      { id: 'tab.previous', label: 'Previous Tab', keys: ['Ctrl+Shift+Tab', 'Ctrl+PageUp'], run: withFocused(browser => browser.cycleTab(-1)) },
+      ...[1, 2, 3, 4, 5, 6, 7, 8].map(n => ({
+        id: `tab.select-${n}`,
+        label: `Select Tab ${n}`,
+        keys: [`Ctrl+${n}`],
+        run: withFocused(browser => browser.switchTabAt(n - 1))
+      })),
+      { id: 'tab.select-last', label: 'Select Last Tab', keys: ['Ctrl+9'], run: withFocused(browser => browser.switchTabAt(-1)) },
+      {
+        id: 'tab.move-left',
+        label: 'Move Tab Left',
+        keys: ['Ctrl+Shift+PageUp'],
+        run: withFocused(browser => browser.moveTab(browser.currentViewId, browser.tabs.indexOf(browser.currentViewId) - 1))
+      },
+      {
+        id: 'tab.move-right',
+        label: 'Move Tab Right',
+        keys: ['Ctrl+Shift+PageDown'],
+        run: withFocused(browser => browser.moveTab(browser.currentViewId, browser.tabs.indexOf(browser.currentViewId) + 1))
+      },
+      { id: 'tab.search', label: 'Search Tabs', keys: ['Ctrl+Shift+A'], run: withFocused(browser => windowManager.toggleQuickSwitcher(browser)) },
+      { id: 'page.reload', label: 'Reload', category: 'Page', keys: ['F5', 'Ctrl+R'], run: withFocused(browser => browser.webContentsAct('reload')) },
+      { id: 'page.back', label: 'Back', category: 'Page', keys: ['Alt+Left'], run: withFocused(browser => browser.webContentsAct('goBack')) },
+      { id: 'page.forward', label: 'Forward', category: 'Page', keys: ['Alt+Right'], run: withFocused(browser => browser.webContentsAct('goForward')) },
+      { id: 'page.print', label: 'Print', category: 'Page', keys: ['Ctrl+P'], run: () => start_print_diag() },
+      { id: 'page.zoom-in', label: 'Zoom In', category: 'Page', keys: ['Ctrl+=', 'Ctrl+Plus'], run: withFocused(browser => browser.zoomIn(browser.currentViewId)) },
+      { id: 'page.zoom-out', label: 'Zoom Out', category: 'Page', keys: ['Ctrl+-'], run: withFocused(browser => browser.zoomOut(browser.currentViewId)) },
+      { id: 'page.zoom-reset', label: 'Reset Zoom', category: 'Page', keys: ['Ctrl+0'], run: withFocused(browser => browser.resetZoom(browser.currentViewId)) },
+      { id: 'page.bookmark', label: 'Bookmark This Page', category: 'Page', keys: ['Ctrl+D'], run: withFocused(browser => browser.toggleBookmark(browser.currentViewId)) },
+      { id: 'page.reader', label: 'Toggle Reader View', category: 'Page', keys: ['F9', 'Ctrl+Alt+R'], run: withFocused(browser => browser.toggleReader(browser.currentViewId)) },
+      { id: 'page.view-source', label: 'View Page Source', category: 'Page', keys: ['Ctrl+U'], run: withFocused(browser => browser.viewSource(browser.currentViewId)) },
+      { id: 'page.find', label: 'Find in Page', category: 'Page', keys: ['Ctrl+F'], run: withFocused(browser => browser.showFindBar()) },
+      { id: 'page.find-next', label: 'Find Next', category: 'Page', keys: ['F3', 'Ctrl+G'], run: withFocused(browser => browser.findNext(browser.currentViewId, true)) },
+      { id: 'page.find-previous', label: 'Find Previous', category: 'Page', keys: ['Shift+F3', 'Ctrl+Shift+G'], run: withFocused(browser => browser.findNext(browser.currentViewId, false)) },
+      { id: 'address.focus', label: 'Focus Address Bar', category: 'Page', keys: ['Ctrl+L', 'F6', 'Alt+D'], run: withFocused(browser => browser.focusAddressBar()) },
+      { id: 'window.new', label: 'New Window', category: 'Window', keys: ['Ctrl+N'], run: () => windowManager.createWindow() },
+      {
+        id: 'window.keymap',
+        label: 'Keyboard Shortcuts',
+        category: 'Window',
+        run: withFocused(browser => browser.newTabMainProcess('px://keymap'))
+      }
+    ].forEach(command => commands.register({ category: 'Tab', ...command }));
+
+    // Keys come from the registry, rebuild the menu when they change
+    const setApplicationMenu = () => Menu.setApplicationMenu(Menu.buildFromTemplate(commands.menuTemplate()));
+    setApplicationMenu();
+    commands.on('change', setApplicationMenu);
 
 
+    // Window, tab and link the context menu was opened on, the menu is shared by every webContents
+    var menuTarget;
+    var menuTabId;
+    var menuLinkURL = '';
     app.on("web-contents-created", (...[/** Event **/,webContents]) => {
       menu.clear();
       var x = 0;
       var y = 0;
+      menu.append(new MenuItem({ id: 'open-link-in-split', label: '◫ Open Link in Split View', visible: false, click: function(event) {
+        menuTarget.openInSplit(menuLinkURL);
+      }}));
+      // Containers can change after this menu is built, they're listed when it's clicked
+      menu.append(new MenuItem({ id: 'open-link-in-container', label: '▣ Open Link in Container…', visible: false, click: function(event) {
+        const target = menuTarget;
+        const linkURL = menuLinkURL;
+        const fromId = menuTabId;
+        Menu.buildFromTemplate(containers.list().map(container => ({
+          label: container.name,
+          click: () => target.openInContainer(linkURL, container.id, fromId)
+        }))).popup({ window: target.win });
+      }}));
       menu.append(new MenuItem({ label: '📄 Copy Text!', click: function(event) {
-        browser.getWebContents().copy();
+        menuTarget.getWebContents().copy();
       }}));
       menu.append(new MenuItem({ label: '✂ Cut Text!', click: function(event) {
-        browser.getWebContents().cut();
+        menuTarget.getWebContents().cut();
       }}));
       menu.append(new MenuItem({ label: '📋 Paste Text!', click: function(event) {
-        browser.getWebContents().paste();
+        menuTarget.getWebContents().paste();
       }}));
       
       menu.append(new MenuItem({ label: '∀ Select All', click: function(event) {
-        browser.getWebContents().selectAll();
+        menuTarget.getWebContents().selectAll();
       }}));
       menu.append(new MenuItem({ type: 'separator' }));
       menu.append(new MenuItem({ label: '🖶 Print', click: function(event) {
@@ -502,30 +576,33 @@ try{
       }}));
       menu.append(new MenuItem({ type: 'separator' }));
       menu.append(new MenuItem({ label: '🗘 Reload', click: function(event) {
-        browser.getWebContents().reload();
+        menuTarget.getWebContents().reload();
+      }}));
+      menu.append(new MenuItem({ id: 'mute-tab', label: '🔇 Mute Tab', type: 'checkbox', click: function(item) {
+        menuTarget.setTabMuted(menuTabId, item.checked);
       }}));
-      menu.append(new MenuItem({ label: '🔇 Mute', click: function(event) {
-        browser.getWebContents().setAudioMuted(true);
+      menu.append(new MenuItem({ id: 'mute-site', label: '🔇 Mute Site', type: 'checkbox', click: function(item) {
+        menuTarget.setSiteMuted(menuTarget.tabURL(menuTabId), item.checked);
       }}));
-      menu.append(new MenuItem({ label: '🔇 UnMute', click: function(event) {
-        browser.getWebContents().setAudioMuted(false);
+      menu.append(new MenuItem({ id: 'view-source', label: '🗎 View Page Source', click: function(event) {
+        menuTarget.viewSource(menuTabId || menuTarget.currentViewId);
       }}));
       menu.append(new MenuItem({ label: '🖉 Inspect Element', click: function(event) {
-        browser.toggleDevTools();
+        menuTarget.toggleDevTools();
       } }));
       menu.append(new MenuItem({ type: 'separator' }));
       menu.append(new MenuItem({ label: '🔍 Zoom +', click: function(event) {
-        browser.getWebContents().setZoomLevel(browser.getWebContents().getZoomFactor() + 1);
+        menuTarget.zoomIn(menuTabId || menuTarget.currentViewId);
       }}));
       menu.append(new MenuItem({ label: '🔍 Zoom -', click: function(event) {
-        browser.getWebContents().setZoomLevel(browser.getWebContents().getZoomFactor() - 1);
+        menuTarget.zoomOut(menuTabId || menuTarget.currentViewId);
       }}));
       menu.append(new MenuItem({ label: '📄 Copy Image', click: function(event) {
-        browser.getWebContents().copyImageAt(x , y);
+        menuTarget.getWebContents().copyImageAt(x , y);
       }}));
        menu.append(new MenuItem({ label: '🗔 Capture Page', click: function(event) {
-        browser.getWebContents().capturePage().then(image=>{ 
-          //browser.newTabMainProcess(image.toDataURL());
+        menuTarget.getWebContents().capturePage().then(image=>{ 
+          //menuTarget.newTabMainProcess(image.toDataURL());
           fs.writeFileSync(savedImageDir + `/${Date.now()}.png`, image.toPNG(), (err) => {
            if (err) throw err
             alert("Saved!");
@@ -534,9 +611,23 @@ try{
       }}));
       webContents.on("context-menu", (event, click) => {
         event.preventDefault();
+        menuTarget = windowManager.fromWebContents(webContents) || windowManager.focused();
+        if (!menuTarget) return;
         x = click.x;
         y = click.y;
-        menu.popup(browser.getWebContents());
+        menuLinkURL = click.linkURL;
+        // Mute items act on the tab the menu was opened on, they're hidden elsewhere
+        menuTabId = menuTarget.tabIdOf(webContents);
+        const muteTab = menu.getMenuItemById('mute-tab');
+        const muteSite = menu.getMenuItemById('mute-site');
+        muteTab.visible = !!menuTabId;
+        muteTab.checked = !!menuTabId && menuTarget.isMuted(menuTabId);
+        muteSite.visible = !!menuTabId && !!SiteSettings.originOf(menuTarget.tabURL(menuTabId));
+        muteSite.checked = muteSite.visible && menuTarget.isSiteMuted(menuTarget.tabURL(menuTabId));
+        menu.getMenuItemById('open-link-in-split').visible = /^https?:/.test(menuLinkURL);
+        menu.getMenuItemById('open-link-in-container').visible = /^https?:/.test(menuLinkURL);
+        menu.getMenuItemById('view-source').visible = /^https?:/.test(menuTarget.tabURL(menuTabId || menuTarget.currentViewId));
+        menu.popup({ window: menuTarget.win });
       }, false);
 
     });
@@ -627,16 +718,15 @@ try{
   app.on('ready', async () => {
     dataSetup.set('userData' , app.getPath('userData') );
 
-    //init advance data
-    search_engines.set('google','https://www.google.com/search?q=')
-    search_engines.set('yahoo','https://search.yahoo.com/search?p=')
-    //init advance data ends here
     //Expiremntal code ends here :D
     //var ib = createWindow(); <-- createWindow in a vairable is useless as swamp hut cauldrum
     createWindow(); // <-- ah this is fine :DDDDDDDDD
   });
 
   app.on('before-quit', () => {
+    if (sessionStore) {
+      sessionStore.markCleanExit();
+    }
     process.exit(0);
   });
 
@@ -653,8 +743,8 @@ try{
   app.on('activate', () => {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
-    if (browser === null) {
-      createWindow();
+    if (windowManager && windowManager.windows.length === 0) {
+      windowManager.createWindow();
     }
   });
 }catch(e){
@@ -9,34 +9,38 @@ var lang = JSON.parse(url.searchParams.get("lang"));
 ipcRenderer.send('loaded_yes');
 ipcRenderer.send('user_info');
 
-ipcRenderer.on('url-enter-l', (event, url) => {
-    console.log(url);
-    if (url.includes("https://")) {
-        $('.chip2').show();
-        $('#site_logo').attr('src', '../../in_app_icons/lock_http.png');
-        $('.lw').html('Secure');
-    } else if (url.includes("http://")) {
-        $('.chip2').show();
-        $('#site_logo').attr('src', '../../in_app_icons/unlock_http.png');
-        $('.lw').html('Unsecure');
-    } else if (url.includes("file://")) {
-        $('.chip2').show();
-        if ($('#address').val().includes('px://')) {
-            $('#site_logo').attr('src', '../../icons/icon.png');
-            $('.lw').html('Secure Px');
-            return;
-        } else if ($('#address').val() == '') {
-            $('.chip2').hide();
-        }
-        $('#site_logo').attr('src', '../../in_app_icons/file_web.jpg');
-        $('.lw').html('Local File');
-    } else if (url.includes("px://")) {
-        $('.chip2').show();
-        $('#site_logo').attr('src', '../../icons/icon.png');
-        $('.lw').html('Secure Px');
-    } else {
-        $('.chip2').hide();
-    }
+// Tabs and the active one, the chip shows the security state RenderWindow computed for the page
+var tabConfs = {};
+var activeTab = null;
+
+// Chip of each security state, blank and error pages have none
+var SECURITY_CHIPS = {
+    secure: { icon: '../../in_app_icons/lock_http.png', label: 'Secure' },
+    mixed: { icon: '../../in_app_icons/unlock_http.png', label: 'Not Fully Secure' },
+    unsafe: { icon: '../../in_app_icons/unlock_http.png', label: 'Not Secure', danger: true },
+    insecure: { icon: '../../in_app_icons/unlock_http.png', label: 'Unsecure' },
+    internal: { icon: '../../icons/icon.png', label: 'Secure Px' },
+    file: { icon: '../../in_app_icons/file_web.jpg', label: 'Local File' }
+};
+
+function showSiteChip() {
+    var tab = tabConfs[activeTab] || {};
+    var chip = SECURITY_CHIPS[tab.security];
+    $('.site-chip').toggle(!!chip);
+    if (!chip) return;
+    $('.site-chip').toggleClass('chip-danger', !!chip.danger);
+    $('#site_logo').attr('src', chip.icon);
+    $('.lw').html(chip.label);
+}
+
+ipcRenderer.on('tabs-update', (event, v) => {
+    tabConfs = v.confs;
+    showSiteChip();
+});
+
+ipcRenderer.on('active-update', (event, id) => {
+    activeTab = id;
+    showSiteChip();
 });
 
 ipcRenderer.on('user_get_info', (event, arg) => {
@@ -55,7 +59,8 @@ ipcRenderer.on('user_get_info', (event, arg) => {
 });
 
 $('#address').attr('placeholder', lang.search_or);
-$('.chip').attr('onclick', 'openAccount_win()');
+// Site chip opens the site info panel instead
+$('#chip_acc .chip').attr('onclick', 'openAccount_win()');
 //console.log(rect.top, rect.right, rect.bottom, rect.left);
 function openAccount_win() {
     console.log("Clicked");
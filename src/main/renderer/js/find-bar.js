@@ -0,0 +1,58 @@
+// Find in page bar, owned by RenderWindow. Searching is done by the main process,
+// it sends back how many matches the tab has
+const { ipcRenderer } = require('electron');
+
+const queryInput = document.getElementById('query');
+const matchCase = document.getElementById('match-case');
+const count = document.getElementById('count');
+const previous = document.getElementById('previous');
+const next = document.getElementById('next');
+
+function render({ matches = 0, active = 0 }) {
+  const text = queryInput.value;
+  count.textContent = text ? `${active}/${matches}` : '';
+  count.className = text && !matches ? 'count none' : 'count';
+  previous.disabled = !matches;
+  next.disabled = !matches;
+}
+
+function query() {
+  ipcRenderer.send('find-bar-query', queryInput.value, matchCase.checked);
+}
+
+function step(forward) {
+  if (!queryInput.value) return;
+  ipcRenderer.send('find-bar-next', forward);
+}
+
+queryInput.addEventListener('input', query);
+matchCase.addEventListener('change', () => {
+  query();
+  queryInput.focus();
+});
+previous.onclick = () => step(false);
+next.onclick = () => step(true);
+document.getElementById('close').onclick = () => ipcRenderer.send('find-bar-close');
+
+document.addEventListener('keydown', e => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    step(!e.shiftKey);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    ipcRenderer.send('find-bar-close');
+  }
+});
+
+// Tab's remembered search, when the bar is opened or its tab is switched to
+ipcRenderer.on('find-bar-state', (e, state) => {
+  queryInput.value = state.text;
+  matchCase.checked = state.matchCase;
+  render(state);
+  if (state.focus) {
+    queryInput.focus();
+    queryInput.select();
+  }
+});
+
+ipcRenderer.on('find-bar-result', (e, result) => render(result));
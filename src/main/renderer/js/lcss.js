@@ -1,5 +1,4 @@
 /* CSS Expirment JS */
-var current_theme = localStorage.theme;
 var jquery ;
 if (typeof process === 'undefined' || process === null) {
     jquery = $;
@@ -7,6 +6,28 @@ if (typeof process === 'undefined' || process === null) {
 	jquery = require('jquery');
 }
 jquery('head').append(`<div id="themes"></div>`);
+
+// Theme and marketplace themes are kept by the main process, see Preferences.js. Each px:// page has
+// its own local storage, they ask through internalPage, the control panel and file pages through ipc
+var preferencesBridge = (function () {
+	if (typeof internalPage !== 'undefined' && internalPage.setPreferences) {
+		return {
+			get: () => internalPage.preferences,
+			set: props => internalPage.setPreferences(props),
+			listen: listener => internalPage.onPreferences(listener)
+		};
+	}
+	if (typeof process !== 'undefined' && process !== null) {
+		const { ipcRenderer } = require('electron');
+		return {
+			get: () => ipcRenderer.sendSync('get-preferences'),
+			set: props => ipcRenderer.send('set-preferences', props),
+			listen: listener => ipcRenderer.on('preferences', (e, prefs) => listener(prefs))
+		};
+	}
+	return { get: () => null, set: () => {}, listen: () => {} };
+})();
+var preferences = preferencesBridge.get() || { theme: '', themes: {} };
 /*Requires JQUERY */
 function addMenu(data){
 	if($('body').attr('enable-custom-context') == "true"){
@@ -19,7 +40,6 @@ function addMenu(data){
 }
 lcss();
 loadThemes();
-setInterval(() => loadThemes() ,200);
 function lcss(){
 	jquery('#menu').html('');
 	jquery('body').append(`<div id="contextMenu" class="context-menu" style="display: none"><ul class="menu" id="menu"> </ul></div> `);
@@ -68,44 +88,54 @@ function toggleMenu() {
 }
 
 function setTheme(id){
-	if(id == "dark-mode"){
-		localStorage.setItem('theme',`${id}`);
-		return;
-	}
-	jquery('body').attr('class',`thm${id}`);
-	localStorage.setItem('theme',`thm${id}`);
+	preferencesBridge.set({ theme: id == "dark-mode" ? id : `thm${id}` });
+}
+
+function resetTheme(){
+	preferencesBridge.set({ theme: '' });
 }
 
 function addTheme(css,id){
 	if(id == 1){
 		return;
 	}
-	if(localStorage.getItem(id) !== null) return;
-	localStorage.setItem(`thm${id}` , css);
-	jquery('head #themes').append(`
-		<style type="text/css">
-			${css}
-		</style>
-	`);
+	if(preferences.themes[`thm${id}`] !== undefined) return;
+	preferencesBridge.set({ themes: { [`thm${id}`]: css } });
 }
 
 function loadThemes(){
 	jquery('head #themes').html('');
-	jquery.each(localStorage , (index,data) => {
-	    if(isValidLS(index) == true) return;
-	    if(index.startsWith('thm')){
-	    	jquery('head #themes').append(`
+	jquery.each(preferences.themes , (index,data) => {
+	    jquery('head #themes').append(`
 	<style type="text/css">
 	/*Theme ${index} */ \n
-	${localStorage.getItem(index)}
+	${data}
 	\n
 	/*Theme Code Ends ${index} */
 	</style>
 			`);
-	    }
 	});
 }
 
+function applyPreferences(prefs){
+	preferences = prefs;
+	loadThemes();
+	jquery('body').attr('class',`${preferences.theme}`);
+}
+
+// Older versions kept them in the control panel's local storage
+function movePreferences(){
+	var props = { themes: {} };
+	Object.keys(localStorage).forEach(key => {
+		if (key.startsWith('thm')) props.themes[key] = localStorage.getItem(key);
+	});
+	if (localStorage.theme) props.theme = localStorage.theme;
+	if (localStorage.user_agent) props.userAgent = localStorage.user_agent;
+	if (!props.theme && !props.userAgent && Object.keys(props.themes).length == 0) return;
+	preferencesBridge.set(props);
+	['theme', 'user_agent', ...Object.keys(props.themes)].forEach(key => localStorage.removeItem(key));
+}
+
 function showModal(id){
 	jquery('#modal-'+id).show();
 	jquery('#bkdrplcss').addClass('modal-backdrop');
@@ -124,27 +154,14 @@ function removeModal(id){
 	},1000);
 }
 
-function isValidLS(vtc) {
- if(vtc.toString() == "length") return true;
- if(vtc.toString() == "clear") return true;
- if(vtc.toString() == "getItem") return true;
- if(vtc.toString() == "key") return true;
- if(vtc.toString() == "removeItem") return true;
- if(vtc.toString() == "setItem") return true;
+if(preferences.theme){
+	jquery('body').attr('class',`${preferences.theme}`);
 }
-
-
-if(localStorage.theme == undefined){
-}else if(localStorage.theme == null){
-}else{
-	jquery('body').attr('class',`${localStorage.theme}`);
+preferencesBridge.listen(applyPreferences);
+if(location.protocol == 'file:' && location.pathname.endsWith('/control.html')){
+	movePreferences();
 }
 
-setInterval(() => {
-	if(current_theme == localStorage.theme) return;
-	jquery('body').attr('class',`${localStorage.theme}`);
-},1200);
-
 function hideAlert(id){
 	jquery('#alert-'+id).hide();
 }
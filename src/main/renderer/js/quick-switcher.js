@@ -0,0 +1,103 @@
+// Quick switcher overlay, owned by RenderWindow
+const { ipcRenderer } = require('electron');
+const { fuzzyFilter } = require('../../prod_lib/fuzzyMatch');
+
+const queryInput = document.getElementById('query');
+const resultList = document.getElementById('results');
+
+let items = [];
+let results = [];
+let selected = 0;
+
+function kindOf(item) {
+  if (item.active) return 'Current tab';
+  if (item.otherWindow) return 'Other window';
+  return '';
+}
+
+function render() {
+  resultList.innerHTML = '';
+  results.forEach((item, index) => {
+    if (item.type === 'closed' && (index === 0 || results[index - 1].type !== 'closed')) {
+      const section = document.createElement('div');
+      section.className = 'section';
+      section.textContent = 'Recently closed';
+      resultList.appendChild(section);
+    }
+
+    const li = document.createElement('li');
+    li.className = index === selected ? 'selected' : '';
+    if (item.favicon) {
+      const img = document.createElement('img');
+      img.src = item.favicon;
+      li.appendChild(img);
+    }
+    const text = document.createElement('div');
+    text.className = 'item-text';
+    const title = document.createElement('div');
+    title.className = 'item-title';
+    title.textContent = item.title || item.url || 'New tab';
+    const url = document.createElement('div');
+    url.className = 'item-url';
+    url.textContent = item.url || '';
+    text.appendChild(title);
+    text.appendChild(url);
+    li.appendChild(text);
+    const kind = kindOf(item);
+    if (kind) {
+      const span = document.createElement('span');
+      span.className = 'item-kind';
+      span.textContent = kind;
+      li.appendChild(span);
+    }
+    li.onmousemove = () => {
+      if (selected === index) return;
+      selected = index;
+      render();
+    };
+    li.onclick = () => choose(index);
+    resultList.appendChild(li);
+  });
+
+  const current = resultList.querySelector('li.selected');
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function search() {
+  results = fuzzyFilter(queryInput.value, items, ['title', 'url']);
+  selected = 0;
+  render();
+}
+
+function choose(index) {
+  const item = results[index];
+  if (!item) return;
+  ipcRenderer.send('quick-switcher-select', item);
+}
+
+queryInput.addEventListener('input', search);
+
+document.addEventListener('keydown', e => {
+  if (e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
+    e.preventDefault();
+    selected = results.length ? (selected + 1) % results.length : 0;
+    render();
+  } else if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+    e.preventDefault();
+    selected = results.length ? (selected - 1 + results.length) % results.length : 0;
+    render();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    choose(selected);
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    ipcRenderer.send('quick-switcher-close');
+  }
+});
+
+ipcRenderer.on('quick-switcher-items', (e, list) => {
+  items = list;
+  queryInput.value = '';
+  search();
+  queryInput.focus();
+});
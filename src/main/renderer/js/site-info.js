@@ -0,0 +1,187 @@
+// Site info panel under the address bar's chip, owned by RenderWindow. It shows what the
+// main process knows about the current tab's page and asks it to change permissions or clear data
+const { ipcRenderer } = require('electron');
+
+// Window's language, keys it lacks are in English, see RenderWindow's pageLang
+const lang = JSON.parse(new URL(location.href).searchParams.get('lang') || '{}');
+
+function text(key) {
+  return lang[key] || '';
+}
+
+// Color of what each security state says
+const STATE_CLASSES = {
+  secure: 'state',
+  mixed: 'state warning',
+  unsafe: 'state danger',
+  insecure: 'state danger',
+  internal: 'state',
+  file: 'state neutral',
+  none: 'state neutral'
+};
+
+const panel = document.getElementById('panel');
+const certificateList = document.getElementById('certificate');
+const certificateToggle = document.getElementById('certificate-toggle');
+const clearButton = document.getElementById('clear');
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function hostOf(url) {
+  try {
+    const { protocol, host, pathname } = new URL(url);
+    return host || `${protocol}${pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+function renderCertificate(certificate) {
+  certificateList.textContent = '';
+  const date = ms => new Date(ms).toLocaleString();
+  const rows = [
+    ['cert_issued_to', certificate.subject],
+    ['cert_issued_by', [certificate.issuer, certificate.issuerOrganization].filter(Boolean).join(', ')],
+    ['cert_valid_from', date(certificate.validStart)],
+    ['cert_valid_until', date(certificate.validExpiry)],
+    ['cert_names', certificate.altNames.join('\n')],
+    ['cert_fingerprint', certificate.fingerprint, true],
+    ['cert_serial', certificate.serialNumber, true]
+  ];
+  rows.forEach(([label, value, mono]) => {
+    if (!value) return;
+    const term = document.createElement('dt');
+    term.textContent = text(label);
+    const description = document.createElement('dd');
+    description.textContent = value;
+    if (mono) description.className = 'mono';
+    certificateList.append(term, description);
+  });
+}
+
+function renderPermissions(permissions) {
+  const list = document.getElementById('permissions');
+  list.textContent = '';
+  const names = Object.keys(permissions).sort();
+  if (!names.length) {
+    const none = document.createElement('div');
+    none.className = 'muted';
+    none.textContent = text('site_info_no_permissions');
+    list.appendChild(none);
+    return;
+  }
+  names.forEach(name => {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const label = document.createElement('span');
+    // Permissions without a name of their own show Chromium's
+    label.textContent = text(`site_info_permission_${name}`) || name;
+    const select = document.createElement('select');
+    // Permissions the user didn't decide on are allowed, choosing that again forgets the decision
+    [['', 'site_info_allow_default'], ['allow', 'site_info_allow'], ['block', 'site_info_block']].forEach(([value, key]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text(key);
+      select.appendChild(option);
+    });
+    select.value = typeof permissions[name] === 'string' ? permissions[name] : '';
+    select.onchange = () => ipcRenderer.send('site-info-permission', name, select.value || undefined);
+    row.append(label, select);
+    list.appendChild(row);
+  });
+}
+
+function render(info) {
+  const web = !!info.origin;
+  const security = STATE_CLASSES[info.security] ? info.security : 'none';
+  document.getElementById('host').textContent = hostOf(info.url);
+  const stateLine = document.getElementById('state');
+  stateLine.textContent = text(`site_info_${security}`);
+  stateLine.className = STATE_CLASSES[security];
+
+  document.getElementById('connection').hidden = !web;
+  document.getElementById('protocol').textContent = text(info.url.startsWith('https:') ? 'site_info_https' : 'site_info_http');
+  document.getElementById('certificate-row').hidden = !info.certificate;
+  if (info.certificate) {
+    const verified = info.verificationResult === 'net::OK' && !info.certError;
+    document.getElementById('certificate-status').textContent = verified
+      ? text('site_info_certificate_valid')
+      : text('site_info_certificate_invalid').replace('%s', (info.certError || info.verificationResult).replace(/^net::/, ''));
+    renderCertificate(info.certificate);
+  } else {
+    certificateList.hidden = true;
+  }
+
+  document.getElementById('permissions-section').hidden = !web;
+  renderPermissions(info.permissions);
+
+  document.getElementById('data-section').hidden = !web;
+  document.getElementById('cookies').textContent =
+    info.cookies === 1 ? text('site_info_cookie') : text('site_info_cookies').replace('%s', info.cookies);
+  const storage = document.getElementById('storage');
+  storage.hidden = info.storage < 0;
+  storage.textContent = text('site_info_stored').replace('%s', formatBytes(Math.max(0, info.storage)));
+}
+
+// The panel's view is as tall as its content
+function sendHeight() {
+  ipcRenderer.send('site-info-height', panel.scrollHeight + 2);
+}
+
+certificateToggle.onclick = () => {
+  certificateList.hidden = !certificateList.hidden;
+  certificateToggle.textContent = text(certificateList.hidden ? 'site_info_show_certificate' : 'site_info_hide_certificate');
+  sendHeight();
+};
+
+// Clearing can't be undone, the first click only asks for a second one
+clearButton.onclick = () => {
+  if (!clearButton.classList.contains('confirm')) {
+    clearButton.classList.add('confirm');
+    clearButton.textContent = text('site_info_clear_confirm');
+    return;
+  }
+  ipcRenderer.send('site-info-clear-data');
+  resetClearButton();
+};
+
+function resetClearButton() {
+  clearButton.classList.remove('confirm');
+  clearButton.textContent = text('site_info_clear');
+}
+
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    ipcRenderer.send('site-info-close');
+  }
+});
+
+ipcRenderer.on('site-info', (e, info) => {
+  // A panel opened for another page starts over
+  if (panel.dataset.url !== info.url) {
+    panel.dataset.url = info.url;
+    certificateList.hidden = true;
+    certificateToggle.textContent = text('site_info_show_certificate');
+    resetClearButton();
+  }
+  render(info);
+  sendHeight();
+});
+
+document.title = text('site_info_title');
+document.querySelectorAll('[data-text]').forEach(element => {
+  element.textContent = text(element.dataset.text);
+});
+certificateToggle.textContent = text('site_info_show_certificate');
+resetClearButton();
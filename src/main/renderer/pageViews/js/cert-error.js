@@ -0,0 +1,88 @@
+// px://cert-error?url=<page>&code=<net error>&name=<ERR_CERT_NAME>, shown when a page's certificate can't be trusted
+var params = new URLSearchParams(location.search);
+var pageURL = params.get('url') || '';
+var errorName = (params.get('name') || '').replace(/^net::/, '');
+var rendered = false;
+
+// Error names by the reason shown for them
+var REASONS = {
+  authority: ['ERR_CERT_AUTHORITY_INVALID', 'ERR_CERT_SYMANTEC_LEGACY'],
+  name: ['ERR_CERT_COMMON_NAME_INVALID', 'ERR_CERT_NAME_CONSTRAINT_VIOLATION'],
+  date: ['ERR_CERT_DATE_INVALID', 'ERR_CERT_VALIDITY_TOO_LONG'],
+  revoked: ['ERR_CERT_REVOKED'],
+  weak: ['ERR_CERT_WEAK_SIGNATURE_ALGORITHM', 'ERR_CERT_WEAK_KEY']
+};
+
+// Window's language, from internalPagePreload.js, keys it lacks are in English
+function text(key) {
+  return (typeof internalPage !== 'undefined' && internalPage.lang && internalPage.lang[key]) || '';
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return url;
+  }
+}
+
+function reasonOf(name) {
+  const reason = Object.keys(REASONS).find(key => REASONS[key].includes(name));
+  return text(`cert_error_reason_${reason || 'generic'}`);
+}
+
+function showCertificate(certificate) {
+  const list = document.getElementById('certificate');
+  const date = ms => new Date(ms).toLocaleString();
+  const rows = [
+    ['cert_issued_to', certificate.subject],
+    ['cert_issued_by', [certificate.issuer, certificate.issuerOrganization].filter(Boolean).join(', ')],
+    ['cert_valid_from', date(certificate.validStart)],
+    ['cert_valid_until', date(certificate.validExpiry)],
+    ['cert_names', certificate.altNames.join('\n')],
+    ['cert_fingerprint', certificate.fingerprint, true],
+    ['cert_serial', certificate.serialNumber, true]
+  ];
+  rows.forEach(([key, value, mono]) => {
+    if (!value) return;
+    const term = document.createElement('dt');
+    term.textContent = text(key);
+    const description = document.createElement('dd');
+    description.textContent = value;
+    if (mono) description.className = 'mono';
+    list.append(term, description);
+  });
+}
+
+var host = hostOf(pageURL);
+document.title = host;
+document.getElementById('title').textContent = text('cert_error_title');
+document.getElementById('text').textContent = text('cert_error_text').replace('%s', host);
+document.getElementById('reason').textContent = reasonOf(errorName);
+document.getElementById('code').textContent = errorName;
+document.getElementById('details').textContent = text('cert_error_details');
+
+var backButton = document.getElementById('back');
+backButton.textContent = text('cert_error_back');
+// Back skips the failed page too, there's nothing before it in a new tab
+backButton.hidden = history.length < 3;
+backButton.onclick = () => history.go(-2);
+
+// Window's socket port, from internalPagePreload.js
+var socket = io.connect('http://localhost:'+internalPage.port,{secure: true,rejectUnauthorized: false});
+socket.on('connect', function(){
+  if (!rendered) socket.emit('get_cert_error', pageURL);
+});
+socket.on('cert_error', function(url, info) {
+  // Other tabs' warnings come too, and a reconnect asks again
+  if (url !== pageURL || rendered) return;
+  rendered = true;
+  // Only a failure the window saw can be accepted, it has the certificate to accept
+  if (!info) return;
+  if (info.error) document.getElementById('reason').textContent = reasonOf(info.error.replace(/^net::/, ''));
+  showCertificate(info.certificate);
+  const proceed = document.getElementById('proceed');
+  proceed.textContent = text('cert_error_proceed').replace('%s', info.host);
+  proceed.onclick = () => socket.emit('proceed_cert_error', pageURL);
+  document.getElementById('advanced').hidden = false;
+});
@@ -0,0 +1,88 @@
+// px://error?url=<page>&code=<net error>&name=<ERR_NAME>&type=<kind>[&retry=1], shown when a tab's page fails to load
+var params = new URLSearchParams(location.search);
+var pageURL = params.get('url') || '';
+var type = params.get('type') || 'generic';
+var canRetry = params.get('retry') === '1';
+
+// Retries of a page when its connection comes back, each waits twice as long as the one before
+var MAX_RETRIES = 5;
+var MAX_RETRY_DELAY = 60 * 1000;
+var RETRY_KEY = `net_error_retries:${pageURL}`;
+
+// Window's language, from internalPagePreload.js, keys it lacks are in English
+function text(key) {
+  return (typeof internalPage !== 'undefined' && internalPage.lang && internalPage.lang[key]) || '';
+}
+
+// The failed page is the entry before this one, going back to it loads it again
+function reload() {
+  history.back();
+}
+
+// Retries made for this page lately, they start over once a retry is long past
+function retries() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(RETRY_KEY)) || {};
+    return Date.now() - saved.at < MAX_RETRY_DELAY * 2 ? saved.count : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function retry() {
+  try {
+    sessionStorage.setItem(RETRY_KEY, JSON.stringify({ count: retries() + 1, at: Date.now() }));
+  } catch (e) {
+    // Retrying matters more than counting it
+  }
+  reload();
+}
+
+var retryTimer = null;
+// Shows that the page waits for the connection, nothing is retried while online
+function waitForConnection() {
+  clearTimeout(retryTimer);
+  document.getElementById('status').textContent = navigator.onLine ? '' : text('net_error_waiting');
+}
+
+// Connection came back, one that keeps dropping waits longer before each retry
+function retryOnline() {
+  const status = document.getElementById('status');
+  clearTimeout(retryTimer);
+  const count = retries();
+  if (count >= MAX_RETRIES) {
+    status.textContent = '';
+    return;
+  }
+  const delay = Math.min(1000 * Math.pow(2, count), MAX_RETRY_DELAY);
+  status.textContent = text('net_error_retrying').replace('%s', Math.round(delay / 1000));
+  retryTimer = setTimeout(retry, delay);
+}
+
+document.title = pageURL || text('net_error_title_generic');
+document.getElementById('title').textContent = text(`net_error_title_${type}`) || text('net_error_title_generic');
+document.getElementById('text').textContent = text(`net_error_text_${type}`) || text('net_error_text_generic');
+document.getElementById('url').textContent = pageURL;
+document.getElementById('code').textContent = [params.get('name'), params.get('code')].filter(Boolean).join(' ');
+
+var reloadButton = document.getElementById('reload');
+reloadButton.textContent = text('net_error_reload');
+reloadButton.onclick = () => {
+  try {
+    sessionStorage.removeItem(RETRY_KEY);
+  } catch (e) {
+    // Nothing to forget
+  }
+  reload();
+};
+var backButton = document.getElementById('back');
+backButton.textContent = text('net_error_back');
+// Back skips the failed page too, there's nothing before it in a new tab
+backButton.hidden = history.length < 3;
+backButton.onclick = () => history.go(-2);
+
+if (canRetry) {
+  waitForConnection();
+  window.addEventListener('online', retryOnline);
+  window.addEventListener('offline', waitForConnection);
+}
@@ -0,0 +1,138 @@
+// px://reader?url=<page>, the article RenderWindow extracted from the page
+var pageURL = new URLSearchParams(location.search).get('url') || '';
+var settings = { font: 'sans', size: 18, width: 700, lineHeight: 1.6, theme: 'light' };
+var rendered = false;
+
+// Tags and attributes kept from the page's html, anything else is dropped or unwrapped
+var ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+  'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var'
+];
+var DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'link', 'meta', 'base', 'form', 'svg', 'math', 'template', 'noscript'];
+var ALLOWED_ATTRIBUTES = ['alt', 'title', 'colspan', 'rowspan', 'datetime', 'lang', 'dir', 'start', 'reversed'];
+
+function safeURL(url, schemes) {
+  try {
+    return schemes.includes(new URL(url).protocol) ? url : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Copy of a parsed node with only the allowed tags and attributes
+function sanitize(node, parent) {
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      parent.appendChild(document.createTextNode(child.textContent));
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    const tag = child.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) return;
+    if (!ALLOWED_TAGS.includes(tag)) {
+      sanitize(child, parent);
+      return;
+    }
+    const el = document.createElement(tag);
+    ALLOWED_ATTRIBUTES.forEach(name => {
+      if (child.hasAttribute(name)) el.setAttribute(name, child.getAttribute(name));
+    });
+    if (tag === 'a' && child.hasAttribute('href')) {
+      const href = child.getAttribute('href');
+      const url = href.startsWith('#') ? href : safeURL(href, ['http:', 'https:', 'mailto:']);
+      if (url) el.setAttribute('href', url);
+    }
+    if (tag === 'img') {
+      const src = safeURL(child.getAttribute('src') || '', ['http:', 'https:', 'data:']);
+      if (!src || (src.startsWith('data:') && !src.startsWith('data:image/'))) return;
+      el.setAttribute('src', src);
+      el.setAttribute('loading', 'lazy');
+    }
+    sanitize(child, el);
+    parent.appendChild(el);
+  });
+  return parent;
+}
+
+function renderArticle(article) {
+  const reader = document.getElementById('reader');
+  reader.textContent = '';
+  if (!article) {
+    const missing = document.createElement('p');
+    missing.className = 'missing';
+    missing.textContent = 'This article isn’t available anymore, open the original page to read it again.';
+    reader.appendChild(missing);
+    return;
+  }
+  document.title = article.title || pageURL;
+  if (article.lang) reader.lang = article.lang;
+  if (article.dir) reader.dir = article.dir;
+
+  const site = document.createElement('div');
+  site.className = 'site';
+  site.textContent = article.siteName || new URL(pageURL).hostname;
+  const title = document.createElement('h1');
+  title.className = 'title';
+  title.textContent = article.title;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const words = article.length / 6;
+  const minutes = Math.max(1, Math.round(words / 230));
+  meta.textContent = [article.byline, `${minutes} min read`].filter(Boolean).join(' · ');
+
+  // Parsed in a document of its own, nothing in it runs or loads
+  const parsed = new DOMParser().parseFromString(article.content, 'text/html');
+  const content = sanitize(parsed.body, document.createElement('div'));
+  reader.append(site, title, meta, content);
+}
+
+function applySettings() {
+  const root = document.documentElement.style;
+  root.setProperty('--reader-size', `${settings.size}px`);
+  root.setProperty('--reader-width', `${settings.width}px`);
+  root.setProperty('--reader-line-height', settings.lineHeight);
+  document.body.className = `font-${settings.font} theme-${settings.theme}`;
+  document.querySelectorAll('[data-font]').forEach(button => {
+    button.classList.toggle('selected', button.dataset.font === settings.font);
+  });
+  document.querySelectorAll('[data-theme]').forEach(button => {
+    button.classList.toggle('selected', button.dataset.theme === settings.theme);
+  });
+}
+
+var original = document.getElementById('original');
+if (safeURL(pageURL, ['http:', 'https:'])) original.href = pageURL;
+
+// Window's socket port, from internalPagePreload.js
+var socket = io.connect('http://localhost:'+internalPage.port,{secure: true,rejectUnauthorized: false});
+socket.on('connect', function(){
+  socket.emit('get_reader_settings');
+  socket.emit('get_reader_article', pageURL);
+});
+socket.on('reader_settings', function(data) {
+  settings = data;
+  applySettings();
+});
+socket.on('reader_article', function(url, article) {
+  // Other tabs' reader views ask too, and a reconnect asks again
+  if (url !== pageURL || rendered) return;
+  rendered = true;
+  renderArticle(article);
+});
+
+document.querySelectorAll('[data-font]').forEach(button => {
+  button.onclick = () => socket.emit('set_reader_settings', { font: button.dataset.font });
+});
+document.querySelectorAll('[data-theme]').forEach(button => {
+  button.onclick = () => socket.emit('set_reader_settings', { theme: button.dataset.theme });
+});
+document.querySelectorAll('[data-step]').forEach(button => {
+  button.onclick = () => {
+    const key = button.dataset.step;
+    socket.emit('set_reader_settings', { [key]: settings[key] + Number(button.dataset.by) });
+  };
+});
+
+applySettings();
@@ -0,0 +1,158 @@
+// px://view-source?url=<page>, the page's html as the server sent it
+var pageURL = new URLSearchParams(location.search).get('url') || '';
+var rendered = false;
+
+// Attributes pointing at other resources, their values link to those resources' source
+var LINK_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'data', 'background', 'manifest'];
+// Text in these tags isn't markup, like a script's `a < b`
+var RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp'];
+var ATTRIBUTE = /(\s+)|([^\s"'>/=]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+))?|(\/?>)|([\s\S])/y;
+
+// Source links of a value, `../a.css` in a page is the source of that stylesheet
+function sourceLink(value, baseURL) {
+  const text = value.replace(/^["']|["']$/g, '').trim().replace(/&amp;/g, '&');
+  try {
+    const url = new URL(text, baseURL);
+    return /^https?:$/.test(url.protocol) ? `px://view-source?url=${encodeURIComponent(url.href)}` : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Tokens of html, each one is text, a tag, an attribute, a value, a comment or a doctype
+function tokenize(html, baseURL) {
+  const tokens = [];
+  const push = (type, text, href) => {
+    if (text) tokens.push({ type, text, href });
+  };
+  let i = 0;
+  while (i < html.length) {
+    const start = html.indexOf('<', i);
+    if (start === -1) {
+      push('text', html.slice(i));
+      break;
+    }
+    push('text', html.slice(i, start));
+
+    if (html.startsWith('<!--', start)) {
+      const end = html.indexOf('-->', start + 4);
+      i = end === -1 ? html.length : end + 3;
+      push('comment', html.slice(start, i));
+      continue;
+    }
+    if (html.startsWith('<!', start) || html.startsWith('<?', start)) {
+      const end = html.indexOf('>', start);
+      i = end === -1 ? html.length : end + 1;
+      push('doctype', html.slice(start, i));
+      continue;
+    }
+    const name = html.slice(start, start + 256).match(/^<(\/?)([a-zA-Z][^\s/>]*)/);
+    if (!name) {
+      push('text', '<');
+      i = start + 1;
+      continue;
+    }
+
+    push('tag', name[0]);
+    i = start + name[0].length;
+    let attribute = '';
+    let closed = '';
+    while (i < html.length && !closed) {
+      ATTRIBUTE.lastIndex = i;
+      const match = ATTRIBUTE.exec(html);
+      i = ATTRIBUTE.lastIndex;
+      if (match[1]) push('text', match[1]);
+      if (match[2]) {
+        attribute = match[2].toLowerCase();
+        push('attribute', match[2]);
+        push('text', match[3]);
+        if (match[4]) push('value', match[4], LINK_ATTRIBUTES.includes(attribute) ? sourceLink(match[4], baseURL) : '');
+      }
+      if (match[5]) {
+        closed = match[5];
+        push('tag', closed);
+      }
+      if (match[6]) push('text', match[6]);
+    }
+
+    const tag = name[2].toLowerCase();
+    if (!name[1] && closed === '>' && RAW_TEXT_TAGS.includes(tag)) {
+      const end = html.slice(i).search(new RegExp(`</${tag}[\\s/>]`, 'i'));
+      const stop = end === -1 ? html.length : i + end;
+      push('text', html.slice(i, stop));
+      i = stop;
+    }
+  }
+  return tokens;
+}
+
+// Numbered lines of the tokens, a token can span lines
+function render(tokens) {
+  const fragment = document.createDocumentFragment();
+  const newLine = () => {
+    const line = document.createElement('div');
+    line.className = 'line';
+    return line;
+  };
+  let line = newLine();
+  tokens.forEach(token => {
+    token.text.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        fragment.appendChild(line);
+        line = newLine();
+      }
+      if (!part) return;
+      if (token.type === 'text') {
+        line.appendChild(document.createTextNode(part));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = token.type;
+      if (token.href) {
+        const link = document.createElement('a');
+        link.href = token.href;
+        link.textContent = part;
+        span.appendChild(link);
+      } else {
+        span.textContent = part;
+      }
+      line.appendChild(span);
+    });
+  });
+  fragment.appendChild(line);
+  return fragment;
+}
+
+function showSource(result) {
+  const status = document.getElementById('status');
+  if (result.error) {
+    status.className = 'status error';
+    status.textContent = `Unable to load ${pageURL}: ${result.error}`;
+    return;
+  }
+  const source = document.getElementById('source');
+  source.appendChild(render(tokenize(result.source.replace(/\r\n?/g, '\n'), result.url || pageURL)));
+  const lines = source.childElementCount;
+  status.textContent = `${lines} lines${result.truncated ? ', only the beginning of the page is shown' : ''}`;
+}
+
+document.title = `view-source:${pageURL}`;
+var wrap = document.getElementById('wrap');
+wrap.checked = localStorage.getItem('view_source_wrap') === 'true';
+document.body.classList.toggle('wrap', wrap.checked);
+wrap.addEventListener('change', () => {
+  localStorage.setItem('view_source_wrap', wrap.checked);
+  document.body.classList.toggle('wrap', wrap.checked);
+});
+
+// Window's socket port, from internalPagePreload.js
+var socket = io.connect('http://localhost:'+internalPage.port,{secure: true,rejectUnauthorized: false});
+socket.on('connect', function(){
+  if (!rendered) socket.emit('get_page_source', pageURL);
+});
+socket.on('page_source', function(url, result) {
+  // Other tabs' sources come too, and a reconnect asks again
+  if (url !== pageURL || rendered) return;
+  rendered = true;
+  showSource(result);
+});
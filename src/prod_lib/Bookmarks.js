@@ -0,0 +1,99 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+/**
+ * @typedef {object} Bookmark
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [favicon]
+ * @property {number} added - when it was bookmarked
+ */
+
+/**
+ * Bookmarked pages, shared by every RenderWindow
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store bookmarks in
+ */
+class Bookmarks extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * @returns {Bookmark[]} last bookmarked first
+   */
+  list() {
+    return this.store.get('bookmarks') || [];
+  }
+
+  /**
+   * @param {string} url
+   * @returns {boolean}
+   */
+  has(url) {
+    return !!url && this.list().some(bookmark => bookmark.url === url);
+  }
+
+  /**
+   * Bookmark a page, a page bookmarked already gets the new title
+   * @param {object} props - url, title, favicon
+   *
+   * @fires Bookmarks#change
+   */
+  add(props = {}) {
+    const { url, title, favicon } = props;
+    if (!url) return;
+    log.debug('add bookmark', url);
+    this.save([
+      { url, title: title || url, favicon, added: Date.now() },
+      ...this.list().filter(bookmark => bookmark.url !== url)
+    ]);
+  }
+
+  /**
+   * @param {string} url
+   *
+   * @fires Bookmarks#change
+   */
+  remove(url) {
+    if (!this.has(url)) return;
+    log.debug('remove bookmark', url);
+    this.save(this.list().filter(bookmark => bookmark.url !== url));
+  }
+
+  /**
+   * Bookmark a page, or remove its bookmark
+   * @param {object} props - url, title, favicon
+   * @returns {boolean} page is bookmarked now
+   *
+   * @fires Bookmarks#change
+   */
+  toggle(props = {}) {
+    if (this.has(props.url)) {
+      this.remove(props.url);
+      return false;
+    }
+    this.add(props);
+    return this.has(props.url);
+  }
+
+  /**
+   * @param {Bookmark[]} bookmarks
+   * @ignore
+   */
+  save(bookmarks) {
+    this.store.set('bookmarks', bookmarks);
+    /**
+     * change event, a bookmark was added or removed
+     *
+     * @event Bookmarks#change
+     */
+    this.emit('change');
+  }
+}
+
+module.exports = Bookmarks;
@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const { X509Certificate } = require('crypto');
+const log = require('electron-log');
+
+// Used in Main process
+
+/**
+ * @typedef {object} CertificateDetails
+ * @property {string} subject - common name it was issued to
+ * @property {string} issuer - common name of who issued it
+ * @property {string} issuerOrganization
+ * @property {number} validStart - ms since epoch
+ * @property {number} validExpiry - ms since epoch
+ * @property {string[]} altNames - names it's valid for, like `DNS:*.example.com`
+ * @property {string} serialNumber
+ * @property {string} fingerprint - SHA-256 fingerprint, colon separated hex
+ * @property {string} pem
+ */
+
+/**
+ * @typedef {object} CertException
+ * @property {string} host
+ * @property {string} fingerprint - Electron's fingerprint of the certificate allowed
+ * @property {string} error - like `net::ERR_CERT_AUTHORITY_INVALID`
+ * @property {number} allowedAt
+ */
+
+/**
+ * Host and port of a https url
+ * @param {string} url
+ * @returns {string} empty for other urls
+ */
+function hostOf(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === 'https:' ? host : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * What a certificate says about itself, Electron's Certificate leaves out the names it's valid for
+ * @param {Certificate} certificate
+ * @returns {CertificateDetails}
+ */
+function certificateDetails(certificate) {
+  let x509 = null;
+  try {
+    x509 = new X509Certificate(certificate.data);
+  } catch (e) {
+    log.debug('certificate not parsed', e.message);
+  }
+  return {
+    subject: certificate.subjectName || '',
+    issuer: certificate.issuerName || '',
+    issuerOrganization: ((certificate.issuer && certificate.issuer.organizations) || []).join(', '),
+    validStart: certificate.validStart * 1000,
+    validExpiry: certificate.validExpiry * 1000,
+    altNames: x509 && x509.subjectAltName ? x509.subjectAltName.split(', ') : [],
+    serialNumber: certificate.serialNumber || '',
+    fingerprint: x509 ? x509.fingerprint256 : certificate.fingerprint,
+    pem: certificate.data
+  };
+}
+
+/**
+ * Hosts whose bad certificate the user accepted, shared by every RenderWindow.
+ * They last until the browser quits and only cover the certificate accepted
+ */
+class CertExceptions extends EventEmitter {
+  constructor() {
+    super();
+    /** @type {Object<string, CertException>} */
+    this.hosts = {};
+  }
+
+  /**
+   * @param {string} url - any url of the host
+   * @returns {CertException|undefined}
+   */
+  get(url) {
+    return this.hosts[hostOf(url)];
+  }
+
+  /**
+   * Does the host have an exception for this certificate
+   * @param {string} url
+   * @param {Certificate} certificate
+   * @returns {boolean}
+   */
+  isAllowed(url, certificate) {
+    const exception = this.get(url);
+    return !!exception && exception.fingerprint === certificate.fingerprint;
+  }
+
+  /**
+   * Accept a host's certificate until the browser quits
+   * @param {string} url - any url of the host
+   * @param {Certificate} certificate
+   * @param {string} error
+   *
+   * @fires CertExceptions#change
+   */
+  allow(url, certificate, error) {
+    const host = hostOf(url);
+    if (!host) return;
+    this.hosts = { ...this.hosts, [host]: { host, fingerprint: certificate.fingerprint, error, allowedAt: Date.now() } };
+    log.info('certificate exception', { host, error });
+    this.emitChange();
+  }
+
+  /**
+   * @param {string} url - any url of the host
+   * @fires CertExceptions#change
+   */
+  remove(url) {
+    const { [hostOf(url)]: removed, ...rest } = this.hosts;
+    if (!removed) return;
+    this.hosts = rest;
+    this.emitChange();
+  }
+
+  emitChange() {
+    /**
+     * change event, a host's exception was added or removed
+     *
+     * @event CertExceptions#change
+     * @type {Object<string, CertException>}
+     */
+    this.emit('change', this.hosts);
+  }
+}
+
+CertExceptions.hostOf = hostOf;
+CertExceptions.certificateDetails = certificateDetails;
+
+module.exports = CertExceptions;
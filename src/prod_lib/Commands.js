@@ -0,0 +1,253 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+const MODIFIERS = {
+  cmdorctrl: 'CmdOrCtrl',
+  commandorcontrol: 'CmdOrCtrl',
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  super: 'Super',
+  meta: 'Super',
+  cmd: 'Super',
+  command: 'Super'
+};
+// Accelerators always list modifiers in this order so equal ones compare equal
+const MODIFIER_ORDER = ['CmdOrCtrl', 'Ctrl', 'Alt', 'Shift', 'Super'];
+const NAMED_KEYS = [
+  'Plus', 'Space', 'Tab', 'Backspace', 'Delete', 'Insert', 'Enter', 'Esc',
+  'Up', 'Down', 'Left', 'Right', 'Home', 'End', 'PageUp', 'PageDown',
+  'PrintScreen', 'VolumeUp', 'VolumeDown', 'VolumeMute',
+  'MediaNextTrack', 'MediaPreviousTrack', 'MediaStop', 'MediaPlayPause'
+];
+const KEY_ALIASES = { return: 'Enter', escape: 'Esc', del: 'Delete', ins: 'Insert' };
+
+/**
+ * Accelerator in its canonical form, like `Ctrl+Shift+T`
+ * @param {string} accelerator
+ * @returns {string} empty when it isn't a valid accelerator
+ */
+function normalizeAccelerator(accelerator) {
+  // `Ctrl++` means the plus key
+  const parts = String(accelerator || '').replace(/\+\+$/, '+Plus').split('+').map(v => v.trim());
+  const key = parts.pop();
+  const modifiers = parts.map(v => MODIFIERS[v.toLowerCase()]);
+  if (!key || modifiers.some(v => !v)) return '';
+
+  const lower = key.toLowerCase();
+  let name = '';
+  if (key.length === 1) {
+    name = key.toUpperCase();
+  } else if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) {
+    name = key.toUpperCase();
+  } else {
+    name = KEY_ALIASES[lower] || NAMED_KEYS.find(v => v.toLowerCase() === lower) || '';
+  }
+  if (!name) return '';
+
+  return [...MODIFIER_ORDER.filter(v => modifiers.includes(v)), name].join('+');
+}
+
+/**
+ * @typedef {object} Command
+ * @property {string} id - stable id like `tab.close`, keymap files refer to it
+ * @property {string} label
+ * @property {string} [category = 'Plugins'] - menu the command is listed in
+ * @property {string[]} [keys = []] - default accelerators
+ * @property {function} run
+ */
+
+/**
+ * @typedef {object} CommandInfo
+ * @property {string} id
+ * @property {string} label
+ * @property {string} category
+ * @property {string[]} keys - accelerators in use
+ * @property {string[]} defaultKeys
+ * @property {boolean} customized - keys come from the user's keymap
+ */
+
+/**
+ * Commands with their key bindings, the user's keymap file overrides default bindings
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the user's keymap in
+ */
+class Commands extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+    /** @type {Object<string, Command>} */
+    this.commands = {};
+  }
+
+  /**
+   * Add a command, one with the same id is replaced
+   * @param {Command} command
+   *
+   * @fires Commands#change
+   */
+  register(command) {
+    const { id, label, category = 'Plugins', keys = [], run } = command;
+    if (!id || typeof run !== 'function') {
+      log.error('Invalid command', id);
+      return;
+    }
+    if (this.commands[id]) log.warn('Replace command', id);
+    this.commands[id] = {
+      id,
+      label: label || id,
+      category,
+      keys: keys.map(normalizeAccelerator).filter(Boolean),
+      run
+    };
+    this.emitChange();
+  }
+
+  /**
+   * @param {string} id
+   *
+   * @fires Commands#change
+   */
+  unregister(id) {
+    if (!this.commands[id]) return;
+    delete this.commands[id];
+    this.emitChange();
+  }
+
+  /**
+   * Keys the user bound, by command id
+   * @returns {Object<string, string[]>}
+   */
+  keymap() {
+    return this.store.get('keymap') || {};
+  }
+
+  /**
+   * Accelerators a command is bound to
+   * @param {string} id
+   * @returns {string[]}
+   */
+  keysFor(id) {
+    const custom = this.keymap()[id];
+    if (Array.isArray(custom)) return custom;
+    return this.commands[id] ? this.commands[id].keys : [];
+  }
+
+  /**
+   * Bind a command to other keys, an empty list unbinds it
+   * @param {string} id
+   * @param {string[]} keys
+   *
+   * @fires Commands#change
+   */
+  setKeys(id, keys) {
+    const valid = [...new Set((keys || []).map(normalizeAccelerator).filter(Boolean))];
+    log.debug('set command keys', { id, keys: valid });
+    this.store.set('keymap', { ...this.keymap(), [id]: valid });
+    this.emitChange();
+  }
+
+  /**
+   * Go back to a command's default keys
+   * @param {string} id
+   *
+   * @fires Commands#change
+   */
+  resetKeys(id) {
+    const { [id]: _, ...keymap } = this.keymap();
+    this.store.set('keymap', keymap);
+    this.emitChange();
+  }
+
+  /**
+   * @returns {CommandInfo[]}
+   */
+  list() {
+    const keymap = this.keymap();
+    return Object.values(this.commands).map(({ id, label, category, keys }) => ({
+      id,
+      label,
+      category,
+      keys: this.keysFor(id),
+      defaultKeys: keys,
+      customized: Array.isArray(keymap[id])
+    }));
+  }
+
+  /**
+   * Accelerators bound to more than one command
+   * @returns {Object<string, string[]>} command ids by accelerator
+   */
+  conflicts() {
+    const byKey = {};
+    this.list().forEach(({ id, keys }) => {
+      keys.forEach(key => {
+        byKey[key] = [...(byKey[key] || []), id];
+      });
+    });
+    return Object.entries(byKey)
+      .filter(([, ids]) => ids.length > 1)
+      .reduce((acc, [key, ids]) => ({ ...acc, [key]: ids }), {});
+  }
+
+  /**
+   * @param {string} id
+   */
+  run(id) {
+    const command = this.commands[id];
+    if (!command) {
+      log.error('Unknown command', id);
+      return;
+    }
+    log.debug('run command', id);
+    command.run();
+  }
+
+  /**
+   * Application menu template, a command's extra keys are hidden items.
+   * On conflicts keys the user bound win over default ones, then the first registered command
+   * @returns {object[]}
+   */
+  menuTemplate() {
+    const commands = this.list();
+    const taken = {};
+    const claim = ({ id, keys }) =>
+      keys.forEach(key => {
+        if (!taken[key]) taken[key] = id;
+      });
+    commands.filter(v => v.customized).forEach(claim);
+    commands.filter(v => !v.customized).forEach(claim);
+
+    const menus = {};
+    commands.forEach(({ id, label, category, keys }) => {
+      const click = () => this.run(id);
+      const own = keys.filter(key => taken[key] === id);
+      const items = own.length
+        ? own.map((accelerator, i) => ({ label, accelerator, click, visible: i === 0, acceleratorWorksWhenHidden: true }))
+        : [{ label, click }];
+      menus[category] = [...(menus[category] || []), ...items];
+    });
+    return Object.entries(menus).map(([label, submenu]) => ({ label, submenu }));
+  }
+
+  /**
+   * @ignore
+   */
+  emitChange() {
+    /**
+     * change event, a command or its keys changed
+     *
+     * @event Commands#change
+     */
+    this.emit('change');
+  }
+}
+
+Commands.normalizeAccelerator = normalizeAccelerator;
+
+module.exports = Commands;
@@ -0,0 +1,174 @@
+const { session } = require('electron');
+const EventEmitter = require('events');
+const log = require('electron-log');
+const { COLORS } = require('./TabGroups');
+const { originOf } = require('./SiteSettings');
+
+// Used in Main process
+
+/**
+ * @typedef {object} Container
+ * @property {string} id - stable id, its partition is named after it
+ * @property {string} name
+ * @property {string} color - one of TabGroups' COLORS
+ */
+
+/** @type {Container[]} */
+const DEFAULT_CONTAINERS = [
+  { id: 'personal', name: 'Personal', color: 'blue' },
+  { id: 'work', name: 'Work', color: 'orange' },
+  { id: 'testing', name: 'Testing', color: 'green' }
+];
+
+/**
+ * Persistent partition of a container's tabs
+ * @param {string} id
+ * @returns {string}
+ */
+function partitionOf(id) {
+  return `persist:container-${id}`;
+}
+
+/**
+ * Containers keep their own cookies and storage, so a site can be logged in
+ * with another account in each of them. Shared by every RenderWindow
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store containers and site rules in
+ */
+class Containers extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * @returns {Container[]}
+   */
+  list() {
+    return this.store.get('containers') || DEFAULT_CONTAINERS;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Container|undefined}
+   */
+  get(id) {
+    return this.list().find(container => container.id === id);
+  }
+
+  /**
+   * @param {object} props - name, color
+   * @returns {Container}
+   *
+   * @fires Containers#change
+   */
+  add(props = {}) {
+    const containers = this.list();
+    const name = String(props.name || '').trim() || `Container ${containers.length + 1}`;
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'container';
+    let id = base;
+    for (let i = 2; containers.some(v => v.id === id); i += 1) id = `${base}-${i}`;
+    const container = {
+      id,
+      name,
+      color: COLORS.includes(props.color) ? props.color : COLORS[containers.length % COLORS.length]
+    };
+    this.save([...containers, container]);
+    return container;
+  }
+
+  /**
+   * Rename or recolor a container
+   * @param {string} id
+   * @param {object} props - name, color
+   *
+   * @fires Containers#change
+   */
+  update(id, props = {}) {
+    const changes = {};
+    if (typeof props.name === 'string' && props.name.trim()) changes.name = props.name.trim();
+    if (COLORS.includes(props.color)) changes.color = props.color;
+    this.save(this.list().map(container => (container.id === id ? { ...container, ...changes } : container)));
+  }
+
+  /**
+   * Remove a container with its site rules, cookies and storage
+   * @param {string} id
+   *
+   * @fires Containers#change
+   */
+  remove(id) {
+    if (!this.get(id)) return;
+    const rules = this.rules();
+    Object.keys(rules).forEach(origin => {
+      if (rules[origin] === id) delete rules[origin];
+    });
+    this.store.set('rules', rules);
+    session
+      .fromPartition(partitionOf(id))
+      .clearStorageData()
+      .catch(e => log.error('Unable to clear container data', id, e));
+    this.save(this.list().filter(container => container.id !== id));
+  }
+
+  /**
+   * Sites always opened in a container
+   * @returns {Object<string, string>} container id by origin
+   */
+  rules() {
+    return this.store.get('rules') || {};
+  }
+
+  /**
+   * Container a url should always open in
+   * @param {string} url
+   * @returns {string|undefined}
+   */
+  ruleFor(url) {
+    const id = this.rules()[originOf(url)];
+    return this.get(id) ? id : undefined;
+  }
+
+  /**
+   * Always open a site in a container
+   * @param {string} url - any url of the site
+   * @param {string} [id] - no container removes the rule
+   *
+   * @fires Containers#change
+   */
+  setRule(url, id) {
+    const origin = originOf(url);
+    if (!origin) return;
+    const { [origin]: _, ...rules } = this.rules();
+    if (this.get(id)) rules[origin] = id;
+    log.debug('container rule', { origin, id });
+    this.store.set('rules', rules);
+    this.emitChange();
+  }
+
+  /**
+   * @param {Container[]} containers
+   * @ignore
+   */
+  save(containers) {
+    this.store.set('containers', containers);
+    this.emitChange();
+  }
+
+  /**
+   * @ignore
+   */
+  emitChange() {
+    /**
+     * change event, containers or site rules changed
+     *
+     * @event Containers#change
+     */
+    this.emit('change');
+  }
+}
+
+Containers.partitionOf = partitionOf;
+
+module.exports = Containers;
@@ -0,0 +1,148 @@
+const { app, protocol } = require('electron');
+const path = require('path');
+const log = require('electron-log');
+
+// Used in Main process
+
+const SCHEME = 'px';
+// Our pages and their files under src/main/renderer, `px://settings` is the settings page
+const ROUTES = {
+  settings: 'pageViews/settings.html',
+  history: 'pageViews/history.html',
+  keymap: 'pageViews/keymap.html',
+  about: 'pageViews/about.html',
+  credits: 'pageViews/credits.html',
+  marketplace: 'pageViews/marketplace.html',
+  reader: 'pageViews/reader.html',
+  'view-source': 'pageViews/view-source.html',
+  error: 'pageViews/error.html',
+  'cert-error': 'pageViews/cert-error.html'
+};
+// Pages guest windows can open too, they only show another page
+const GUEST_ROUTES = ['reader', 'view-source'];
+// Scripts, styles and images of the pages, like `px://settings/js/jquery.js`, come from here
+const RENDERER_DIR = path.join(__dirname, '../main/renderer');
+// Files kept elsewhere, `px://settings/saved-images/a.png` is one of the saved images
+const ASSET_DIRS = {
+  'saved-images': () => path.join(app.getPath('userData'), 'savedImages')
+};
+// Tabs ask their window's socket port and language through it, see internalPagePreload.js
+const PRELOAD = path.join(__dirname, 'internalPagePreload.js');
+// net::ERR_FILE_NOT_FOUND and net::ERR_ACCESS_DENIED
+const FILE_NOT_FOUND = -6;
+const ACCESS_DENIED = -10;
+
+/**
+ * Make px:// a standard and secure scheme, pages on it get an origin, local storage
+ * and fetch like web pages do. Has to be called before app is ready
+ */
+function registerScheme() {
+  protocol.registerSchemesAsPrivileged([
+    { scheme: SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } }
+  ]);
+}
+
+/**
+ * File a px:// url is served from
+ * @param {string} url
+ * @returns {string|number} file path, or a net error code
+ */
+function resolve(url) {
+  const { host, pathname } = new URL(url);
+  if (!ROUTES[host]) return FILE_NOT_FOUND;
+  if (pathname === '/') return path.join(RENDERER_DIR, ROUTES[host]);
+
+  const [first, ...rest] = decodeURIComponent(pathname).slice(1).split('/');
+  const root = ASSET_DIRS[first] ? ASSET_DIRS[first]() : RENDERER_DIR;
+  const file = path.join(root, ...(ASSET_DIRS[first] ? rest : [first, ...rest]));
+  // `..` can't leave the page's files
+  return file.startsWith(root + path.sep) ? file : ACCESS_DENIED;
+}
+
+/**
+ * Serve px:// pages in a session, container tabs have their own. Sessions serving them already are skipped
+ * @param {Session} session
+ */
+function handleProtocol(session) {
+  if (session.protocol.isProtocolRegistered(SCHEME)) return;
+  session.protocol.registerFileProtocol(SCHEME, (request, callback) => {
+    const file = resolve(request.url);
+    if (typeof file === 'number') {
+      log.debug('px:// not found', request.url);
+      callback({ error: file });
+      return;
+    }
+    callback({ path: file });
+  });
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isInternalPage(url) {
+  return !!url && url.startsWith(`${SCHEME}://`);
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isGuestPage(url) {
+  if (!isInternalPage(url)) return false;
+  try {
+    return GUEST_ROUTES.includes(new URL(url).host);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Url as the address bar, history and sessions keep it, `px://settings/` is `px://settings`
+ * and a page's source is `view-source:<page>`
+ * @param {string} url
+ * @returns {string}
+ */
+function displayURL(url) {
+  if (!isInternalPage(url)) return url;
+  const source = url.match(/^px:\/\/view-source\/?\?url=([^#&]*)/);
+  if (source) return `view-source:${decodeURIComponent(source[1])}`;
+  return url.replace(/^(px:\/\/[^/?#]+)\/(?=$|[?#])/, '$1');
+}
+
+/**
+ * px:// page showing the source of a typed `view-source:<page>` url
+ * @param {string} url
+ * @returns {string} empty when it isn't a view-source url
+ */
+function fromViewSource(url) {
+  const source = String(url || '').match(/^view-source:(.+)$/is);
+  return source ? `${SCHEME}://view-source?url=${encodeURIComponent(source[1].trim())}` : '';
+}
+
+/**
+ * px:// url of a page saved as a file url by older versions, with their port and language
+ * @param {string} url
+ * @returns {string} empty when it isn't one of our routed pages
+ */
+function fromFileURL(url) {
+  if (!url || !url.startsWith('file:')) return '';
+  const file = decodeURIComponent(url.split(/[?#]/)[0]);
+  const name = Object.keys(ROUTES).find(key =>
+    [ROUTES[key], path.basename(ROUTES[key])].some(route => file.endsWith(`/src/main/renderer/${route}`))
+  );
+  return name ? `${SCHEME}://${name}` : '';
+}
+
+module.exports = {
+  SCHEME,
+  ROUTES,
+  PRELOAD,
+  registerScheme,
+  handleProtocol,
+  isInternalPage,
+  isGuestPage,
+  displayURL,
+  fromViewSource,
+  fromFileURL
+};
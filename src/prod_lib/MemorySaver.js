@@ -0,0 +1,89 @@
+const log = require('electron-log');
+
+// Used in Main process
+
+const DEFAULT_DISCARD_AFTER = 30;
+const MAX_DISCARD_AFTER = 24 * 60;
+
+/**
+ * Host of a url, empty for our own pages and other non http urls
+ * @param {string} url
+ * @returns {string}
+ */
+function hostOf(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? hostname : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Memory saver settings shared by every RenderWindow: how long a background
+ * tab stays idle before it's discarded and sites that are never discarded
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the settings in
+ */
+class MemorySaver {
+  constructor(options) {
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * Idle minutes before a background tab is discarded, 0 when turned off
+   * @returns {number}
+   */
+  get discardAfter() {
+    const minutes = this.store.get('discard_after');
+    return typeof minutes === 'number' ? minutes : DEFAULT_DISCARD_AFTER;
+  }
+
+  /**
+   * @param {number} minutes - 0 to turn memory saver off
+   */
+  setDiscardAfter(minutes) {
+    const value = Math.min(Math.max(Math.round(Number(minutes)) || 0, 0), MAX_DISCARD_AFTER);
+    log.debug('memory saver discard after', value);
+    this.store.set('discard_after', value);
+  }
+
+  /**
+   * Hosts that are never discarded
+   * @returns {string[]}
+   */
+  exceptions() {
+    return this.store.get('exceptions') || [];
+  }
+
+  /**
+   * @param {string} site - host or url
+   */
+  addException(site) {
+    const host = hostOf(site) || hostOf(`https://${site}`);
+    if (!host || this.exceptions().includes(host)) return;
+    this.store.set('exceptions', [...this.exceptions(), host]);
+  }
+
+  /**
+   * @param {string} host
+   */
+  removeException(host) {
+    this.store.set('exceptions', this.exceptions().filter(v => v !== host));
+  }
+
+  /**
+   * Is the url's site, or a parent domain of it, in the exceptions
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isException(url) {
+    const host = hostOf(url);
+    return !!host && this.exceptions().some(v => host === v || host.endsWith(`.${v}`));
+  }
+}
+
+MemorySaver.hostOf = hostOf;
+
+module.exports = MemorySaver;
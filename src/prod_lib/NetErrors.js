@@ -0,0 +1,88 @@
+// Used in Main process
+
+// net::ERR_ABORTED, a navigation was stopped or replaced by another one
+const ABORTED = -3;
+// Chromium's net error codes by what went wrong, see net/base/net_error_list.h
+const ERROR_TYPES = {
+  offline: [-106, -21],
+  dns: [-105, -137],
+  refused: [-102],
+  timeout: [-7, -118],
+  reset: [-100, -101, -103, -104, -324],
+  unreachable: [-108, -109],
+  proxy: [-111, -130],
+  ssl: [-107, -110, -113, -117, -129, -501],
+  redirects: [-310],
+  blocked: [-20, -27],
+  file: [-6, -10],
+  invalid: [-300, -301, -302]
+};
+// These may work once the network is back, the error page retries them then
+const RETRY_ONLINE = ['offline', 'dns', 'timeout', 'reset', 'unreachable'];
+
+/**
+ * @typedef {'offline'|'dns'|'refused'|'timeout'|'reset'|'unreachable'|'proxy'|'ssl'|'redirects'|'blocked'|'file'|'invalid'|'generic'} ErrorType
+ */
+
+/**
+ * Certificate errors(-200 to -299) get a warning the user can click through
+ * @param {number} code - net error code
+ * @returns {boolean}
+ */
+function isCertError(code) {
+  return code <= -200 && code > -300;
+}
+
+/**
+ * What went wrong, certificate errors are ssl ones
+ * @param {number} code - net error code
+ * @returns {ErrorType}
+ */
+function errorType(code) {
+  if (isCertError(code)) return 'ssl';
+  const type = Object.keys(ERROR_TYPES).find(key => ERROR_TYPES[key].includes(code));
+  return type || 'generic';
+}
+
+/**
+ * Does a failed load get an error page. Aborted loads and frames in a page don't
+ * @param {number} code
+ * @param {boolean} isMainFrame
+ * @returns {boolean}
+ */
+function showsErrorPage(code, isMainFrame) {
+  return !!isMainFrame && code !== ABORTED;
+}
+
+/**
+ * Error page of a failed load, certificate errors have their own
+ * @param {object} error
+ * @param {string} error.url - url that failed
+ * @param {number} error.code
+ * @param {string} [error.description] - like `ERR_NAME_NOT_RESOLVED`
+ * @returns {string}
+ */
+function errorPageURL({ url, code, description = '' }) {
+  const type = errorType(code);
+  const params = new URLSearchParams({ url, code: String(code), name: description, type });
+  if (isCertError(code)) return `px://cert-error?${params}`;
+  if (RETRY_ONLINE.includes(type)) params.set('retry', '1');
+  return `px://error?${params}`;
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isErrorPageURL(url) {
+  return !!url && /^px:\/\/(?:cert-)?error\/?(?:[?#]|$)/.test(url);
+}
+
+module.exports = {
+  ABORTED,
+  isCertError,
+  errorType,
+  showsErrorPage,
+  errorPageURL,
+  isErrorPageURL
+};
@@ -0,0 +1,315 @@
+const log = require('electron-log');
+const { searchURL } = require('./classifyInput');
+
+// Used in Main process
+
+// Most suggestions the dropdown shows
+const MAX_SUGGESTIONS = 8;
+// Visits counted in a page's frecency, the most recent ones
+const FRECENCY_SAMPLES = 10;
+// Weight of a visit by its age in days, like Firefox's frecency
+const FRECENCY_BUCKETS = [[4, 100], [14, 70], [31, 50], [90, 30], [Infinity, 10]];
+const DAY = 24 * 60 * 60 * 1000;
+const SUGGEST_TIMEOUT = 1500;
+
+/**
+ * @typedef {object} Suggestion
+ * @property {'history'|'bookmark'|'tab'|'search'} type
+ * @property {string} provider - name of the provider it comes from
+ * @property {string} title
+ * @property {string} url - page to open, for tabs the tab's page
+ * @property {number} relevance - higher ones are listed first
+ * @property {string} [completion] - rest of the url after the typed text, for inline autocompletion
+ * @property {TabID} [tabId] - tab to switch to
+ * @property {string} [favicon]
+ * @property {boolean} [deletable] - Shift+Delete removes it from its source
+ */
+
+/**
+ * @typedef {object} OmniboxContext
+ * @property {TabID} [tabId] - tab whose address bar asks
+ */
+
+/**
+ * @typedef {object} OmniboxProvider
+ * @property {string} name
+ * @property {function(string, OmniboxContext): (Suggestion[]|Promise<Suggestion[]>)} suggest - suggestions for the typed text
+ * @property {function(Suggestion)} [remove] - remove a suggestion from its source
+ */
+
+/**
+ * Url as the address bar shows it, without scheme, `www.` and trailing slash
+ * @param {string} url
+ * @returns {string}
+ */
+function displayURL(url) {
+  return String(url || '')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/$/, '');
+}
+
+/**
+ * How a page matches the typed text. Every word has to be in its url or title,
+ * a url starting with the text can be completed inline
+ *
+ * @param {string} text
+ * @param {{url: string, title: string}} page
+ * @returns {{prefix: boolean, completion: string}|null} null when it doesn't match
+ */
+function matchPage(text, { url, title }) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = `${url || ''} ${title || ''}`.toLowerCase();
+  if (!words.length || words.some(word => !haystack.includes(word))) return null;
+
+  const typed = displayURL(text.trim()).toLowerCase();
+  const shown = displayURL(url);
+  const prefix = !/\s/.test(typed) && shown.toLowerCase().startsWith(typed);
+  return { prefix, completion: prefix ? shown.slice(typed.length) : '' };
+}
+
+/**
+ * Frecency of a page, how often and how recently it was visited
+ * @param {number[]} visits - visit times, most recent first
+ * @param {number} [now]
+ * @returns {number}
+ */
+function frecency(visits, now = Date.now()) {
+  const samples = visits.slice(0, FRECENCY_SAMPLES);
+  if (!samples.length) return 0;
+  const weights = samples.map(time => FRECENCY_BUCKETS.find(([days]) => now - time < days * DAY)[1]);
+  // Older visits beyond the samples still count, at the samples' average weight
+  return Math.round((visits.length * weights.reduce((a, b) => a + b, 0)) / samples.length);
+}
+
+/**
+ * Visited pages ranked by frecency
+ * @param {object} history - history data-store, entries are keyed by visit time
+ * @returns {OmniboxProvider}
+ */
+function historyProvider(history) {
+  return {
+    name: 'history',
+    suggest(text) {
+      const pages = {};
+      Object.entries(history.data || {}).forEach(([time, entry]) => {
+        if (!entry || !entry.url) return;
+        const page = pages[entry.url] || (pages[entry.url] = { url: entry.url, title: '', visits: [] });
+        page.visits.push(Number(time));
+        if (entry.title) page.title = entry.title;
+      });
+      return Object.values(pages)
+        .map(page => ({ page, match: matchPage(text, page) }))
+        .filter(({ match }) => match)
+        .map(({ page, match }) => {
+          const score = frecency(page.visits.sort((a, b) => b - a));
+          return {
+            type: 'history',
+            provider: 'history',
+            title: page.title || displayURL(page.url),
+            url: page.url,
+            relevance: (match.prefix ? 1200 : 900) + Math.min(Math.round(score / 10), 299),
+            completion: match.completion,
+            deletable: true
+          };
+        });
+    },
+    remove({ url }) {
+      Object.keys(history.data || {})
+        .filter(time => history.get(time) && history.get(time).url === url)
+        .forEach(time => history.del(time));
+    }
+  };
+}
+
+/**
+ * Bookmarked pages, they rank above history
+ * @param {Bookmarks} bookmarks
+ * @returns {OmniboxProvider}
+ */
+function bookmarksProvider(bookmarks) {
+  return {
+    name: 'bookmarks',
+    suggest(text) {
+      return bookmarks
+        .list()
+        .map(bookmark => ({ bookmark, match: matchPage(text, bookmark) }))
+        .filter(({ match }) => match)
+        .map(({ bookmark, match }) => ({
+          type: 'bookmark',
+          provider: 'bookmarks',
+          title: bookmark.title,
+          url: bookmark.url,
+          favicon: bookmark.favicon,
+          relevance: match.prefix ? 1500 : 1100,
+          completion: match.completion,
+          deletable: true
+        }));
+    },
+    remove({ url }) {
+      bookmarks.remove(url);
+    }
+  };
+}
+
+/**
+ * Open tabs of every window but the asking tab, choosing one switches to it
+ * @param {function(): object[]} getTabs - tabs like RenderWindow's quickSwitcherTabs
+ * @returns {OmniboxProvider}
+ */
+function tabsProvider(getTabs) {
+  return {
+    name: 'tabs',
+    suggest(text, context = {}) {
+      return getTabs()
+        .filter(tab => tab.id !== context.tabId && tab.url)
+        .map(tab => ({ tab, match: matchPage(text, tab) }))
+        .filter(({ match }) => match)
+        .map(({ tab, match }) => ({
+          type: 'tab',
+          provider: 'tabs',
+          title: tab.title || displayURL(tab.url),
+          url: tab.url,
+          tabId: tab.id,
+          favicon: tab.favicon,
+          relevance: match.prefix ? 1150 : 950
+        }));
+    }
+  };
+}
+
+/**
+ * Fetch OpenSearch suggestions, `[query, [suggestion, ...]]`
+ * @param {string} url
+ * @returns {Promise<Array>}
+ * @ignore
+ */
+function fetchSuggestions(url) {
+  return require('axios')
+    .get(url, { timeout: SUGGEST_TIMEOUT })
+    .then(res => res.data);
+}
+
+/**
+ * Search engine's own suggestions for the typed text
+ * @param {object} options
+ * @param {function(): (SearchEngine|null)} options.engine - default search engine, its `suggestUrl`
+ * is asked, null turns suggestions off
+ * @param {function(string): Promise<Array>} [options.fetch] - load an OpenSearch suggestion url,
+ * a stub can answer without the network
+ * @returns {OmniboxProvider}
+ */
+function searchSuggestProvider(options) {
+  const { engine, fetch = fetchSuggestions } = options;
+  return {
+    name: 'search',
+    suggest(text) {
+      const current = engine();
+      if (!current || !current.suggestUrl || !current.url) return [];
+      return fetch(searchURL(current.suggestUrl, text)).then(data => {
+        const queries = Array.isArray(data) && Array.isArray(data[1]) ? data[1] : [];
+        return queries
+          .filter(query => typeof query === 'string' && query.trim())
+          .slice(0, 4)
+          .map((query, i) => ({
+            type: 'search',
+            provider: 'search',
+            title: query,
+            url: searchURL(current.url, query),
+            relevance: 600 - i
+          }));
+      });
+    }
+  };
+}
+
+/**
+ * Address bar suggestions, merged from pluggable providers. Shared by every RenderWindow
+ *
+ * @param {object} [options]
+ * @param {OmniboxProvider[]} [options.providers]
+ * @param {number} [options.limit = 8] - most suggestions returned
+ */
+class Omnibox {
+  constructor(options = {}) {
+    /** @type {OmniboxProvider[]} */
+    this.providers = [];
+    this.limit = options.limit || MAX_SUGGESTIONS;
+    (options.providers || []).forEach(provider => this.addProvider(provider));
+  }
+
+  /**
+   * Add a provider, one with the same name is replaced
+   * @param {OmniboxProvider} provider
+   */
+  addProvider(provider) {
+    if (!provider || !provider.name || typeof provider.suggest !== 'function') {
+      log.error('Invalid omnibox provider', provider && provider.name);
+      return;
+    }
+    this.providers = [...this.providers.filter(v => v.name !== provider.name), provider];
+  }
+
+  /**
+   * @param {string} name
+   */
+  removeProvider(name) {
+    this.providers = this.providers.filter(v => v.name !== name);
+  }
+
+  /**
+   * Suggestions for the typed text, most relevant first. A page comes once,
+   * from its most relevant source, open tabs are listed apart from it.
+   * A failing provider only loses its own suggestions
+   *
+   * @param {string} text
+   * @param {OmniboxContext} [context]
+   * @returns {Promise<Suggestion[]>}
+   */
+  suggest(text, context = {}) {
+    if (!text || !text.trim()) return Promise.resolve([]);
+    return Promise.all(
+      this.providers.map(provider =>
+        Promise.resolve()
+          .then(() => provider.suggest(text, context))
+          .catch(e => {
+            log.error(`Omnibox provider ${provider.name} failed`, e.message || e);
+            return [];
+          })
+      )
+    ).then(results => {
+      const seen = {};
+      return results
+        .reduce((acc, items) => [...acc, ...(items || [])], [])
+        .sort((a, b) => b.relevance - a.relevance)
+        .filter(item => {
+          const key = item.type === 'tab' ? `tab:${item.tabId}` : item.url;
+          if (seen[key]) return false;
+          seen[key] = true;
+          return true;
+        })
+        .slice(0, this.limit);
+    });
+  }
+
+  /**
+   * Remove a suggestion from its source, like a page from history
+   * @param {Suggestion} suggestion
+   */
+  remove(suggestion = {}) {
+    const provider = this.providers.find(v => v.name === suggestion.provider);
+    if (!provider || !provider.remove || !suggestion.deletable) return;
+    log.debug('remove omnibox suggestion', suggestion.provider, suggestion.url);
+    provider.remove(suggestion);
+  }
+}
+
+Omnibox.historyProvider = historyProvider;
+Omnibox.bookmarksProvider = bookmarksProvider;
+Omnibox.tabsProvider = tabsProvider;
+Omnibox.searchSuggestProvider = searchSuggestProvider;
+Omnibox.frecency = frecency;
+Omnibox.matchPage = matchPage;
+Omnibox.displayURL = displayURL;
+
+module.exports = Omnibox;
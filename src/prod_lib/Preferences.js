@@ -0,0 +1,69 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+// Theme class names, like `dark-mode` or `thm1`
+const THEME = /^[\w-]{1,64}$/;
+const MAX_THEME_CSS = 256 * 1024;
+const MAX_USER_AGENT = 512;
+
+/**
+ * @typedef {object} Prefs
+ * @property {string} theme - class of the control panel's and our pages' body, empty for the default look
+ * @property {Object<string, string>} themes - css of themes added from the marketplace, by class name
+ * @property {string} userAgent - user agent of the tabs, empty for Electron's own
+ */
+
+/**
+ * Preferences our px:// pages change and the control panel follows. Pages each have
+ * their own origin and local storage, so they're kept here, shared by every RenderWindow
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the preferences in
+ */
+class Preferences extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * @returns {Prefs}
+   */
+  get() {
+    return {
+      theme: this.store.get('theme') || '',
+      themes: this.store.get('themes') || {},
+      userAgent: this.store.get('userAgent') || ''
+    };
+  }
+
+  /**
+   * @param {Partial<Prefs>} props - `themes` are added to the ones there are
+   *
+   * @fires Preferences#change
+   */
+  set(props = {}) {
+    const prefs = this.get();
+    if (typeof props.theme === 'string' && (!props.theme || THEME.test(props.theme))) prefs.theme = props.theme;
+    if (props.themes && typeof props.themes === 'object') {
+      const themes = Object.entries(props.themes).filter(
+        ([name, css]) => THEME.test(name) && typeof css === 'string' && css.length <= MAX_THEME_CSS
+      );
+      prefs.themes = { ...prefs.themes, ...Object.fromEntries(themes) };
+    }
+    if (typeof props.userAgent === 'string') prefs.userAgent = props.userAgent.trim().slice(0, MAX_USER_AGENT);
+    log.debug('preferences', { theme: prefs.theme, themes: Object.keys(prefs.themes), userAgent: prefs.userAgent });
+    this.store.set(prefs);
+    /**
+     * change event, a preference changed
+     *
+     * @event Preferences#change
+     * @type {Prefs}
+     */
+    this.emit('change', prefs);
+  }
+}
+
+module.exports = Preferences;
@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+const { isProbablyReaderable, extractArticle } = require('./readability');
+
+// Used in Main process
+
+// Reader view of a page is `px://reader?url=<page>`
+const READER_URL = 'px://reader';
+const FONTS = ['sans', 'serif', 'mono'];
+const THEMES = ['light', 'sepia', 'dark'];
+const DEFAULT_SETTINGS = { font: 'sans', size: 18, width: 700, lineHeight: 1.6, theme: 'light' };
+const MIN_SIZE = 12;
+const MAX_SIZE = 32;
+const MIN_WIDTH = 480;
+const MAX_WIDTH = 1200;
+const MIN_LINE_HEIGHT = 1.2;
+const MAX_LINE_HEIGHT = 2.4;
+
+/**
+ * @typedef {object} ReaderSettings
+ * @property {'sans'|'serif'|'mono'} font
+ * @property {number} size - font size in px
+ * @property {number} width - text column's width in px
+ * @property {number} lineHeight
+ * @property {'light'|'sepia'|'dark'} theme
+ */
+
+/**
+ * @typedef {object} Article
+ * @property {string} url - page it was extracted from
+ * @property {string} title
+ * @property {string} byline
+ * @property {string} siteName
+ * @property {string} excerpt
+ * @property {string} lang
+ * @property {string} dir
+ * @property {string} content - unsanitized html, the reader page only keeps safe tags
+ * @property {number} length - text length
+ */
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * Reader view url of a page
+ * @param {string} url
+ * @returns {string}
+ */
+function readerURL(url) {
+  return `${READER_URL}?url=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Page a reader view url shows
+ * @param {string} url
+ * @returns {string} empty when it isn't a reader view
+ */
+function originalURL(url) {
+  if (!isReaderURL(url)) return '';
+  try {
+    return new URL(url).searchParams.get('url') || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isReaderURL(url) {
+  return !!url && /^px:\/\/reader\/?(?:[?#]|$)/.test(url);
+}
+
+/**
+ * Reader view's look, shared by every RenderWindow so open reader views change together
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the settings in
+ */
+class Reader extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * @returns {ReaderSettings}
+   */
+  get() {
+    return { ...DEFAULT_SETTINGS, ...(this.store.get('settings') || {}) };
+  }
+
+  /**
+   * @param {Partial<ReaderSettings>} props
+   *
+   * @fires Reader#change
+   */
+  set(props) {
+    const settings = { ...this.get(), ...props };
+    settings.font = FONTS.includes(settings.font) ? settings.font : DEFAULT_SETTINGS.font;
+    settings.theme = THEMES.includes(settings.theme) ? settings.theme : DEFAULT_SETTINGS.theme;
+    settings.size = Math.round(clamp(settings.size, MIN_SIZE, MAX_SIZE, DEFAULT_SETTINGS.size));
+    settings.width = Math.round(clamp(settings.width, MIN_WIDTH, MAX_WIDTH, DEFAULT_SETTINGS.width));
+    settings.lineHeight = Math.round(clamp(settings.lineHeight, MIN_LINE_HEIGHT, MAX_LINE_HEIGHT, DEFAULT_SETTINGS.lineHeight) * 10) / 10;
+    log.debug('reader settings', settings);
+    this.store.set('settings', settings);
+    /**
+     * change event, reader settings changed
+     *
+     * @event Reader#change
+     * @type {ReaderSettings}
+     */
+    this.emit('change', settings);
+  }
+}
+
+// Scripts run in a tab with executeJavaScript, they resolve to a boolean and an Article or null
+Reader.READERABLE_SCRIPT = `(${isProbablyReaderable.toString()})(document)`;
+Reader.ARTICLE_SCRIPT = `(() => {
+  const article = (${extractArticle.toString()})(document);
+  return article && { ...article, url: location.href };
+})()`;
+Reader.readerURL = readerURL;
+Reader.originalURL = originalURL;
+Reader.isReaderURL = isReaderURL;
+
+module.exports = Reader;
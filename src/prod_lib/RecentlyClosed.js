@@ -0,0 +1,79 @@
+const EventEmitter = require('events');
+
+// Used in Main process
+
+const MAX_CLOSED = 25;
+
+/**
+ * @typedef {object} ClosedTab
+ * @property {'tab'} type
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [favicon]
+ * @property {string[]} entries - back/forward navigation entries
+ * @property {number} entryIndex
+ * @property {number} index - position of the tab in the strip when closed
+ * @property {string} [container] - container the tab was opened in
+ * @property {number} closedAt
+ */
+
+/**
+ * @typedef {object} ClosedWindow
+ * @property {'window'} type
+ * @property {string} title - title of the window's active tab
+ * @property {ClosedTab[]} tabs
+ * @property {number} active - index of the active tab in `tabs`
+ * @property {number} closedAt
+ */
+
+/**
+ * Stack of recently closed tabs and windows shared by every RenderWindow,
+ * newest first
+ */
+class RecentlyClosed extends EventEmitter {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  /**
+   * @param {ClosedTab|ClosedWindow} entry
+   * @fires RecentlyClosed#change
+   */
+  push(entry) {
+    this.entries = [{ ...entry, closedAt: Date.now() }, ...this.entries].slice(0, MAX_CLOSED);
+    this.emitChange();
+  }
+
+  /**
+   * Remove and return an entry
+   * @param {number} [index=0] - 0 is the last closed one
+   * @returns {ClosedTab|ClosedWindow|undefined}
+   */
+  take(index = 0) {
+    const entry = this.entries[index];
+    if (!entry) return;
+    this.entries = this.entries.filter((v, i) => i !== index);
+    this.emitChange();
+    return entry;
+  }
+
+  /**
+   * @returns {Array.<ClosedTab|ClosedWindow>}
+   */
+  list() {
+    return this.entries;
+  }
+
+  emitChange() {
+    /**
+     * change event.
+     *
+     * @event RecentlyClosed#change
+     * @type {Array.<ClosedTab|ClosedWindow>}
+     */
+    this.emit('change', this.entries);
+  }
+}
+
+module.exports = RecentlyClosed;
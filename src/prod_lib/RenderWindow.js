@@ -1,24 +1,57 @@
-const { BrowserWindow, BrowserView, ipcMain, app , dialog } = require('electron');
+const { BrowserWindow, BrowserView, ipcMain, app , dialog , Menu , nativeImage } = require('electron');
 const fileUrl = require('file-url');
 const windowStateKeeper = require('electron-window-state');
 const EventEmitter = require('events');
 const log = require('electron-log');
 const fs = require('fs');
+const SessionStore = require('./SessionStore');
+const RecentlyClosed = require('./RecentlyClosed');
+const TabGroups = require('./TabGroups');
+const MemorySaver = require('./MemorySaver');
+const Containers = require('./Containers');
+const SiteSettings = require('./SiteSettings');
+const SearchEngines = require('./SearchEngines');
+const InternalPages = require('./InternalPages');
+const Reader = require('./Reader');
+const { fetchSource } = require('./pageSource');
+const NetErrors = require('./NetErrors');
+const CertExceptions = require('./CertExceptions');
+const SiteSecurity = require('./SiteSecurity');
 
 log.transports.file.level = true;
 log.transports.console.level = true;
 
 var PublicWin;
+// Set on a tab's webContents once its listeners are bound
+const MARKS = '__IS_INITIALIZED__';
+// How often background tabs are checked for idleness
+const DISCARD_CHECK_INTERVAL = 60 * 1000;
+// Split view divider's thickness
+const SPLIT_DIVIDER = 6;
+// Panes can't get smaller than this part of the content area
+const SPLIT_MIN_RATIO = 0.15;
+// Tab thumbnails are downscaled to this width
+const THUMBNAIL_WIDTH = 240;
+const HOVER_CARD_WIDTH = 240;
+// Address bar suggestions' row height, the dropdown fits its rows
+const OMNIBOX_ROW_HEIGHT = 32;
+// Find bar's size, it sits at the top right of the page
+const FIND_BAR_WIDTH = 420;
+const FIND_BAR_HEIGHT = 44;
+// Site info panel's width, its page tells how tall it is
+const SITE_INFO_WIDTH = 360;
+// Everything a site stores but its cookies, those are removed one by one for the page's url
+const SITE_STORAGES = ['filesystem', 'indexdb', 'localstorage', 'shadercache', 'websql', 'serviceworkers', 'cachestorage'];
+// Isolated world the site info panel measures a page's storage in, the page's own scripts can't answer for it
+const SITE_INFO_WORLD = 1001;
+// Zoom in/out steps through these factors, like other browsers do
+const ZOOM_FACTORS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
 var pathWin = app.getPath('userData')+"/../.gloablx";
 const global_X = require('data-store')({ path: pathWin + '/expirmental.json' });
 var halfmoon = global_X.get('halfmoon_is_enabled');
-var htmlLoad;
 
 if (halfmoon == undefined) {
   global_X.set('halfmoon_is_enabled',false);
-  htmlLoad = null;
-}else if (halfmoon == true) {
-  htmlLoad = "moon"
 }
 
 function toBase64(url,callback){
@@ -36,6 +69,11 @@ function toBase64(url,callback){
     callback("");
   }
 }
+
+function faviconImage(favicon) {
+  if (!favicon || !favicon.startsWith('data:')) return undefined;
+  return nativeImage.createFromDataURL(favicon).resize({ width: 16, height: 16 });
+}
 /**
  * @typedef {number} TabID
  * @description BrowserView's id as tab id
@@ -50,6 +88,52 @@ function toBase64(url,callback){
  * @property {boolean} isLoading
  * @property {boolean} canGoBack
  * @property {boolean} canGoForward
+ * @property {boolean} pinned - pinned tabs stay at the start of the strip
+ * @property {string[]} [entries] - back/forward navigation entries
+ * @property {number} [entryIndex] - active entry in `entries`
+ * @property {boolean} [discarded] - view was destroyed to save memory, it's reloaded on activation
+ * @property {{x: number, y: number}} [scroll] - discarded tab's scroll position
+ * @property {boolean} [split] - tab is one of split view's panes
+ * @property {boolean} [audible] - tab is playing sound
+ * @property {boolean} [muted] - tab's sound is muted, by itself or by its site
+ * @property {boolean} [tabMuted] - tab's own mute, it overrides its site's
+ * @property {string} [container] - container the tab is opened in, its cookies are apart from other tabs'
+ * @property {number} [zoom] - tab's zoom factor, 1 is 100%
+ * @property {boolean} [bookmarked] - tab's page is bookmarked
+ * @property {boolean} [readerable] - tab's page looks like an article, it can be shown in reader view
+ * @property {boolean} [reader] - tab shows a page in reader view
+ * @property {string} [certError] - tab's page is shown despite its certificate's error, like `net::ERR_CERT_DATE_INVALID`
+ * @property {boolean} [mixedContent] - tab's https page loaded http content
+ * @property {SecurityState} [security] - what the address bar's chip shows about the page
+ */
+
+/**
+ * @typedef {object} SplitView
+ * @property {TabID[]} ids - first(left/top) and second(right/bottom) pane
+ * @property {'horizontal'|'vertical'} orientation - horizontal puts panes side by side
+ * @property {number} ratio - first pane's part of the content area
+ */
+
+/**
+ * @typedef {object} FindState
+ * @property {boolean} open - find bar is shown while the tab is current
+ * @property {string} text - searched text, kept when the bar is closed
+ * @property {boolean} matchCase
+ * @property {number} matches - matches in the page
+ * @property {number} active - highlighted match, 1 is the first one
+ */
+
+/**
+ * @typedef {object} SiteInfo
+ * @property {string} url - tab's page
+ * @property {string} origin - empty for pages that aren't http(s)
+ * @property {SecurityState} security
+ * @property {string} certError - bad certificate accepted for the page's host
+ * @property {CertificateDetails|null} certificate - certificate the page's host was last verified with
+ * @property {string} verificationResult - Chromium's verification of that certificate
+ * @property {Object.<string, 'allow'|'block'|true>} permissions - permissions the site asked for, by name, the user's decision or true when allowed by default
+ * @property {number} cookies - cookies the page gets
+ * @property {number} storage - bytes the site stores, -1 when unknown
  */
 
 /**
@@ -64,6 +148,13 @@ function toBase64(url,callback){
  * @property {number} height
  */
 
+/**
+ * @typedef {object} DetachedTab
+ * @property {BrowserView} view - live view, not attached to any window
+ * @property {Tab} config
+ * @property {string} [thumbnail] - tab's last captured thumbnail
+ */
+
 /**
  * A browser like window
  * @param {object} options
@@ -78,6 +169,25 @@ function toBase64(url,callback){
  * @param {string} [options.blankPage = ''] - blank page to load on new tab
  * @param {string} [options.blankTitle = 'about:blank'] - blank page's title
  * @param {function} [options.onNewWindow] - custom webContents `new-window` event handler
+ * @param {SessionStore} [options.sessionStore] - persist open tabs and restore them on start
+ * @param {RecentlyClosed} [options.recentlyClosed] - closed tabs/windows stack, share it between windows
+ * @param {boolean} [options.restoreSession] - open the saved session instead of the start page
+ * @param {Session} [options.session] - tabs to open instead of the start page
+ * @param {DetachedTab} [options.adoptTab] - tab moved from another window to open instead of the start page
+ * @param {Bounds} [options.bounds] - window's bounds, the last window state is used by default
+ * @param {MemorySaver} [options.memorySaver] - discard idle background tabs, share it between windows
+ * @param {SiteSettings} [options.siteSettings] - settings remembered per site, share it between windows
+ * @param {TabStripLayout} [options.tabStripLayout] - tabs above the page or in a side panel, share it between windows
+ * @param {Commands} [options.commands] - commands and their keys, for px://keymap
+ * @param {Containers} [options.containers] - tabs with their own cookie jar, share it between windows
+ * @param {object} [options.history] - visited pages data-store, share it between windows
+ * @param {Bookmarks} [options.bookmarks] - bookmarked pages, share it between windows
+ * @param {Omnibox} [options.omnibox] - address bar suggestions, share it between windows
+ * @param {SearchEngines} [options.searchEngines] - search engines and keywords, share it between windows
+ * @param {Reader} [options.reader] - reader view's look, share it between windows
+ * @param {CertExceptions} [options.certExceptions] - bad certificates the user accepted, share it between windows
+ * @param {SiteSecurity} [options.siteSecurity] - certificates and mixed content the tabs' sessions saw, share it between windows
+ * @param {Preferences} [options.preferences] - theme and user agent set in our pages, share it between windows
  * @param {boolean} [options.debug] - toggle debug
  */
 class RenderWindow extends EventEmitter {
@@ -85,7 +195,7 @@ class RenderWindow extends EventEmitter {
     super();
 
     this.dataSetup = require('data-store')({ path: process.cwd() + '/dataSetup.json' });
-    this.history = require('data-store')({ path: app.getPath('userData') + '/history.json' });
+    this.history = options.history || require('data-store')({ path: app.getPath('userData') + '/history.json' });
     var dirName = __dirname.replace("prod_lib","main/../../");
 
     const settings_data = require('data-store')({ path: app.getPath('userData') + '/settings.json' });
@@ -113,20 +223,14 @@ class RenderWindow extends EventEmitter {
 
     this.io.attach(this.httpServer,{
       cors: {
-        origin: ["file","localhost"]
+        origin: ["file","localhost",/^px:\/\//]
       }
     });
 
-    const search_engines = require('data-store')({ path: app.getPath('userData') + '/search_engines.json' });
     const dataSetup = require('data-store')({ path: process.cwd() + '/dataSetup.json' });
     
     dataSetup.set('userData' , app.getPath('userData') );
 
-    //init advance data
-    search_engines.set('google','https://www.google.com/search?q=')
-    search_engines.set('yahoo','https://search.yahoo.com/search?p=')
-    //init advance data ends here
-
     this.io.on("connection", (socket) => {
       this.isAppStarted = true;
       //console.log("connection found@!");
@@ -162,6 +266,76 @@ class RenderWindow extends EventEmitter {
       socket.on('toastR', (msg) => {
         this.io.emit('toastR', msg);
       });
+      const sendMemorySaver = () => {
+        if (!this.memorySaver) return;
+        this.io.emit('memory_saver', {
+          discardAfter: this.memorySaver.discardAfter,
+          exceptions: this.memorySaver.exceptions()
+        });
+      };
+      socket.on('get_memory_saver', sendMemorySaver);
+      socket.on('set_memory_saver_time', (minutes) => {
+        if (this.memorySaver) this.memorySaver.setDiscardAfter(minutes);
+        sendMemorySaver();
+      });
+      socket.on('add_memory_saver_exception', (site) => {
+        if (this.memorySaver) this.memorySaver.addException(site);
+        sendMemorySaver();
+      });
+      socket.on('remove_memory_saver_exception', (host) => {
+        if (this.memorySaver) this.memorySaver.removeException(host);
+        sendMemorySaver();
+      });
+      socket.on('get_tab_strip', () => {
+        if (this.tabStripLayout) this.io.emit('tab_strip', this.tabStripLayout.get());
+      });
+      socket.on('set_tab_strip', (props) => {
+        if (!this.tabStripLayout) return;
+        this.tabStripLayout.set(props);
+        this.io.emit('tab_strip', this.tabStripLayout.get());
+      });
+      socket.on('get_keymap', () => this.sendKeymap());
+      socket.on('set_keymap', (id, keys) => {
+        if (this.commands) this.commands.setKeys(id, keys);
+      });
+      socket.on('reset_keymap', (id) => {
+        if (this.commands) this.commands.resetKeys(id);
+      });
+      socket.on('get_site_zoom', () => this.sendSiteZoom());
+      socket.on('remove_site_zoom', (origin) => {
+        if (this.siteSettings) this.siteSettings.set(origin, 'zoom', undefined);
+      });
+      socket.on('get_containers', () => this.sendContainers());
+      socket.on('add_container', (props) => {
+        if (this.containers) this.containers.add(props);
+      });
+      socket.on('update_container', (id, props) => {
+        if (this.containers) this.containers.update(id, props);
+      });
+      socket.on('remove_container', (id) => {
+        if (this.containers) this.containers.remove(id);
+      });
+      socket.on('set_container_rule', (url, id) => {
+        if (this.containers) this.containers.setRule(url, id);
+      });
+      socket.on('get_search_engines', () => this.sendSearchEngines());
+      socket.on('add_search_engine', (props) => this.searchEngines.add(props));
+      socket.on('update_search_engine', (id, props) => this.searchEngines.update(id, props));
+      socket.on('remove_search_engine', (id) => this.searchEngines.remove(id));
+      socket.on('set_default_search_engine', (id) => this.searchEngines.setDefault(id));
+      socket.on('get_reader_article', (url) => {
+        const entry = Object.values(this.readerArticles).find(v => v.url === url);
+        this.io.emit('reader_article', url, entry ? entry.article : null);
+      });
+      socket.on('get_reader_settings', () => {
+        if (this.reader) this.io.emit('reader_settings', this.reader.get());
+      });
+      socket.on('set_reader_settings', (props) => {
+        if (this.reader) this.reader.set(props);
+      });
+      socket.on('get_page_source', (url) => this.sendPageSource(url));
+      socket.on('get_cert_error', (url) => this.sendCertError(url));
+      socket.on('proceed_cert_error', (url) => this.proceedCertError(url));
     });
 
     this.httpServer.listen(this.port_to_open);
@@ -175,17 +349,19 @@ class RenderWindow extends EventEmitter {
       controlReferences
     } = options;
 
-    let mainWindowState = windowStateKeeper({
+    // Only windows opened at the last state's place keep it up to date
+    let mainWindowState = options.bounds ? null : windowStateKeeper({
       defaultWidth: width,
       defaultHeight: height
     });
+    const bounds = options.bounds || mainWindowState;
 
     this.win = new BrowserWindow({
       ...winOptions,
-      'x': mainWindowState.x,
-      'y': mainWindowState.y,
-      'width': mainWindowState.width,
-      'height': mainWindowState.height,
+      'x': bounds.x,
+      'y': bounds.y,
+      'width': bounds.width,
+      'height': bounds.height,
       icon:'../icons/icon.ico',
       title:"xBrowse Pre-Release Technical Build",
       transparent:false,
@@ -199,16 +375,110 @@ class RenderWindow extends EventEmitter {
       }
     });
 
-    mainWindowState.manage(this.win);
+    if (mainWindowState) mainWindowState.manage(this.win);
 
     this.defCurrentViewId = null;
     this.defTabConfigs = {};
+    this.defGroups = [];
     // Prevent browser views garbage collected
     this.views = {};
     // keep order
     this.tabs = [];
     // ipc channel
     this.ipc = null;
+    // webContents listeners of every tab, by tab id
+    this.viewEvents = {};
+    this.sessionStore = options.sessionStore || null;
+    // goBack/goForward offsets waiting for their navigation, by tab id
+    this.pendingNavOffset = {};
+    // Tabs loading a saved back/forward entry their view has no history for, by tab id
+    this.savedEntryLoads = {};
+    this.recentlyClosed = options.recentlyClosed || new RecentlyClosed();
+    this.memorySaver = options.memorySaver || null;
+    // When each tab was last in foreground, by tab id
+    this.lastActive = {};
+    // Overlay on top of the current tab, created on first use
+    this.switcherView = null;
+    this.isQuickSwitcherOpen = false;
+    /** @type {SplitView|null} */
+    this.split = null;
+    this.dividerView = null;
+    this.isDraggingSplit = false;
+    // Last captured thumbnail data url, by tab id
+    this.thumbnails = {};
+    // Shows a tab's thumbnail while it's hovered in the strip, created on first use
+    this.hoverCardView = null;
+    this.hoverCardTab = null;
+    // Address bar suggestions under the address bar, created on first use
+    this.omniboxView = null;
+    this.omnibox = options.omnibox || null;
+    // Text suggestions were last asked for, older answers are dropped
+    this.omniboxText = '';
+    // Last history entry of each tab's page, its title is filled in when the page gets one
+    this.historyKeys = {};
+    // Find bar at the top right of the page, created on first use
+    this.findView = null;
+    /** @type {Object.<TabID, FindState>} */
+    this.findStates = {};
+    // Article each tab's reader view shows, kept for going back to it
+    /** @type {Object.<TabID, {url: string, article: Article}>} */
+    this.readerArticles = {};
+    // Certificate error each tab's page failed with, kept for its warning page
+    /** @type {Object.<TabID, {url: string, error: string, certificate: Certificate}>} */
+    this.certErrors = {};
+    // Site info panel under the address bar's chip, created on first use
+    this.siteInfoView = null;
+    // Tab the site info panel is about, null while it's hidden
+    this.siteInfoTab = null;
+    // Under the address bar's chip, in control view's coordinates
+    this.siteInfoPosition = { x: 0, y: 0 };
+    const onRecentlyClosedChange = () => this.sendRecentlyClosed();
+    this.recentlyClosed.on('change', onRecentlyClosedChange);
+    this.siteSettings = options.siteSettings || null;
+    const onSiteSettingsChange = (origin, key) => {
+      if (key === 'muted') this.applySiteMuted(origin);
+      if (key === 'zoom') {
+        this.applySiteZoom(origin);
+        this.sendSiteZoom();
+      }
+      if (key === 'permissions' && this.siteInfoTab && SiteSettings.originOf(this.tabURL(this.siteInfoTab)) === origin) {
+        this.sendSiteInfo();
+      }
+    };
+    if (this.siteSettings) this.siteSettings.on('change', onSiteSettingsChange);
+    this.tabStripLayout = options.tabStripLayout || null;
+    const onTabStripLayoutChange = () => this.applyTabStripLayout();
+    if (this.tabStripLayout) this.tabStripLayout.on('change', onTabStripLayoutChange);
+    this.commands = options.commands || null;
+    const onCommandsChange = () => this.sendKeymap();
+    if (this.commands) this.commands.on('change', onCommandsChange);
+    this.containers = options.containers || null;
+    const onContainersChange = () => this.sendContainers();
+    if (this.containers) this.containers.on('change', onContainersChange);
+    this.bookmarks = options.bookmarks || null;
+    const onBookmarksChange = () => this.tabs.forEach(id => this.applyBookmarked(id));
+    if (this.bookmarks) this.bookmarks.on('change', onBookmarksChange);
+    this.searchEngines =
+      options.searchEngines || new SearchEngines({ path: app.getPath('userData') + '/search_engines.json' });
+    const onSearchEnginesChange = () => this.sendSearchEngines();
+    this.searchEngines.on('change', onSearchEnginesChange);
+    this.reader = options.reader || null;
+    const onReaderChange = settings => this.io.emit('reader_settings', settings);
+    if (this.reader) this.reader.on('change', onReaderChange);
+    this.certExceptions = options.certExceptions || null;
+    const onCertExceptionsChange = () => this.tabs.forEach(id => this.applySecurity(id));
+    if (this.certExceptions) this.certExceptions.on('change', onCertExceptionsChange);
+    this.siteSecurity = options.siteSecurity || new SiteSecurity();
+    const onMixedContent = webContents => {
+      const id = this.tabIdOf(webContents);
+      if (!id || (this.tabConfigs[id] || {}).mixedContent) return;
+      this.setTabConfig(id, { mixedContent: true });
+      this.applySecurity(id);
+    };
+    this.siteSecurity.on('mixed-content', onMixedContent);
+    this.preferences = options.preferences || null;
+    const onPreferencesChange = () => this.applyPreferences();
+    if (this.preferences) this.preferences.on('change', onPreferencesChange);
 
     this.controlView = new BrowserView({
       webPreferences: {
@@ -224,40 +494,43 @@ class RenderWindow extends EventEmitter {
     // BrowserView should add to window before setup
     this.win.addBrowserView(this.controlView);
     this.controlView.setBounds(this.getControlBounds());
-    setInterval(() => {
+    const boundsTimer = setInterval(() => {
       this.controlView.setBounds(this.getControlBounds());
     },1200);
+    const discardTimer = setInterval(() => this.discardIdleTabs(), DISCARD_CHECK_INTERVAL);
     this.controlView.setAutoResize({ width: true , horizontal: true , vertical: true });
+    // Auto resize can't keep split view panes apart or the side panel's height
+    this.win.on('resize', () => {
+      this.controlView.setBounds(this.getControlBounds());
+      this.setContentBounds();
+    });
     if (this.options.guest) { 
       this.controlView.webContents.loadURL(`${controlPanel}?port=${this.port_to_open}&lang=${this.stringify_lang}&guest=true`);
     }else{
       this.controlView.webContents.loadURL(`${controlPanel}?port=${this.port_to_open}&lang=${this.stringify_lang}`);
     }
-    
-    ipcMain.on('set-browseview', (event, url) => {
-      this.controlView.webContents.loadURL(url);
-    })
-    
-    const webContentsAct = actionName => {
-      const webContents = this.currentWebContents;
-      const action = webContents && webContents[actionName];
-      if (typeof action === 'function') {
-        if (actionName === 'reload' && webContents.getURL() === '') return;
-        action.call(webContents);
-        log.debug(
-          `do webContents action ${actionName} for ${this.currentViewId}:${webContents &&
-            webContents.getTitle()}`
-        );
-      } else {
-        log.error('Invalid webContents action ', actionName);
-      }
-    };
 
     const channels = Object.entries({
       'control-ready': e => {
         this.ipc = e;
 
-        this.newTab(this.options.startPage || '');
+        if (this.isStarted) {
+          this.newTab(this.options.startPage || '');
+        } else {
+          this.isStarted = true;
+          if (this.options.adoptTab) {
+            this.attachTab(this.options.adoptTab);
+            this.options.adoptTab = null;
+          } else if (this.options.session) {
+            this.restoreSession(this.options.session);
+          } else {
+            this.openStartTabs();
+          }
+        }
+        this.sendRecentlyClosed();
+        this.sendTabStripLayout();
+        this.sendContainers();
+        this.sendSearchEngines();
         /**
          * control-ready event.
          *
@@ -272,9 +545,14 @@ class RenderWindow extends EventEmitter {
       },
       'url-enter': (e, url) => {
         e.reply('url-enter-l', url);
+        const container = this.containerRuleFor(url);
+        if (container && container !== this.tabContainer(this.currentViewId)) {
+          this.openInContainer(url, container, this.currentViewId);
+          return;
+        }
         this.loadURL(url);
       },
-      act: (e, actName) => webContentsAct(actName),
+      act: (e, actName) => this.webContentsAct(actName),
       'new-tab': (e, url, references) => {
         log.debug('new-tab with url', url);
         this.newTab(url, undefined, references);
@@ -283,22 +561,149 @@ class RenderWindow extends EventEmitter {
         this.switchTab(id);
       },
       'close-tab': (e, id) => {
-        log.debug('close tab ', { id, currentViewId: this.currentViewId });
-        if (id === this.currentViewId) {
-          const removeIndex = this.tabs.indexOf(id);
-          const nextIndex = removeIndex === this.tabs.length - 1 ? 0 : removeIndex + 1;
-          this.setCurrentView(this.tabs[nextIndex]);
-        }
-        this.tabs = this.tabs.filter(v => v !== id);
-        this.tabConfigs = {
-          ...this.tabConfigs,
-          [id]: undefined
-        };
-        this.destroyView(id);
-
-        if (this.tabs.length === 0) {
-          this.newTab();
-        }
+        this.closeTab(id);
+      },
+      'reopen-closed': (e, index) => {
+        this.reopenClosed(index);
+      },
+      'show-recently-closed': (e, { x, y } = {}) => {
+        this.popupRecentlyClosed(x, y);
+      },
+      'group-tabs': (e, ids, props) => {
+        this.groupTabs(ids, props);
+      },
+      'update-tab-group': (e, groupId, props) => {
+        this.updateTabGroup(groupId, props);
+      },
+      'set-tab-group': (e, id, groupId, afterId) => {
+        this.setTabGroup(id, groupId, afterId);
+      },
+      'ungroup-tabs': (e, groupId) => {
+        this.ungroupTabs(groupId);
+      },
+      'close-tab-group': (e, groupId) => {
+        this.closeTabGroup(groupId);
+      },
+      'move-tab': (e, id, toIndex) => {
+        this.moveTab(id, toIndex);
+      },
+      'pin-tab': (e, id, pinned) => {
+        this.setPinned(id, pinned);
+      },
+      'close-other-tabs': (e, id) => {
+        this.closeOtherTabs(id);
+      },
+      'show-tab-menu': (e, id, { x, y } = {}) => {
+        this.popupTabMenu(id, x, y);
+      },
+      'show-group-menu': (e, groupId, { x, y } = {}) => {
+        this.popupGroupMenu(groupId, x, y);
+      },
+      'set-tab-strip-layout': (e, props) => {
+        if (this.tabStripLayout) this.tabStripLayout.set(props);
+      },
+      'reset-zoom': () => {
+        this.resetZoom(this.currentViewId);
+      },
+      'toggle-tab-muted': (e, id) => {
+        if (!this.tabs.includes(id)) return;
+        this.setTabMuted(id, !this.isMuted(id));
+      },
+      'tear-off-tab': (e, id) => {
+        if (!this.tabs.includes(id)) return;
+        /**
+         * tear-off-tab event, tab was dragged out of the strip and dropped
+         * outside of it, the owner decides where it goes
+         *
+         * @event RenderWindow#tear-off-tab
+         * @type {TabID}
+         */
+        this.emit('tear-off-tab', id);
+      },
+      'set-browseview': (e, url) => {
+        this.controlView.webContents.loadURL(url);
+      },
+      'quick-switcher-select': (e, item) => {
+        this.selectQuickSwitcherItem(item);
+      },
+      'quick-switcher-close': () => {
+        this.hideQuickSwitcher();
+      },
+      'find-bar-query': (e, text, matchCase) => {
+        this.findInPage(this.currentViewId, text, matchCase);
+      },
+      'find-bar-next': (e, forward) => {
+        this.findNext(this.currentViewId, forward);
+      },
+      'find-bar-close': () => {
+        this.closeFindBar(this.currentViewId);
+      },
+      'show-site-info': (e, { x, y } = {}) => {
+        this.showSiteInfo(x, y);
+      },
+      'site-info-close': () => {
+        this.hideSiteInfo();
+      },
+      'site-info-height': (e, height) => {
+        this.placeSiteInfo(height);
+      },
+      'site-info-permission': (e, permission, value) => {
+        this.setSitePermission(this.siteInfoTab, permission, value);
+      },
+      'site-info-clear-data': () => {
+        this.clearSiteData(this.siteInfoTab);
+      },
+      'show-hover-card': (e, id, rect) => {
+        this.showHoverCard(id, rect);
+      },
+      'hide-hover-card': () => {
+        this.hideHoverCard();
+      },
+      'omnibox-query': (e, text) => {
+        this.queryOmnibox(text);
+      },
+      'omnibox-show': (e, items, selected, rect) => {
+        this.showOmnibox(items, selected, rect);
+      },
+      'omnibox-hide': () => {
+        this.hideOmnibox();
+      },
+      // Clicked in the dropdown, the address bar knows what to do with it
+      'omnibox-pick': (e, index) => {
+        if (this.ipc) this.ipc.reply('omnibox-pick', index);
+        if (this.controlView) this.controlView.webContents.focus();
+      },
+      'omnibox-remove': (e, item) => {
+        this.removeOmniboxSuggestion(item);
+        // Removed from the dropdown, typing goes on in the address bar
+        if (this.controlView) this.controlView.webContents.focus();
+      },
+      'switch-to-tab': (e, id) => {
+        this.switchToTab(id);
+      },
+      'toggle-bookmark': () => {
+        this.toggleBookmark(this.currentViewId);
+      },
+      'toggle-reader': () => {
+        this.toggleReader(this.currentViewId);
+      },
+      'split-drag-start': () => {
+        if (!this.split) return;
+        this.isDraggingSplit = true;
+        this.win.setTopBrowserView(this.dividerView);
+        this.setContentBounds();
+      },
+      'split-drag': (e, { screenX, screenY }) => {
+        this.dragSplit(screenX, screenY);
+      },
+      'split-drag-end': () => {
+        this.isDraggingSplit = false;
+        this.setContentBounds();
+      },
+      'split-reset': () => {
+        if (!this.split) return;
+        this.split.ratio = 0.5;
+        this.setContentBounds();
       }
     });
 
@@ -306,8 +711,9 @@ class RenderWindow extends EventEmitter {
       .map(([name, listener]) => [
         name,
         (e, ...args) => {
-          // Support multiple RenderWindow
-          if (this.controlView && e.sender === this.controlView.webContents) {
+          // Support multiple RenderWindow, messages come from control panel or overlays
+          const views = [this.controlView, this.switcherView, this.dividerView, this.omniboxView, this.findView, this.siteInfoView];
+          if (views.some(view => view && e.sender === view.webContents)) {
             log.debug(`Trigger ${name} from ${e.sender.id}`);
             listener(e, ...args);
           }
@@ -324,13 +730,49 @@ class RenderWindow extends EventEmitter {
       // Remember to clear all ipcMain events as ipcMain bind
       // on every new browser instance
       channels.forEach(([name, listener]) => ipcMain.removeListener(name, listener));
+      this.recentlyClosed.removeListener('change', onRecentlyClosedChange);
+      if (this.siteSettings) this.siteSettings.removeListener('change', onSiteSettingsChange);
+      if (this.tabStripLayout) this.tabStripLayout.removeListener('change', onTabStripLayoutChange);
+      if (this.commands) this.commands.removeListener('change', onCommandsChange);
+      if (this.containers) this.containers.removeListener('change', onContainersChange);
+      if (this.bookmarks) this.bookmarks.removeListener('change', onBookmarksChange);
+      this.searchEngines.removeListener('change', onSearchEnginesChange);
+      if (this.reader) this.reader.removeListener('change', onReaderChange);
+      if (this.certExceptions) this.certExceptions.removeListener('change', onCertExceptionsChange);
+      if (this.preferences) this.preferences.removeListener('change', onPreferencesChange);
+      this.siteSecurity.removeListener('mixed-content', onMixedContent);
+      clearInterval(boundsTimer);
+      clearInterval(discardTimer);
+      // Closes httpServer too
+      this.io.close();
+
+      const closedTabs = this.tabs.map(id => this.closedTabEntry(id)).filter(Boolean);
+      if (closedTabs.length) {
+        const active = this.tabs.indexOf(this.currentViewId);
+        this.recentlyClosed.push({
+          type: 'window',
+          title: (this.tabConfigs[this.currentViewId] || {}).title || '',
+          tabs: closedTabs,
+          active: Math.max(0, active)
+        });
+      }
+
+      // Owner decides if the window stays in the session(e.g the last one closed on quit)
+      this.saveSession();
 
       // Prevent BrowserView memory leak on close
       this.tabs.forEach(id => this.destroyView(id));
+      [this.switcherView, this.dividerView, this.hoverCardView, this.omniboxView, this.findView, this.siteInfoView]
+        .forEach(view => view && view.webContents.destroy());
+      this.switcherView = null;
+      this.dividerView = null;
+      this.hoverCardView = null;
+      this.omniboxView = null;
+      this.findView = null;
+      this.siteInfoView = null;
       if (this.controlView) {
         this.controlView.webContents.destroy();
         this.controlView = null;
-        process.exit(0);
         log.debug('Control view destroyed');
       }
       this.emit('closed');
@@ -343,37 +785,113 @@ class RenderWindow extends EventEmitter {
   }
 
   /**
-   * Get control view's bounds
+   * Width of the vertical tabs' side panel
+   * @returns {number} 0 when tabs are above the page
+   */
+  get sidebarWidth() {
+    return this.tabStripLayout ? this.tabStripLayout.sidebarWidth() : 0;
+  }
+
+  /**
+   * Get control view's bounds, with vertical tabs it also spans the side panel
+   * under the tabs' view
    *
    * @returns {Bounds} Bounds of control view(exclude window's frame)
    */
   getControlBounds() {
     const contentBounds = this.win.getContentBounds();
+    const controlHeight = this.options.controlHeight || 130;
     return {
       x: 0,
       y: 0,
       width: contentBounds.width,
-      height: this.options.controlHeight || 130
+      height: this.sidebarWidth ? contentBounds.height : controlHeight
     };
   }
 
+  /**
+   * Area tabs' views are shown in, below the toolbar and right of the side panel
+   * @returns {Bounds}
+   */
+  getContentArea() {
+    const [contentWidth, contentHeight] = this.win.getContentSize();
+    const top = this.options.controlHeight || 130;
+    const left = this.sidebarWidth;
+    return { x: left, y: top, width: contentWidth - left, height: contentHeight - top };
+  }
+
+  /**
+   * Area tabs can be dropped on, the side panel with vertical tabs
+   * @returns {Bounds}
+   */
+  getTabStripBounds() {
+    const controlBounds = this.getControlBounds();
+    if (!this.sidebarWidth) return controlBounds;
+    const { y, height } = this.getContentArea();
+    return { x: 0, y, width: this.sidebarWidth, height };
+  }
+
   /**
    * Set web contents view's bounds automatically
    * @ignore
    */
   setContentBounds() {
-    const [contentWidth, contentHeight] = this.win.getContentSize();
-    const controlBounds = this.getControlBounds();
+    if (this.split) {
+      this.setSplitBounds();
+      this.placeFindBar();
+      return;
+    }
     if (this.currentView) {
-      this.currentView.setBounds({
-      //  x: 25,
-        x: 0,
-        y: controlBounds.y + controlBounds.height,
-        width: contentWidth,
-        height: contentHeight - controlBounds.height
-      });
+      this.currentView.setBounds(this.getContentArea());
+    }
+    this.placeFindBar();
+  }
+
+  /**
+   * Tab strip switched between above the page and the side panel, or the panel was resized
+   * @ignore
+   */
+  applyTabStripLayout() {
+    this.controlView.setBounds(this.getControlBounds());
+    this.setContentBounds();
+    this.sendTabStripLayout();
+  }
+
+  /**
+   * @ignore
+   */
+  sendTabStripLayout() {
+    if (!this.ipc || !this.tabStripLayout) return;
+    this.ipc.reply('tab-strip-layout', {
+      ...this.tabStripLayout.get(),
+      sidebarWidth: this.sidebarWidth,
+      top: this.options.controlHeight || 130
+    });
+  }
 
+  /**
+   * Lay split view's panes and divider out in the content area
+   * @ignore
+   */
+  setSplitBounds() {
+    const { ids: [firstId, secondId], orientation, ratio } = this.split;
+    const [first, second] = [this.views[firstId], this.views[secondId]];
+    const area = this.getContentArea();
+    let divider;
+
+    if (orientation === 'horizontal') {
+      const firstWidth = Math.round((area.width - SPLIT_DIVIDER) * ratio);
+      first.setBounds({ ...area, width: firstWidth });
+      divider = { ...area, x: area.x + firstWidth, width: SPLIT_DIVIDER };
+      second.setBounds({ ...area, x: area.x + firstWidth + SPLIT_DIVIDER, width: area.width - firstWidth - SPLIT_DIVIDER });
+    } else {
+      const firstHeight = Math.round((area.height - SPLIT_DIVIDER) * ratio);
+      first.setBounds({ ...area, height: firstHeight });
+      divider = { ...area, y: area.y + firstHeight, height: SPLIT_DIVIDER };
+      second.setBounds({ ...area, y: area.y + firstHeight + SPLIT_DIVIDER, height: area.height - firstHeight - SPLIT_DIVIDER });
     }
+    // Divider covers both panes while dragging so it gets every mouse move
+    this.dividerView.setBounds(this.isDraggingSplit ? area : divider);
   }
 
   get currentView() {
@@ -392,11 +910,15 @@ class RenderWindow extends EventEmitter {
   }
 
   set currentViewId(id) {
+    const now = Date.now();
+    if (this.defCurrentViewId) this.lastActive[this.defCurrentViewId] = now;
+    if (id) this.lastActive[id] = now;
     this.defCurrentViewId = id;
     this.setContentBounds();
     if (this.ipc) {
       this.ipc.reply('active-update', id);
     }
+    this.saveSession();
   }
 
   get tabConfigs() {
@@ -405,23 +927,48 @@ class RenderWindow extends EventEmitter {
 
   set tabConfigs(v) {
     this.defTabConfigs = v;
+    this.sendTabsUpdate();
+  }
+
+  /**
+   * @returns {TabGroup[]}
+   */
+  get groups() {
+    return this.defGroups;
+  }
+
+  set groups(v) {
+    this.defGroups = v;
+    this.sendTabsUpdate();
+  }
+
+  /**
+   * Tell control panel about tab changes and save them with the session
+   * @ignore
+   */
+  sendTabsUpdate() {
     if (this.ipc) {
       this.ipc.reply('tabs-update', {
-        confs: v,
-        tabs: this.tabs
+        confs: this.tabConfigs,
+        tabs: this.tabs,
+        groups: this.groups
       });
     }
+    this.saveSession();
   }
 
   setTabConfig(viewId, kv) {
     const tab = this.tabConfigs[viewId];
     const { webContents } = this.views[viewId] || {};
+    // Saved entries past the view's own history can be gone to as well, see goToSavedEntry
+    const next = { ...tab, ...kv };
     this.tabConfigs = {
       ...this.tabConfigs,
       [viewId]: {
         ...tab,
-        canGoBack: webContents && webContents.canGoBack(),
-        canGoForward: webContents && webContents.canGoForward(),
+        pinned: !!(tab && tab.pinned),
+        canGoBack: webContents && (this.canGoBack(webContents) || !!SessionStore.entryAt(next, -1)),
+        canGoForward: webContents && (webContents.canGoForward() || !!SessionStore.entryAt(next, 1)),
         ...kv
       }
     };
@@ -430,10 +977,14 @@ class RenderWindow extends EventEmitter {
 
   loadURL(url) {
     const { currentView } = this;
-    const fileUrl = require('file-url');
     if (!url || !currentView) return;
+    // Chromium leaves view-source: to browsers, our page shows it
+    url = InternalPages.fromViewSource(url) || url;
+    // Guest windows leave our pages out, they can change settings and read history.
+    // Reader view and page source only show a page
+    if (InternalPages.isInternalPage(url) && !InternalPages.isGuestPage(url) && this.options.guest) return;
 
-    this.controlView.webContents.send('url-enter-l', url);
+    this.controlView.webContents.send('url-enter-l', InternalPages.displayURL(url));
 
     const { id, webContents } = currentView;
 
@@ -441,26 +992,52 @@ class RenderWindow extends EventEmitter {
     if (url == this.options.blankPage) {
       url = this.options.blankPage+`?port=${this.port_to_open}&lang=${this.stringify_lang}`;
     }
-    const MARKS = '__IS_INITIALIZED__';
     if (webContents[MARKS]) {
-      if (htmlLoad == "moon") {
-        if(url.includes('px://')){
-          if (this.options.guest) { return; }
-          url.replace("px://", "");
-          url = fileUrl(`${this.options.dirname}/src/main/renderer/${url.replace("px://", "")}.html`)+`?port=${this.port_to_open}&lang=${this.stringify_lang}`;
-        }
-        webContents.loadURL(url);
-      }else if(htmlLoad == null) {
-        if(url.includes('px://')){
-          if (this.options.guest) { return; }
-          url.replace("px://", "");
-          url = fileUrl(`${this.options.dirname}/src/main/renderer/pageViews/${url.replace("px://", "")}.html`)+`?port=${this.port_to_open}&lang=${this.stringify_lang}`;
-        }
-        webContents.loadURL(url);
-      }
+      webContents.loadURL(url);
       return;
     }
 
+    this.initView(currentView, url);
+    this.setContentBounds();
+
+    if (this.options.debug) {
+     // webContents.openDevTools({ mode: 'detach' });
+    }
+  }
+
+  /**
+   * Bind a tab's listeners and load its first url
+   * @param {BrowserView} view
+   * @param {string} url
+   * @ignore
+   */
+  initView(view, url) {
+    const { webContents } = view;
+
+    // Sites get what they ask for unless it's blocked in their site info panel
+    if (this.siteSettings) this.siteSettings.watch(webContents.session);
+    this.siteSecurity.watch(webContents.session);
+
+    // Set in px://settings, see Preferences.js
+    const userAgent = this.preferences && this.preferences.get().userAgent;
+    if (userAgent) webContents.setUserAgent(userAgent);
+
+    this.bindViewEvents(view);
+    webContents.loadURL(url);
+    webContents[MARKS] = true;
+
+    //webContents.setUserAgent(`Mozilla/5.0 (Windows NT ${require('os').release()}; Win64; ${require('os').arch()}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/97.0.4692.71 Safari/537.36`)
+  }
+
+  /**
+   * Listen to a tab's webContents. Listeners are removed when the tab moves
+   * to another window, which binds its own
+   * @param {BrowserView} view
+   * @ignore
+   */
+  bindViewEvents(view) {
+    const { id, webContents } = view;
+
     const onNewWindow = (e, newUrl, frameName, disposition, winOptions) => {
       log.debug('on new-window', { disposition, newUrl, frameName });
 
@@ -475,176 +1052,87 @@ class RenderWindow extends EventEmitter {
       if (disposition === 'new-window') {
         e.newGuest = new BrowserWindow(winOptions);
       } else if (disposition === 'foreground-tab') {
-        this.newTab(newUrl, id);
+        this.newTab(newUrl, id, { container: this.containerRuleFor(newUrl) || this.tabContainer(id) });
         // `newGuest` must be setted to prevent freeze trigger tab in case.
         // The window will be destroyed automatically on trigger tab closed.
         e.newGuest = new BrowserWindow({ ...winOptions, show: false });
       } else {
-        this.newTab(newUrl, id);
+        this.newTab(newUrl, id, { container: this.containerRuleFor(newUrl) || this.tabContainer(id) });
       }
     };
 
-    var dirName = __dirname.replace("prod_lib","main/../../");
-
-    webContents.on('new-window', this.options.onNewWindow || onNewWindow);
-
-    ipcMain.on('print-webContent', (event,device) => {
-      this.printView(this.currentView.id,device);
-    });
-    
-    this.currentView.webContents.session.setPermissionRequestHandler((webContents, permission, callback) => {
-        // let allowedPermissions = ["audioCapture","hid","geolocation"]; // Full list here: https://developer.chrome.com/extensions/declare_permissions#manifest
-
-        // if (allowedPermissions.includes(permission)) {
-        //         callback(true); // Approve permission request
-        // } else {
-        //   console.error(
-        //     `The application tried to request permission for '${permission}'. This permission was not whitelisted and has been blocked.`
-        //   );
-        //     callback(false); // Deny
-        // }
-      callback(true);
-    });
     // Keep event in order
-
-    webContents
-      .on('did-start-loading', () => {
+    const events = Object.entries({
+      'new-window': this.options.onNewWindow || onNewWindow,
+      'did-start-loading': () => {
         log.debug('did-start-loading > set loading');
         this.setTabConfig(id, { isLoading: true });
-      })
-      .on('did-fail-load', (event, code, desc, url, isMainFrame) => {
+      },
+      'will-navigate': (e, href) => {
+        // Sites always opened in a container leave the tab's cookie jar for a new tab
+        const container = this.containerRuleFor(href);
+        if (!container || container === this.tabContainer(id)) return;
+        e.preventDefault();
+        this.openInContainer(href, container, id);
+      },
+      'did-navigate': (e, href) => {
+        if (this.savedEntryLoads[id]) {
+          delete this.savedEntryLoads[id];
+          // View's own history would lead away from the saved entries, they take over from here
+          if (!this.isErrorPage(href)) view.webContents.clearHistory();
+        }
+        if (this.tabConfigs[id] && this.tabConfigs[id].mixedContent) this.setTabConfig(id, { mixedContent: false });
+        this.recordNavigation(id, href);
+        this.setTabURL(id, href);
+        this.setFindResult(id, { matches: 0, activeMatchOrdinal: 0 });
+        if (this.tabConfigs[id] && this.tabConfigs[id].readerable) this.setTabConfig(id, { readerable: false });
+        // Site's mute and zoom apply to the new page
+        this.applyMuted(id);
+        this.applyZoom(id);
+      },
+      'found-in-page': (e, result) => {
+        this.setFindResult(id, result);
+      },
+      // Ctrl+wheel
+      'zoom-changed': (e, direction) => {
+        if (direction === 'in') this.zoomIn(id);
+        if (direction === 'out') this.zoomOut(id);
+      },
+      'did-fail-load': (event, code, desc, url, isMainFrame) => {
+        if (!NetErrors.showsErrorPage(code, isMainFrame) || this.isErrorPage(url)) return;
         log.error(`did-fail-loading > \n ErrorDesc : ${desc} \n ErrorCode : ${code} \n isMainFrame : ${isMainFrame}`);
-        webContents.loadURL(fileUrl(`${dirName}/src/main/renderer/web_fail_code.html`)+`?errorDescription=${desc}&code=${code}&url=${url}`);
-        this.setTabConfig(id, { isLoading: true });
-      })
-      .on('did-navigate-in-page', (e, url, isInPlace, isMainFrame) => {
+        this.showErrorPage(id, { url, code, description: desc });
+      },
+      // Without an exception the load fails with the certificate's error and gets its warning page
+      'certificate-error': (event, url, error, certificate, callback, isMainFrame) => {
+        event.preventDefault();
+        if (this.certExceptions && this.certExceptions.isAllowed(url, certificate)) {
+          callback(true);
+          return;
+        }
+        log.warn('certificate-error', { url, error, isMainFrame });
+        if (isMainFrame) this.certErrors[id] = { url, error, certificate };
+        callback(false);
+      },
+      'did-navigate-in-page': (e, url, isInPlace, isMainFrame) => {
         if (isMainFrame) {
-          const fileUrl = require('file-url');
-          var href = url;
-          if(href.includes(this.options.blankPage)){
-            href = "";
-          }
-
-          // if (href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/`))) {
-          //   var href2 = href.replace(fileUrl(`${dirName}/src/main/renderer/pageViews/`), "");
-          //   href2 = "px://"+href2.replace(".html","");
-          //   href = href2.replace(`?port=${this.port_to_open}&lang=${this.stringify_lang}`,"");
-          // }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/settings.html`))){
-            href = "px://settings";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/history.html`))){
-            href = "px://history";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/about.html`))){
-            href = "px://about";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/help.html`))){
-            href = "px://help";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/web_fail_code.html`))){
-            href = "px://network-error";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/credits.html`))){
-            href = "px://credits";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/settings.html`))){
-            href = "px://settings";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/history.html`))){
-            href = "px://history";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/about.html`))){
-            href = "px://about";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/help.html`))){
-            href = "px://help";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/web_fail_code.html`))){
-            href = "px://network-error";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/credits.html`))){
-            href = "px://credits";
-          }
-
-          if(href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews/marketplace.html`))){
-            href = "px://marketplace";
-          }
-
-          log.debug('did-start-navigation > set url address', {
-            href,
-            isInPlace,
-            isMainFrame
-          });
-
-          let date_ob = new Date();
-          let date = ("0" + date_ob.getDate()).slice(-2);
-          let month = ("0" + (date_ob.getMonth() + 1)).slice(-2);
-          let year = date_ob.getFullYear();
-          let hours = date_ob.getHours();
-          let minutes = date_ob.getMinutes();
-          let seconds = date_ob.getSeconds();
-
-          if (href.includes(fileUrl(`${dirName}/src/main/renderer/`))) {
-            //console.log("Not allowed to store in history");
-          }else if(href == ''){
-            //console.log("Can't store in history");
-          }else if (href.includes('px://')) {
-            //console.log("Not allowed to store in history");
-          }else if (href.includes(fileUrl(`${dirName}/src/main/renderer/pageViews`))) {
-            //console.log("Not allowed to store in history(Beta)");
-          }else if(this.options.guest){
-            //console.log("Not allowed to store history");
-          }else{
-            this.history.set(`${Date.now()}`,{
-              url:href,
-              date:{
-                date:date,
-                month:month,
-                year:year,
-                hours:hours,
-                minutes:minutes,
-                seconds:seconds,
-              }
-            });
-          }
-
-          const view = this.views[this.currentView.id];
-          this.controlView.webContents.send('url-enter-l', href);
-
-          this.setTabConfig(id, { url: href, href });
-          /**
-           * url-updated event.
-           *
-           * @event RenderWindow#url-updated
-           * @return {BrowserView} view - current browser view
-           * @return {string} href - updated url
-           */
-          this.emit('url-updated', { view: currentView, href });
+          this.recordNavigation(id, url);
+          log.debug('did-navigate-in-page > set url address', { url, isInPlace });
+          this.setTabURL(id, url);
         }
-      })
-      .on('will-redirect', (e, href) => {
+      },
+      'will-redirect': (e, href) => {
         log.debug('will-redirect > update url address', { href });
         this.setTabConfig(id, { url: href, href });
-        this.emit('url-updated', { view: currentView, href });
-      })
-      .on('page-title-updated', (e, title) => {
+        this.emit('url-updated', { view, href });
+      },
+      'page-title-updated': (e, title) => {
         log.debug('page-title-updated', title);
         this.setTabConfig(id, { title });
-      })
-      .on('page-favicon-updated', (e, favicons) => {
+        const key = this.historyKeys[id];
+        if (key && this.history.has(key)) this.history.set(`${key}.title`, title);
+      },
+      'page-favicon-updated': (e, favicons) => {
         var datal = favicons[0];
         var mthis = this;
         log.debug('page-favicon-updated', favicons);
@@ -654,14 +1142,19 @@ class RenderWindow extends EventEmitter {
           mthis.setTabConfig(id, { favicon: data });
         })
         
-      })
-      .on('did-stop-loading', () => {
+      },
+      'did-stop-loading': () => {
 
         log.debug('did-stop-loading', { title: webContents.getTitle() });
         this.setTabConfig(id, { isLoading: false });
-      })
-      .on('did-finish-load',() => {
-        if (url.includes(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/`))) {
+      },
+      'did-finish-load': () => {
+        if (this.isVisible(id)) this.captureThumbnail(id);
+        this.discoverSearchEngine(id);
+        this.checkReaderable(id);
+        // Reader view has its own fonts
+        const internal = this.isInternalURL(webContents.getURL()) || InternalPages.isInternalPage(webContents.getURL());
+        if (internal && !Reader.isReaderURL(webContents.getURL())) {
           webContents.insertCSS(`
             * {
               font-family: "Segoe UI"; 
@@ -674,128 +1167,2272 @@ class RenderWindow extends EventEmitter {
             }
           `);
         }
-      })
-      .on('login',(event, details, authInfo, callback) => {
+      },
+      login: (event, details, authInfo, callback) => {
         log.debug('did-login',{
           details : details,
           authInfo : authInfo
         })
-      })
-      .on('dom-ready', () => {
-        webContents.focus();
-      });
-
-    webContents.loadURL(url);
-    webContents[MARKS] = true;
-
-    webContents.on('unresponsive', async () => {
-      const { response } = await dialog.showMessageBox({
-        message: 'this Website has become unresponsive',
-        title: 'Do you want to try forcefully reloading the website?',
-        buttons: ['OK', 'Cancel'],
-        cancelId: 1
-      })
-      if (response === 0) {
-        webContents.forcefullyCrashRenderer()
-        webContents.reload()
+      },
+      'dom-ready': () => {
+        // Background tabs and the other split pane load without taking focus, a focused pane becomes current
+        if (id === this.currentViewId) webContents.focus();
+      },
+      'media-started-playing': () => {
+        this.updateAudible(id);
+      },
+      'media-paused': () => {
+        this.updateAudible(id);
+      },
+      'audio-state-changed': () => {
+        this.updateAudible(id);
+      },
+      // Clicking a split view pane makes it the current tab, nothing else focuses the other pane
+      focus: () => {
+        if (this.isSplit(id) && id !== this.currentViewId) this.setCurrentView(id);
+      },
+      unresponsive: async () => {
+        const { response } = await dialog.showMessageBox({
+          message: 'this Website has become unresponsive',
+          title: 'Do you want to try forcefully reloading the website?',
+          buttons: ['OK', 'Cancel'],
+          cancelId: 1
+        })
+        if (response === 0) {
+          webContents.forcefullyCrashRenderer()
+          webContents.reload()
+        }
       }
-    })
+    });
 
-    webContents
-      .executeJavaScript('localStorage.user_agent', true)
-      .then(result => {
-        if (result == undefined) {
-          //webContents.setUserAgent(`Mozilla/5.0 (Windows NT ${require('os').release()}; Win64; ${require('os').arch()}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/106.0.5249.199 Electron/21.4.4 Safari/537.36`)
-        }else{
-          webContents.setUserAgent(result);
-        }
-      });
+    events.forEach(([name, listener]) => webContents.on(name, listener));
+    this.viewEvents[id] = events;
+  }
+
+  /**
+   * Remove listeners added by bindViewEvents
+   * @param {TabID} viewId
+   * @ignore
+   */
+  unbindViewEvents(viewId) {
+    const view = this.views[viewId];
+    const events = this.viewEvents[viewId] || [];
+    if (view && !view.webContents.isDestroyed()) {
+      events.forEach(([name, listener]) => view.webContents.removeListener(name, listener));
+    }
+    delete this.viewEvents[viewId];
+  }
+
+  setCurrentView(viewId) {
+    if (!viewId) return;
+    if(viewId == null) return;
+    if (this.isDiscarded(viewId)) this.restoreDiscarded(viewId);
+    this.hideQuickSwitcher();
+    this.hideHoverCard();
+    this.hideOmnibox();
+    this.hideSiteInfo();
+    // Capture the tab going to background while it's still shown
+    if (this.currentViewId && this.currentViewId !== viewId) this.captureThumbnail(this.currentViewId);
+    if (this.split) {
+      // Tab outside of split view takes the current pane's place
+      if (!this.isSplit(viewId)) this.replaceSplitPane(viewId);
+    } else {
+      if(this.currentView !== null){
+        this.win.removeBrowserView(this.currentView);
+      }
+      this.win.addBrowserView(this.views[viewId]);
+    }
+    this.currentViewId = viewId;
+    const view = this.views[this.currentView.id];
+    this.controlView.webContents.send('url-enter-l', view.webContents.getURL());
+    // Find bar is open per tab
+    if (this.findStates[viewId] && this.findStates[viewId].open) {
+      this.showFindBar(viewId, false);
+    } else {
+      this.hideFindBar();
+    }
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {boolean} tab is shown, it's the current tab or a split view pane
+   */
+  isVisible(viewId) {
+    return viewId === this.currentViewId || this.isSplit(viewId);
+  }
+
+  /**
+   * Capture a downscaled thumbnail of a tab, it's kept until the next capture.
+   * Only tabs that are shown can be captured
+   * @param {TabID} viewId
+   * @returns {Promise<void>}
+   */
+  captureThumbnail(viewId) {
+    const view = this.views[viewId];
+    if (!view || view.webContents.isDestroyed()) return Promise.resolve();
+    return view.webContents
+      .capturePage()
+      .then(image => {
+        // Closed or moved to another window meanwhile
+        if (this.views[viewId] !== view || image.isEmpty()) return;
+        this.thumbnails[viewId] = `data:image/jpeg;base64,${image
+          .resize({ width: THUMBNAIL_WIDTH, quality: 'good' })
+          .toJPEG(70)
+          .toString('base64')}`;
+      })
+      .catch(err => log.debug('capture thumbnail failed', viewId, err.message));
+  }
+
+  /**
+   * Last captured thumbnail of a tab
+   * @param {TabID} viewId
+   * @returns {string|undefined} data url
+   */
+  getThumbnail(viewId) {
+    return this.thumbnails[viewId];
+  }
+
+  /**
+   * Memory a tab's renderer process uses
+   * @param {TabID} viewId
+   * @returns {number|undefined} in kilobytes, undefined for discarded tabs
+   */
+  tabMemory(viewId) {
+    const view = this.views[viewId];
+    if (!view || view.webContents.isDestroyed()) return;
+    const pid = view.webContents.getOSProcessId();
+    const metric = app.getAppMetrics().find(v => v.pid === pid);
+    return metric ? metric.memory.workingSetSize : undefined;
+  }
+
+  /**
+   * Show a tab's title, url, memory use and thumbnail next to its place in the strip
+   * @param {TabID} viewId
+   * @param {Bounds} rect - tab's bounds in the control view
+   */
+  showHoverCard(viewId, rect) {
+    if (!this.tabs.includes(viewId) || this.isQuickSwitcherOpen) return;
+    this.hoverCardTab = viewId;
+    if (!this.hoverCardView) {
+      this.hoverCardView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.hoverCardView.setBackgroundColor('#00000000');
+      this.hoverCardView.webContents.loadURL(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/hover-card.html`));
+    }
+    const show = () => {
+      // Hovered another tab or left the strip meanwhile
+      if (this.hoverCardTab !== viewId || !this.tabs.includes(viewId)) return;
+      const { title, url } = this.tabConfigs[viewId] || {};
+      const thumbnail = this.thumbnails[viewId];
+      const [contentWidth, contentHeight] = this.win.getContentSize();
+      const height = thumbnail ? 210 : 72;
+      // Below a tab above the page, right of a tab in the side panel
+      const [x, y] = this.sidebarWidth
+        ? [rect.x + rect.width + 4, rect.y]
+        : [rect.x, rect.y + rect.height + 4];
+      const view = this.hoverCardView;
+      this.win.addBrowserView(view);
+      this.win.setTopBrowserView(view);
+      view.setBounds({
+        x: Math.round(Math.max(0, Math.min(x, contentWidth - HOVER_CARD_WIDTH))),
+        y: Math.round(Math.max(0, Math.min(y, contentHeight - height))),
+        width: HOVER_CARD_WIDTH,
+        height
+      });
+      view.webContents.send('hover-card', {
+        title,
+        url: this.tabURL(viewId) || url,
+        memory: this.tabMemory(viewId),
+        discarded: this.isDiscarded(viewId),
+        thumbnail
+      });
+    };
+    // Current tab's thumbnail is refreshed first, it may have changed since it was shown
+    const capture = this.isVisible(viewId) ? this.captureThumbnail(viewId) : Promise.resolve();
+    capture.then(() => {
+      if (!this.hoverCardView) return;
+      if (this.hoverCardView.webContents.isLoading()) {
+        this.hoverCardView.webContents.once('did-finish-load', show);
+      } else {
+        show();
+      }
+    });
+  }
+
+  /**
+   * Hide hover card, if it's shown
+   */
+  hideHoverCard() {
+    this.hoverCardTab = null;
+    if (!this.hoverCardView) return;
+    this.win.removeBrowserView(this.hoverCardView);
+  }
+
+  /**
+   * Ask for suggestions of the address bar's text, they're sent to the control panel
+   * unless it was typed on meanwhile
+   * @param {string} text
+   * @ignore
+   */
+  queryOmnibox(text = '') {
+    this.omniboxText = text;
+    if (!this.omnibox || !text.trim()) {
+      this.hideOmnibox();
+      if (this.ipc) this.ipc.reply('omnibox-suggestions', { text, items: [] });
+      return;
+    }
+    this.omnibox.suggest(text, { tabId: this.currentViewId }).then(items => {
+      if (this.omniboxText !== text || !this.ipc) return;
+      this.ipc.reply('omnibox-suggestions', { text, items });
+    });
+  }
+
+  /**
+   * Show suggestions in the dropdown under the address bar
+   * @param {Suggestion[]} items
+   * @param {number} selected - highlighted suggestion, -1 for none
+   * @param {Bounds} rect - address bar in the control panel
+   */
+  showOmnibox(items = [], selected = -1, rect) {
+    if (!items.length || !rect) {
+      this.hideOmnibox();
+      return;
+    }
+    if (!this.omniboxView) {
+      this.omniboxView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.omniboxView.setBackgroundColor('#00000000');
+      this.omniboxView.webContents.loadURL(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/omnibox.html`));
+    }
+    const view = this.omniboxView;
+    const [contentWidth] = this.win.getContentSize();
+    // Control panel is at the window's top left, its coordinates are the window's
+    const x = Math.round(Math.max(0, rect.x));
+    const width = Math.round(Math.min(Math.max(rect.width, 360), contentWidth - x));
+    this.win.addBrowserView(view);
+    this.win.setTopBrowserView(view);
+    view.setBounds({
+      x,
+      y: Math.round(rect.y + rect.height + 2),
+      width,
+      height: items.length * OMNIBOX_ROW_HEIGHT + 10
+    });
+
+    const send = () => view.webContents.send('omnibox-items', { items, selected });
+    if (view.webContents.isLoading()) {
+      view.webContents.once('did-finish-load', send);
+    } else {
+      send();
+    }
+  }
+
+  /**
+   * Hide address bar suggestions, if they're shown
+   */
+  hideOmnibox() {
+    if (!this.omniboxView) return;
+    this.win.removeBrowserView(this.omniboxView);
+  }
+
+  /**
+   * Remove a suggestion from its source, then suggest again for the same text
+   * @param {Suggestion} item
+   * @ignore
+   */
+  removeOmniboxSuggestion(item) {
+    if (!this.omnibox || !item) return;
+    this.omnibox.remove(item);
+    this.queryOmnibox(this.omniboxText);
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {FindState}
+   * @ignore
+   */
+  findState(viewId) {
+    if (!this.findStates[viewId]) {
+      this.findStates[viewId] = { open: false, text: '', matchCase: false, matches: 0, active: 0 };
+    }
+    return this.findStates[viewId];
+  }
+
+  /**
+   * Open a tab's find bar with its last search, the page is searched again
+   * @param {TabID} [viewId=this.currentViewId]
+   * @param {boolean} [focus=true] - select the search text to type over it
+   */
+  showFindBar(viewId = this.currentViewId, focus = true) {
+    if (!this.views[viewId] || viewId !== this.currentViewId) return;
+    const state = this.findState(viewId);
+    state.open = true;
+    if (!this.findView) {
+      this.findView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.findView.setBackgroundColor('#00000000');
+      this.findView.webContents.loadURL(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/find-bar.html`));
+    }
+    const view = this.findView;
+    this.win.addBrowserView(view);
+    this.win.setTopBrowserView(view);
+    this.placeFindBar();
+
+    const send = () => {
+      view.webContents.send('find-bar-state', { ...state, focus });
+      if (focus) view.webContents.focus();
+    };
+    if (view.webContents.isLoading()) {
+      view.webContents.once('did-finish-load', send);
+    } else {
+      send();
+    }
+    if (state.text) this.findInPage(viewId, state.text, state.matchCase);
+  }
+
+  /**
+   * Keep the find bar at the top right of the page
+   * @ignore
+   */
+  placeFindBar() {
+    if (!this.findView || !this.win.getBrowserViews().includes(this.findView)) return;
+    const area = this.getContentArea();
+    const width = Math.min(FIND_BAR_WIDTH, area.width - 20);
+    this.findView.setBounds({
+      x: area.x + area.width - width - 20,
+      y: area.y + 6,
+      width,
+      height: FIND_BAR_HEIGHT
+    });
+  }
+
+  /**
+   * Hide the find bar overlay, the tab's find bar stays open for when it's current again
+   * @ignore
+   */
+  hideFindBar() {
+    if (!this.findView) return;
+    this.win.removeBrowserView(this.findView);
+  }
+
+  /**
+   * Close a tab's find bar and its highlights, the search text is kept
+   * @param {TabID} [viewId=this.currentViewId]
+   */
+  closeFindBar(viewId = this.currentViewId) {
+    const state = this.findStates[viewId];
+    if (!state || !state.open) return;
+    state.open = false;
+    const view = this.views[viewId];
+    if (view) view.webContents.stopFindInPage('keepSelection');
+    if (viewId !== this.currentViewId) return;
+    this.hideFindBar();
+    if (this.currentWebContents) this.currentWebContents.focus();
+  }
+
+  /**
+   * Search a tab's page for text, an empty text clears the highlights
+   * @param {TabID} viewId
+   * @param {string} text
+   * @param {boolean} [matchCase=false]
+   */
+  findInPage(viewId, text = '', matchCase = false) {
+    const view = this.views[viewId];
+    if (!view) return;
+    const state = this.findState(viewId);
+    state.text = text;
+    state.matchCase = !!matchCase;
+    if (!text) {
+      view.webContents.stopFindInPage('clearSelection');
+      this.setFindResult(viewId, { matches: 0, activeMatchOrdinal: 0 });
+      return;
+    }
+    view.webContents.findInPage(text, { findNext: true, matchCase: state.matchCase });
+  }
+
+  /**
+   * Highlight the next or previous match, the find bar opens if it's closed
+   * @param {TabID} [viewId=this.currentViewId]
+   * @param {boolean} [forward=true]
+   */
+  findNext(viewId = this.currentViewId, forward = true) {
+    const view = this.views[viewId];
+    if (!view) return;
+    const state = this.findState(viewId);
+    if (!state.open || !state.text) {
+      this.showFindBar(viewId);
+      return;
+    }
+    view.webContents.findInPage(state.text, { forward, findNext: false, matchCase: state.matchCase });
+  }
+
+  /**
+   * Count of a tab's matches changed, tell its find bar
+   * @param {TabID} viewId
+   * @param {object} result - `found-in-page` result
+   * @ignore
+   */
+  setFindResult(viewId, result) {
+    const state = this.findStates[viewId];
+    if (!state) return;
+    if (typeof result.matches === 'number') state.matches = result.matches;
+    if (typeof result.activeMatchOrdinal === 'number') state.active = result.activeMatchOrdinal;
+    if (!state.open || viewId !== this.currentViewId || !this.findView) return;
+    this.findView.webContents.send('find-bar-result', { matches: state.matches, active: state.active });
+  }
+
+  /**
+   * Show the current tab's site info panel under the address bar's chip, it hides when it loses focus
+   * @param {number} x - chip's left in control view
+   * @param {number} y - chip's bottom in control view
+   */
+  showSiteInfo(x = 0, y = 0) {
+    if (!this.currentView) return;
+    if (!this.siteInfoView) {
+      this.siteInfoView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.siteInfoView.setBackgroundColor('#00000000');
+      const lang = encodeURIComponent(JSON.stringify(this.pageLang()));
+      this.siteInfoView.webContents.loadURL(
+        `${fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/site-info.html`)}?lang=${lang}`
+      );
+      this.siteInfoView.webContents.on('blur', () => this.hideSiteInfo());
+    }
+    const view = this.siteInfoView;
+    const [contentWidth] = this.win.getContentSize();
+    this.siteInfoTab = this.currentViewId;
+    this.siteInfoPosition = {
+      x: Math.round(Math.max(0, Math.min(x, contentWidth - SITE_INFO_WIDTH))),
+      y: Math.round(y + 4)
+    };
+    this.win.addBrowserView(view);
+    this.win.setTopBrowserView(view);
+    this.placeSiteInfo(view.getBounds().height || 200);
+
+    const send = () => {
+      this.sendSiteInfo();
+      view.webContents.focus();
+    };
+    if (view.webContents.isLoading()) {
+      view.webContents.once('did-finish-load', send);
+    } else {
+      send();
+    }
+  }
+
+  /**
+   * Fit the site info panel to its content, it can't go below the window
+   * @param {number} height - panel page's height
+   * @ignore
+   */
+  placeSiteInfo(height) {
+    if (!this.siteInfoView || !this.siteInfoTab) return;
+    const [, contentHeight] = this.win.getContentSize();
+    const { x, y } = this.siteInfoPosition;
+    this.siteInfoView.setBounds({
+      x,
+      y,
+      width: SITE_INFO_WIDTH,
+      height: Math.round(Math.max(0, Math.min(height, contentHeight - y - 8)))
+    });
+  }
+
+  /**
+   * Hide the site info panel, if it's shown
+   */
+  hideSiteInfo() {
+    if (!this.siteInfoView || !this.siteInfoTab) return;
+    this.siteInfoTab = null;
+    this.win.removeBrowserView(this.siteInfoView);
+  }
+
+  /**
+   * What the site info panel shows about a tab's page
+   * @param {TabID} viewId
+   * @returns {Promise<SiteInfo>}
+   */
+  siteInfo(viewId) {
+    const url = this.tabURL(viewId);
+    const { security = 'none', certError = '' } = this.tabConfigs[viewId] || {};
+    const origin = SiteSettings.originOf(url);
+    const verified = url.startsWith('https:') ? this.siteSecurity.certificate(url) : undefined;
+    const info = {
+      url,
+      origin,
+      security,
+      certError,
+      certificate: verified ? CertExceptions.certificateDetails(verified.certificate) : null,
+      verificationResult: verified ? verified.verificationResult : '',
+      permissions: (origin && this.siteSettings && this.siteSettings.permissions(url)) || {},
+      cookies: 0,
+      storage: -1
+    };
+    const view = this.views[viewId];
+    if (!origin || !view) return Promise.resolve(info);
+    const { webContents } = view;
+    // Error pages aren't the site, they can't tell what it stores
+    const storage = SiteSettings.originOf(webContents.getURL()) === origin
+      ? webContents.executeJavaScriptInIsolatedWorld(SITE_INFO_WORLD, [
+          { code: 'navigator.storage.estimate().then(estimate => estimate.usage)' }
+        ])
+      : Promise.resolve(-1);
+    return Promise.all([
+      webContents.session.cookies.get({ url }).then(cookies => cookies.length, () => 0),
+      storage.then(usage => (typeof usage === 'number' ? usage : -1), () => -1)
+    ]).then(([cookies, usage]) => ({ ...info, cookies, storage: usage }));
+  }
+
+  /**
+   * Send the site info panel what it shows, when the tab it's about is still the same
+   * @ignore
+   */
+  sendSiteInfo() {
+    const viewId = this.siteInfoTab;
+    if (!viewId || !this.siteInfoView) return;
+    this.siteInfo(viewId)
+      .then(info => {
+        if (viewId !== this.siteInfoTab || !this.siteInfoView) return;
+        this.siteInfoView.webContents.send('site-info', info);
+      })
+      .catch(e => log.warn('site info', e.message || e));
+  }
+
+  /**
+   * Allow or block a permission for a site, or forget it
+   * @param {TabID|string} tab - tab showing the site, or any url of it
+   * @param {string} permission
+   * @param {'allow'|'block'} [value] - undefined forgets the site's decision
+   */
+  setSitePermission(tab, permission, value) {
+    const url = typeof tab === 'string' ? tab : this.tabURL(tab);
+    if (!this.siteSettings || !permission || !SiteSettings.originOf(url)) return;
+    const { [permission]: _, ...rest } = this.siteSettings.get(url, 'permissions') || {};
+    const permissions = value === 'allow' || value === 'block' ? { ...rest, [permission]: value } : rest;
+    this.siteSettings.set(url, 'permissions', Object.keys(permissions).length ? permissions : undefined);
+  }
+
+  /**
+   * Remove a tab's site cookies and storage, then reload its page
+   * @param {TabID} viewId
+   * @returns {Promise<void>}
+   */
+  clearSiteData(viewId) {
+    const view = this.views[viewId];
+    const url = this.tabURL(viewId);
+    const origin = SiteSettings.originOf(url);
+    if (!view || !origin) return Promise.resolve();
+    const { session } = view.webContents;
+    return session.cookies
+      .get({ url })
+      .then(cookies => Promise.all(cookies.map(cookie => session.cookies.remove(url, cookie.name))))
+      .then(() => session.clearStorageData({ origin, storages: SITE_STORAGES }))
+      .then(() => {
+        log.info('site data cleared', origin);
+        view.webContents.reload();
+        if (viewId === this.siteInfoTab) this.sendSiteInfo();
+      })
+      .catch(e => log.warn('Unable to clear site data', origin, e.message || e));
+  }
+
+  /**
+   * Id of the tab showing a webContents
+   * @param {WebContents} webContents
+   * @returns {TabID|undefined}
+   */
+  tabIdOf(webContents) {
+    return this.tabs.find(id => this.views[id] && this.views[id].webContents === webContents);
+  }
+
+  /**
+   * Is a tab muted, by itself or by its site
+   * @param {TabID} viewId
+   * @returns {boolean}
+   */
+  isMuted(viewId) {
+    const { tabMuted } = this.tabConfigs[viewId] || {};
+    return typeof tabMuted === 'boolean' ? tabMuted : this.isSiteMuted(this.tabURL(viewId));
+  }
+
+  /**
+   * @param {string} url
+   * @returns {boolean} url's site is always muted
+   */
+  isSiteMuted(url) {
+    return !!this.siteSettings && !!this.siteSettings.get(url, 'muted');
+  }
+
+  /**
+   * Mute or unmute a tab, whatever its site's setting is
+   * @param {TabID} viewId
+   * @param {boolean} muted
+   */
+  setTabMuted(viewId, muted) {
+    if (!this.tabs.includes(viewId)) return;
+    this.setTabConfig(viewId, { tabMuted: !!muted });
+    this.applyMuted(viewId);
+  }
+
+  /**
+   * Always mute a site, or stop muting it, in every window
+   * @param {string} url - any url of the site
+   * @param {boolean} muted
+   */
+  setSiteMuted(url, muted) {
+    if (!this.siteSettings) return;
+    this.siteSettings.set(url, 'muted', muted ? true : undefined);
+  }
+
+  /**
+   * Site's mute changed, its tabs follow it again
+   * @param {string} origin
+   * @ignore
+   */
+  applySiteMuted(origin) {
+    this.tabs
+      .filter(id => SiteSettings.originOf(this.tabURL(id)) === origin)
+      .forEach(id => {
+        this.setTabConfig(id, { tabMuted: undefined });
+        this.applyMuted(id);
+      });
+  }
+
+  /**
+   * Mute or unmute a tab's webContents as its config and site say
+   * @param {TabID} viewId
+   * @ignore
+   */
+  applyMuted(viewId) {
+    const view = this.views[viewId];
+    const muted = this.isMuted(viewId);
+    if (view && !view.webContents.isDestroyed()) view.webContents.setAudioMuted(muted);
+    this.setTabConfig(viewId, { muted });
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @ignore
+   */
+  updateAudible(viewId) {
+    const view = this.views[viewId];
+    if (!view || view.webContents.isDestroyed()) return;
+    const audible = view.webContents.isCurrentlyAudible();
+    if (!!this.tabConfigs[viewId].audible === audible) return;
+    this.setTabConfig(viewId, { audible });
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {number} zoom factor, 1 is 100%
+   */
+  getZoom(viewId) {
+    return (this.tabConfigs[viewId] || {}).zoom || 1;
+  }
+
+  /**
+   * Zoom a tab, the zoom is remembered for its site and applies to every tab of it.
+   * Pages without a site, like ours, are only zoomed until they navigate
+   * @param {TabID} viewId
+   * @param {number} factor - 1 is 100%
+   */
+  setZoom(viewId, factor) {
+    if (!this.tabs.includes(viewId)) return;
+    const zoom = Math.min(Math.max(factor, ZOOM_FACTORS[0]), ZOOM_FACTORS[ZOOM_FACTORS.length - 1]);
+    const url = this.tabURL(viewId);
+    if (this.siteSettings && SiteSettings.originOf(url)) {
+      // applySiteZoom zooms this tab with the others
+      this.siteSettings.set(url, 'zoom', zoom === 1 ? undefined : zoom);
+      return;
+    }
+    const view = this.views[viewId];
+    if (view && !view.webContents.isDestroyed()) view.webContents.setZoomFactor(zoom);
+    this.setTabConfig(viewId, { zoom });
+  }
+
+  /**
+   * @param {TabID} viewId
+   */
+  zoomIn(viewId) {
+    const current = this.getZoom(viewId);
+    const next = ZOOM_FACTORS.find(v => v > current + 0.001);
+    if (next) this.setZoom(viewId, next);
+  }
+
+  /**
+   * @param {TabID} viewId
+   */
+  zoomOut(viewId) {
+    const current = this.getZoom(viewId);
+    const next = [...ZOOM_FACTORS].reverse().find(v => v < current - 0.001);
+    if (next) this.setZoom(viewId, next);
+  }
+
+  /**
+   * @param {TabID} viewId
+   */
+  resetZoom(viewId) {
+    this.setZoom(viewId, 1);
+  }
+
+  /**
+   * Site's zoom changed, its tabs follow it
+   * @param {string} origin
+   * @ignore
+   */
+  applySiteZoom(origin) {
+    this.tabs
+      .filter(id => SiteSettings.originOf(this.tabURL(id)) === origin)
+      .forEach(id => this.applyZoom(id));
+  }
+
+  /**
+   * Zoom a tab's webContents as its site says
+   * @param {TabID} viewId
+   * @ignore
+   */
+  applyZoom(viewId) {
+    const view = this.views[viewId];
+    const zoom = (this.siteSettings && this.siteSettings.get(this.tabURL(viewId), 'zoom')) || 1;
+    if (view && !view.webContents.isDestroyed()) view.webContents.setZoomFactor(zoom);
+    this.setTabConfig(viewId, { zoom });
+  }
+
+  /**
+   * Tell px://settings pages about sites with their own zoom
+   * @ignore
+   */
+  sendSiteZoom() {
+    if (!this.siteSettings) return;
+    const sites = this.siteSettings.all();
+    this.io.emit(
+      'site_zoom',
+      Object.keys(sites)
+        .filter(origin => sites[origin].zoom)
+        .map(origin => ({ origin, zoom: sites[origin].zoom }))
+    );
+  }
+
+  /**
+   * Container a tab is opened in
+   * @param {TabID} viewId
+   * @returns {string|undefined}
+   */
+  tabContainer(viewId) {
+    return (this.tabConfigs[viewId] || {}).container;
+  }
+
+  /**
+   * Container a site always opens in
+   * @param {string} url
+   * @returns {string|undefined}
+   */
+  containerRuleFor(url) {
+    return this.containers && url ? this.containers.ruleFor(url) : undefined;
+  }
+
+  /**
+   * Open a url in a new tab of a container, next to the tab it comes from.
+   * That tab is closed if it was only showing the new tab page
+   * @param {string} url
+   * @param {string} [container] - no container opens it in the default session
+   * @param {TabID} [fromId]
+   * @returns {BrowserView}
+   */
+  openInContainer(url, container, fromId) {
+    const replace = fromId && (!this.tabURL(fromId) || this.tabURL(fromId).startsWith(this.options.blankPage));
+    const view = this.newTab(url, fromId, { container: container || '' });
+    if (replace) this.closeTab(fromId);
+    return view;
+  }
+
+  /**
+   * Tell control panel and px://settings pages about containers
+   * @ignore
+   */
+  sendContainers() {
+    if (!this.containers) return;
+    const containers = this.containers.list();
+    if (this.ipc) this.ipc.reply('containers-update', containers);
+    this.io.emit('containers', { containers, rules: this.containers.rules() });
+  }
+
+  /**
+   * Tell control panel and px://settings pages about search engines
+   * @ignore
+   */
+  sendSearchEngines() {
+    const state = this.searchEngines.state();
+    if (this.ipc) this.ipc.reply('search-engines-update', state);
+    this.io.emit('search_engines', state);
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {boolean} tab is one of split view's panes
+   */
+  isSplit(viewId) {
+    return !!this.split && this.split.ids.includes(viewId);
+  }
+
+  /**
+   * Show two tabs side by side, an existing split view is closed first
+   * @param {TabID} viewId - first(left/top) pane
+   * @param {TabID} otherId - second(right/bottom) pane, it gets focus
+   * @param {'horizontal'|'vertical'} [orientation='horizontal']
+   */
+  splitTabs(viewId, otherId, orientation = 'horizontal') {
+    if (viewId === otherId || ![viewId, otherId].every(id => this.tabs.includes(id))) return;
+    if (this.split) this.unsplit(this.currentViewId);
+    log.debug('split tabs', { viewId, otherId, orientation });
+    [viewId, otherId].forEach(id => {
+      if (this.isDiscarded(id)) this.restoreDiscarded(id);
+    });
+    if (this.currentView) this.win.removeBrowserView(this.currentView);
+    this.defCurrentViewId = null;
+
+    this.split = { ids: [viewId, otherId], orientation, ratio: 0.5 };
+    this.win.addBrowserView(this.views[viewId]);
+    this.win.addBrowserView(this.views[otherId]);
+    this.showSplitDivider();
+    this.setTabConfig(viewId, { split: true });
+    this.setTabConfig(otherId, { split: true });
+    this.setCurrentView(otherId);
+  }
+
+  /**
+   * Close split view and keep one of its panes
+   * @param {TabID} [keepId=this.currentViewId]
+   */
+  unsplit(keepId = this.currentViewId) {
+    if (!this.split) return;
+    const { ids } = this.split;
+    log.debug('unsplit tabs', ids);
+    this.split = null;
+    this.isDraggingSplit = false;
+    ids.forEach(id => {
+      if (this.views[id]) this.win.removeBrowserView(this.views[id]);
+      this.setTabConfig(id, { split: false });
+    });
+    this.win.removeBrowserView(this.dividerView);
+    this.defCurrentViewId = null;
+    this.setCurrentView(ids.includes(keepId) ? keepId : ids[0]);
+  }
+
+  /**
+   * Put a tab in the current pane's place, the replaced tab goes back to the strip
+   * @param {TabID} viewId
+   * @ignore
+   */
+  replaceSplitPane(viewId) {
+    const index = this.split.ids.indexOf(this.currentViewId);
+    const replaced = this.split.ids[index];
+    this.win.removeBrowserView(this.views[replaced]);
+    this.setTabConfig(replaced, { split: false });
+    this.split.ids[index] = viewId;
+    this.win.addBrowserView(this.views[viewId]);
+    this.setTabConfig(viewId, { split: true });
+    // Keep the divider over the panes
+    this.win.setTopBrowserView(this.dividerView);
+  }
+
+  /**
+   * Swap split view's panes
+   */
+  swapPanes() {
+    if (!this.split) return;
+    this.split.ids.reverse();
+    this.setContentBounds();
+  }
+
+  /**
+   * @param {'horizontal'|'vertical'} orientation - horizontal puts panes side by side
+   */
+  setSplitOrientation(orientation) {
+    if (!this.split) return;
+    this.split.orientation = orientation;
+    this.setContentBounds();
+  }
+
+  /**
+   * Open url in a new tab next to the current one and show both in split view
+   * @param {string} url
+   */
+  openInSplit(url) {
+    const keepId = this.currentViewId;
+    if (!keepId) return;
+    if (this.split) this.unsplit(keepId);
+    this.newTab(url, keepId);
+    this.splitTabs(keepId, this.currentViewId);
+  }
+
+  /**
+   * Move split view's divider to a screen point
+   * @param {number} screenX
+   * @param {number} screenY
+   * @ignore
+   */
+  dragSplit(screenX, screenY) {
+    if (!this.split) return;
+    const { x, y } = this.win.getContentBounds();
+    const area = this.getContentArea();
+    const ratio = this.split.orientation === 'horizontal'
+      ? (screenX - x - area.x) / area.width
+      : (screenY - y - area.y) / area.height;
+    this.split.ratio = Math.min(1 - SPLIT_MIN_RATIO, Math.max(SPLIT_MIN_RATIO, ratio));
+    this.setContentBounds();
+  }
+
+  /**
+   * Add split view's divider on top of the panes, it's created on first use
+   * @ignore
+   */
+  showSplitDivider() {
+    if (!this.dividerView) {
+      this.dividerView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.dividerView.setBackgroundColor('#00000000');
+      this.dividerView.webContents.loadURL(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/split-divider.html`));
+    }
+    this.win.addBrowserView(this.dividerView);
+    this.win.setTopBrowserView(this.dividerView);
+  }
+
+  /**
+   * Create a tab's view, our own pages get node integration
+   * @param {string} [url]
+   * @param {string} [container] - container id, its partition keeps the tab's cookies apart
+   * @returns {BrowserView}
+   * @ignore
+   */
+  createView(url, container) {
+    //Main for Tabs
+    var nodeIntegration = false;
+    var contextIsolation = true;
+    if(url !== undefined){
+      if(url.includes(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/`))){
+        nodeIntegration = true;
+        contextIsolation = false;
+      }else{
+        nodeIntegration = false;
+        contextIsolation = true;
+      }
+    }else{
+      nodeIntegration = true;
+      contextIsolation = false;
+    }
+    const view = new BrowserView({
+      webPreferences: {
+        // Set sandbox to support window.opener
+        // See: https://github.com/electron/electron/issues/1865#issuecomment-249989894
+        nodeIntegration: nodeIntegration,
+        contextIsolation: contextIsolation,
+        preload: InternalPages.PRELOAD,
+        // Tabs without a container share the default session
+        ...(container ? { partition: Containers.partitionOf(container) } : {})
+      }
+    });
+    InternalPages.handleProtocol(view.webContents.session);
+
+    view.id = view.webContents.id;
+    return view;
+  }
+
+  /**
+   * Create a tab
+   *
+   * @param {string} [url=this.options.blankPage]
+   * @param {number} [appendTo] - add next to specified tab's id
+   * @param {object} [references=this.options.viewReferences] - custom webPreferences to this tab
+   * @param {string} [references.container] - container to open the tab in, the site's rule by default
+   *
+   * @fires RenderWindow#new-tab
+   */
+  newTab(url, appendTo, references) {
+    const { container = this.containerRuleFor(url) } = references || {};
+    const containerId = this.containers && this.containers.get(container) ? container : undefined;
+    const view = this.createView(url, containerId);
+
+    if (appendTo) {
+      // Tabs opened from a pinned tab go right after the pinned ones
+      const prevIndex = this.isPinned(appendTo) ? this.pinnedCount() - 1 : this.tabs.indexOf(appendTo);
+      this.tabs.splice(prevIndex + 1, 0, view.id);
+      // Tabs opened from a grouped tab join its group
+      const group = TabGroups.groupOf(this.groups, appendTo);
+      if (group) {
+        this.defGroups = TabGroups.addTab(this.groups, group.id, view.id, appendTo);
+      }
+    } else {
+      this.tabs.push(view.id);
+    }
+    this.views[view.id] = view;
+    // Known before loading, so the url isn't sent to another container again
+    this.setTabConfig(view.id, { container: containerId });
+
+    // Add to manager first
+    const lastView = this.currentView;
+    this.setCurrentView(view.id);
+    view.setAutoResize({ width: true, height: true });
+    this.loadURL(url || this.options.blankPage+"?lang="+this.stringify_lang);
+    this.setTabConfig(view.id, {
+      title: this.options.blankTitle || 'about:blank'
+    });
+    /**
+     * new-tab event.
+     *
+     * @event RenderWindow#new-tab
+     * @return {BrowserView} view - current browser view
+     * @return {string} [source.openedURL] - opened with url
+     * @return {BrowserView} source.lastView - previous active view
+     */
+    // var uril = "px://newtab";
+    // this.emit('url-updated', { view: view, uril });
+    // this.emit('new-tab', view, { openedURL: uril, lastView });
+    return view;
+  }
+
+  /**
+   * Is url one of our own pages under src/main/renderer
+   * @param {string} url
+   * @ignore
+   */
+  isInternalURL(url) {
+    return !!url && url.includes(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/`));
+  }
+
+  /**
+   * Is url the page failed loads are retried from
+   * @param {string} url
+   * @ignore
+   */
+  isErrorPage(url) {
+    return NetErrors.isErrorPageURL(url);
+  }
+
+  /**
+   * Show why a tab's page failed to load, the address bar keeps the page's url
+   * and Reload or the error page try it again
+   * @param {TabID} viewId
+   * @param {object} error
+   * @param {string} error.url - url that failed
+   * @param {number} error.code - net error code
+   * @param {string} [error.description] - like `ERR_NAME_NOT_RESOLVED`
+   * @ignore
+   */
+  showErrorPage(viewId, error) {
+    const view = this.views[viewId];
+    if (!view || !error.url) return;
+    // It's the tab's page, going back to it or restoring it loads it again
+    this.recordNavigation(viewId, error.url);
+    const url = InternalPages.displayURL(error.url);
+    this.setTabConfig(viewId, { url, href: url, isLoading: false, security: 'none' });
+    if (viewId === this.currentViewId) this.controlView.webContents.send('url-enter-l', url);
+    view.webContents.loadURL(NetErrors.errorPageURL(error));
+  }
+
+  /**
+   * Can a tab go back, error pages skip the failed page's entry before them
+   * @param {WebContents} webContents
+   * @returns {boolean}
+   * @ignore
+   */
+  canGoBack(webContents) {
+    return this.isErrorPage(webContents.getURL()) ? webContents.canGoToOffset(-2) : webContents.canGoBack();
+  }
+
+  /**
+   * Url to load a saved page with. Pages older versions saved as files and
+   * `view-source:` urls open as px:// pages, other file pages get this instance's port and language
+   * @param {string} url
+   * @ignore
+   */
+  loadableURL(url) {
+    const page = InternalPages.fromFileURL(url) || InternalPages.fromViewSource(url);
+    if (page) return page;
+    if (!this.isInternalURL(url) || url.includes('?')) return url;
+    return url+`?port=${this.port_to_open}&lang=${this.stringify_lang}`;
+  }
+
+  /**
+   * Strings of the window's language for our pages and panels, English where it has none
+   * @returns {Object<string, string>}
+   */
+  pageLang() {
+    return { ...require('../main/translations/en.json'), ...this.current_lang };
+  }
+
+  /**
+   * What px:// pages of this window learn on load, see internalPagePreload.js
+   * @returns {{port: number, lang: object, preferences: Prefs|null}}
+   */
+  internalPageInfo() {
+    return {
+      port: this.port_to_open,
+      lang: this.pageLang(),
+      preferences: this.preferences ? this.preferences.get() : null
+    };
+  }
+
+  /**
+   * Preferences changed, the control panel and px:// tabs restyle and tabs get the user agent
+   * @ignore
+   */
+  applyPreferences() {
+    const prefs = this.preferences.get();
+    if (this.ipc) this.ipc.reply('preferences', prefs);
+    this.tabs.forEach(id => {
+      const view = this.views[id];
+      if (!view) return;
+      view.webContents.setUserAgent(prefs.userAgent || app.userAgentFallback);
+      if (InternalPages.isInternalPage(view.webContents.getURL())) view.webContents.send('preferences', prefs);
+    });
+  }
+
+  /**
+   * Track tab's back/forward entries so they can be saved with the session
+   * @param {TabID} viewId
+   * @param {string} url - navigated url
+   * @ignore
+   */
+  recordNavigation(viewId, url) {
+    const tab = this.tabConfigs[viewId];
+    if (!tab || !url) return;
+    // Failed loads are retried from the error page, keep the original entry
+    if (this.isErrorPage(url)) return;
+    // port and lang change every start, they are added back on restore
+    const entry = this.isInternalURL(url) ? url.split('?')[0] : InternalPages.displayURL(url);
+    const offset = this.pendingNavOffset[viewId];
+    delete this.pendingNavOffset[viewId];
+    this.setTabConfig(viewId, SessionStore.recordNavigation(tab, entry, offset));
+  }
+
+  /**
+   * Show a tab's new page in the address bar and remember the visit.
+   * The blank page shows empty, the error page keeps the url that failed
+   * @param {TabID} viewId
+   * @param {string} url - navigated url
+   * @ignore
+   */
+  setTabURL(viewId, url) {
+    if (!url || this.isErrorPage(url)) return;
+    const href = url.startsWith(this.options.blankPage) ? '' : InternalPages.displayURL(url);
+    this.addHistory(viewId, href);
+    this.controlView.webContents.send('url-enter-l', href);
+    this.setTabConfig(viewId, { url: href, href, reader: Reader.isReaderURL(href) });
+    this.applyBookmarked(viewId);
+    this.applySecurity(viewId);
+    /**
+     * url-updated event.
+     *
+     * @event RenderWindow#url-updated
+     * @return {BrowserView} view - current browser view
+     * @return {string} href - updated url
+     */
+    this.emit('url-updated', { view: this.views[viewId], href });
+  }
+
+  /**
+   * Add a visited page to history, our file pages and guest windows leave no trace
+   * @param {TabID} viewId
+   * @param {string} href - page's url as the address bar shows it
+   * @ignore
+   */
+  addHistory(viewId, href) {
+    delete this.historyKeys[viewId];
+    if (!href || this.isInternalURL(href) || this.options.guest) return;
+
+    const date_ob = new Date();
+    const key = `${date_ob.getTime()}`;
+    this.history.set(key, {
+      url: href,
+      date: {
+        date: ("0" + date_ob.getDate()).slice(-2),
+        month: ("0" + (date_ob.getMonth() + 1)).slice(-2),
+        year: date_ob.getFullYear(),
+        hours: date_ob.getHours(),
+        minutes: date_ob.getMinutes(),
+        seconds: date_ob.getSeconds()
+      }
+    });
+    this.historyKeys[viewId] = key;
+  }
+
+  /**
+   * Keep a tab's bookmark star in sync with its page
+   * @param {TabID} viewId
+   * @ignore
+   */
+  applyBookmarked(viewId) {
+    if (!this.bookmarks || !this.tabConfigs[viewId]) return;
+    const bookmarked = this.bookmarks.has(this.tabURL(viewId));
+    if (!!this.tabConfigs[viewId].bookmarked !== bookmarked) this.setTabConfig(viewId, { bookmarked });
+  }
+
+  /**
+   * Keep a tab's security chip in sync with its page, it's unsafe while its host's bad certificate is accepted
+   * @param {TabID} viewId
+   * @ignore
+   */
+  applySecurity(viewId) {
+    const tab = this.tabConfigs[viewId];
+    if (!tab) return;
+    const url = this.tabURL(viewId);
+    const exception = this.certExceptions && this.certExceptions.get(url);
+    const certError = exception ? exception.error : '';
+    const view = this.views[viewId];
+    const security = view && this.isErrorPage(view.webContents.getURL())
+      ? 'none'
+      : SiteSecurity.securityState({ url, certError, mixedContent: tab.mixedContent });
+    if ((tab.certError || '') === certError && tab.security === security) return;
+    this.setTabConfig(viewId, { certError, security });
+    if (viewId === this.siteInfoTab) this.sendSiteInfo();
+  }
+
+  /**
+   * Bookmark a tab's page, or remove its bookmark. Internal pages can't be bookmarked
+   * @param {TabID} viewId
+   */
+  toggleBookmark(viewId) {
+    const url = this.tabURL(viewId);
+    if (!this.bookmarks || !url || url.includes('px://') || this.isInternalURL(url)) return;
+    const { title, favicon } = this.tabConfigs[viewId];
+    this.bookmarks.toggle({ url, title, favicon });
+  }
+
+  /**
+   * Look for an OpenSearch description the tab's page links to on its own origin, guest windows don't remember sites
+   * @param {TabID} viewId
+   * @ignore
+   */
+  discoverSearchEngine(viewId) {
+    const view = this.views[viewId];
+    if (this.options.guest || !view) return;
+    const pageUrl = view.webContents.getURL();
+    if (!/^https?:/.test(pageUrl)) return;
+    view.webContents
+      .executeJavaScript(
+        `(document.querySelector('link[rel~="search"][type="application/opensearchdescription+xml"][href]') || {}).href || ''`
+      )
+      .then(href => {
+        if (href && /^https?:/.test(href)) this.searchEngines.discover(href, pageUrl, view.webContents.session);
+      })
+      .catch(e => log.debug('discoverSearchEngine', e.message || e));
+  }
+
+  /**
+   * Tell whether a tab's page looks like an article, the address bar offers reader view for those
+   * @param {TabID} viewId
+   * @ignore
+   */
+  checkReaderable(viewId) {
+    const view = this.views[viewId];
+    if (!view) return;
+    const url = view.webContents.getURL();
+    if (!/^https?:/.test(url)) return;
+    view.webContents
+      .executeJavaScript(Reader.READERABLE_SCRIPT)
+      .then(readerable => {
+        if (!this.views[viewId] || this.views[viewId].webContents.getURL() !== url) return;
+        this.setTabConfig(viewId, { readerable: !!readerable });
+      })
+      .catch(e => log.debug('checkReaderable', e.message || e));
+  }
+
+  /**
+   * Show a tab's article in reader view, or go back to the page from reader view
+   * @param {TabID} [viewId=this.currentViewId]
+   */
+  toggleReader(viewId = this.currentViewId) {
+    const view = this.views[viewId];
+    const tab = this.tabConfigs[viewId];
+    if (!view || !tab) return;
+    const { webContents } = view;
+
+    const original = Reader.originalURL(tab.href);
+    if (original) {
+      const { entries = [], entryIndex = 0 } = tab;
+      if (entries[entryIndex - 1] === original && webContents.canGoBack()) {
+        this.pendingNavOffset[viewId] = -1;
+        webContents.goBack();
+      } else {
+        webContents.loadURL(original);
+      }
+      return;
+    }
+
+    const url = webContents.getURL();
+    if (!tab.readerable || !/^https?:/.test(url)) return;
+    webContents
+      .executeJavaScript(Reader.ARTICLE_SCRIPT)
+      .then(article => {
+        if (!this.views[viewId] || this.views[viewId].webContents.getURL() !== url) return;
+        if (!article) {
+          // Not enough text for an article after all
+          this.setTabConfig(viewId, { readerable: false });
+          return;
+        }
+        this.readerArticles[viewId] = { url, article };
+        webContents.loadURL(Reader.readerURL(url));
+      })
+      .catch(e => log.warn('Unable to extract article', url, e.message || e));
+  }
+
+  /**
+   * Show a tab's page source in a new tab next to it
+   * @param {TabID} [viewId=this.currentViewId]
+   */
+  viewSource(viewId = this.currentViewId) {
+    const url = this.tabURL(viewId);
+    if (!/^https?:/.test(url)) return;
+    this.newTab(`view-source:${url}`, viewId, { container: this.tabContainer(viewId) });
+  }
+
+  /**
+   * Send a page's source to px://view-source, loaded with the cookies of the tab showing it
+   * @param {string} url
+   * @ignore
+   */
+  sendPageSource(url) {
+    const tab = this.tabs.find(id => this.tabURL(id) === `view-source:${url}` && this.views[id]);
+    fetchSource(url, tab ? this.views[tab].webContents.session : undefined)
+      .then(result => this.io.emit('page_source', url, result))
+      .catch(e => {
+        log.warn('Unable to load page source', url, e.message || e);
+        this.io.emit('page_source', url, { error: e.message || String(e) });
+      });
+  }
+
+  /**
+   * Tab whose page failed with a certificate error
+   * @param {string} url - page that failed
+   * @returns {TabID|undefined}
+   * @ignore
+   */
+  certErrorTab(url) {
+    return Object.keys(this.certErrors)
+      .map(Number)
+      .find(id => this.certErrors[id].url === url && this.views[id]);
+  }
+
+  /**
+   * Send px://cert-error the certificate a page failed with
+   * @param {string} url
+   * @ignore
+   */
+  sendCertError(url) {
+    const entry = this.certErrors[this.certErrorTab(url)];
+    this.io.emit('cert_error', url, entry ? {
+      host: CertExceptions.hostOf(url),
+      error: entry.error,
+      certificate: CertExceptions.certificateDetails(entry.certificate)
+    } : null);
+  }
+
+  /**
+   * Accept a page's bad certificate for its host until the browser quits and load the page again
+   * @param {string} url - page that failed, only pages waiting on their warning page can proceed
+   * @ignore
+   */
+  proceedCertError(url) {
+    const viewId = this.certErrorTab(url);
+    if (!viewId || !this.certExceptions) return;
+    const { error, certificate } = this.certErrors[viewId];
+    delete this.certErrors[viewId];
+    this.certExceptions.allow(url, certificate, error);
+    const { webContents } = this.views[viewId];
+    // Failed page's entry is right before its warning page
+    if (this.isErrorPage(webContents.getURL())) {
+      webContents.goToOffset(-1);
+    } else {
+      webContents.loadURL(url);
+    }
+  }
+
+  /**
+   * Queue current tabs to be written to the session store
+   * @ignore
+   */
+  saveSession() {
+    if (!this.sessionStore || this.isRestoringSession) return;
+    const savedIds = this.tabs.filter(id => this.tabConfigs[id]);
+    const tabs = savedIds
+      .map(id => {
+        const { url = '', href, title = '', entries = [], entryIndex, pinned, container } = this.tabConfigs[id];
+        return {
+          url: entries[entryIndex] || href || url,
+          title,
+          entries,
+          entryIndex,
+          pinned,
+          container
+        };
+      });
+    if (tabs.length === 0) return;
+    this.sessionStore.save({
+      tabs,
+      active: Math.max(0, savedIds.indexOf(this.currentViewId)),
+      groups: this.groups.map(({ name, color, collapsed, tabs: ids }) => ({
+        name,
+        color,
+        collapsed,
+        tabs: ids.map(id => savedIds.indexOf(id)).filter(index => index !== -1)
+      }))
+    }, this);
+  }
+
+  /**
+   * Open the saved session or the start page, after a crash ask first.
+   * Saved windows after the first one are handed to the owner
+   * @ignore
+   *
+   * @fires RenderWindow#restore-windows
+   */
+  openStartTabs() {
+    const { startPage, blankPage } = this.options;
+    const sessions = this.options.restoreSession && this.sessionStore && this.sessionStore.load();
+    const openStartPage = () => this.newTab(startPage || '');
+
+    if (!sessions) {
+      openStartPage();
+      return;
+    }
+
+    const [session, ...others] = sessions;
+    const restore = () => {
+      this.restoreSession(session);
+      // Url passed by command line still gets its own tab
+      if (startPage && startPage !== blankPage) openStartPage();
+      if (others.length) {
+        /**
+         * restore-windows event, windows should be created by the owner
+         *
+         * @event RenderWindow#restore-windows
+         * @type {Session[]}
+         */
+        this.emit('restore-windows', others);
+      }
+    };
+
+    if (!this.sessionStore.crashed) {
+      restore();
+      return;
+    }
+
+    const lang = this.pageLang();
+    dialog
+      .showMessageBox(this.win, {
+        type: 'question',
+        title: 'xBrowse',
+        message: lang.session_crashed,
+        detail: lang.session_crashed_tabs.replace('%s', sessions.reduce((count, v) => count + v.tabs.length, 0)),
+        buttons: [lang.session_restore, lang.session_new],
+        defaultId: 0,
+        cancelId: 1
+      })
+      .then(({ response }) => {
+        if (response === 0) {
+          restore();
+        } else {
+          // Pinned tabs are always reopened
+          const pinned = [].concat(...sessions.map(v => v.tabs.filter(tab => tab.pinned)));
+          this.sessionStore.clear();
+          if (pinned.length) this.restoreSession({ tabs: pinned, active: pinned.length });
+          openStartPage();
+        }
+      });
+  }
+
+  /**
+   * Reopen tabs of a saved session
+   * @param {Session} session
+   */
+  restoreSession(session) {
+    log.debug('restore session', { tabs: session.tabs.length });
+    this.isRestoringSession = true;
+    const views = session.tabs.map(tab => this.restoreTab(tab));
+    const groups = (session.groups || [])
+      .map(({ name, color, collapsed, tabs }) =>
+        TabGroups.createGroup(tabs.map(index => views[index] && views[index].id).filter(Boolean), {
+          name,
+          color,
+          collapsed
+        })
+      )
+      .filter(group => group.tabs.length > 0);
+    this.applyGroups([...this.groups, ...groups]);
+    this.isRestoringSession = false;
+
+    const active = views[session.active] || views[views.length - 1];
+    if (active) this.switchTab(active.id);
+    this.saveSession();
+  }
+
+  /**
+   * Open a tab at its active entry, the other back/forward entries stay
+   * in tabConfigs until they're gone to, see goToSavedEntry
+   * @param {SessionTab} tab
+   * @param {number} [appendTo] - add next to specified tab's id
+   * @returns {BrowserView}
+   * @ignore
+   */
+  restoreTab(tab, appendTo) {
+    const entries = tab.entries && tab.entries.length ? tab.entries : [tab.url].filter(Boolean);
+    const entryIndex = Math.min(
+      Math.max(0, typeof tab.entryIndex === 'number' ? tab.entryIndex : entries.length - 1),
+      entries.length - 1
+    );
+    const url = entries[entryIndex];
+
+    const view = this.newTab(url ? this.loadableURL(url) : undefined, appendTo, {
+      container: tab.container
+    });
+    this.setTabConfig(view.id, { title: tab.title || this.options.blankTitle, entries, entryIndex });
+    // First load replaces the active entry, a redirect keeps the entries around it
+    if (url) this.pendingNavOffset[view.id] = 0;
+    if (tab.pinned) this.setPinned(view.id, true);
+    return view;
+  }
+
+  /**
+   * Load the saved back/forward entry next to the active one, for tabs whose view
+   * starts at that entry after a restore or a discard
+   * @param {TabID} viewId
+   * @param {number} offset - -1 for back, 1 for forward
+   * @ignore
+   */
+  goToSavedEntry(viewId, offset) {
+    const view = this.views[viewId];
+    const url = SessionStore.entryAt(this.tabConfigs[viewId] || {}, offset);
+    if (!view || !url) return;
+    this.pendingNavOffset[viewId] = offset;
+    this.savedEntryLoads[viewId] = true;
+    view.webContents.loadURL(this.loadableURL(url));
+  }
+
+  /**
+   * Snapshot of a tab to keep after it's closed
+   * @param {TabID} viewId
+   * @returns {ClosedTab|undefined} nothing for tabs still on the blank page
+   * @ignore
+   */
+  closedTabEntry(viewId) {
+    const tab = this.tabConfigs[viewId];
+    if (!tab) return;
+    const { url = '', href, title = '', favicon, entries = [], entryIndex, pinned, container } = tab;
+    const current = entries[entryIndex] || href || url;
+    if (!current || current === this.options.blankPage) return;
+    return {
+      type: 'tab',
+      url: current,
+      title,
+      favicon,
+      entries,
+      entryIndex,
+      pinned,
+      container,
+      index: this.tabs.indexOf(viewId)
+    };
+  }
+
+  /**
+   * Close tab and remember it in recently closed
+   * @param {TabID} viewId
+   */
+  closeTab(viewId) {
+    const id = viewId;
+    log.debug('close tab ', { id, currentViewId: this.currentViewId });
+    const closed = this.closedTabEntry(id);
+    if (this.isSplit(id)) this.unsplit(this.split.ids.find(v => v !== id));
+    if (id === this.currentViewId) {
+      const removeIndex = this.tabs.indexOf(id);
+      const nextIndex = removeIndex === this.tabs.length - 1 ? 0 : removeIndex + 1;
+      this.setCurrentView(this.tabs[nextIndex]);
+    }
+    this.tabs = this.tabs.filter(v => v !== id);
+    this.defGroups = TabGroups.removeTab(this.groups, id);
+    this.tabConfigs = {
+      ...this.tabConfigs,
+      [id]: undefined
+    };
+    delete this.pendingNavOffset[id];
+    delete this.savedEntryLoads[id];
+    delete this.lastActive[id];
+    delete this.thumbnails[id];
+    delete this.findStates[id];
+    delete this.readerArticles[id];
+    delete this.certErrors[id];
+    this.destroyView(id);
+    if (closed) this.recentlyClosed.push(closed);
+
+    if (this.tabs.length === 0) {
+      this.newTab();
+    }
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {boolean}
+   */
+  isDiscarded(viewId) {
+    return !!(this.tabConfigs[viewId] && this.tabConfigs[viewId].discarded);
+  }
 
-    //webContents.setUserAgent(`Mozilla/5.0 (Windows NT ${require('os').release()}; Win64; ${require('os').arch()}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/97.0.4692.71 Safari/537.36`)
+  /**
+   * Url a tab is at, kept when the tab is discarded
+   * @param {TabID} viewId
+   * @returns {string}
+   * @ignore
+   */
+  tabURL(viewId) {
+    const { url = '', href, entries = [], entryIndex } = this.tabConfigs[viewId] || {};
+    return entries[entryIndex] || href || url;
+  }
 
-    this.setContentBounds();
+  /**
+   * Discard background tabs idle for longer than memory saver allows,
+   * tabs playing audio and sites in the exceptions are kept
+   * @ignore
+   */
+  discardIdleTabs() {
+    const minutes = this.memorySaver ? this.memorySaver.discardAfter : 0;
+    if (!minutes) return;
+    const now = Date.now();
+    this.tabs
+      .filter(id => id !== this.currentViewId && !this.isSplit(id) && this.views[id] && !this.isDiscarded(id))
+      .filter(id => now - (this.lastActive[id] || now) >= minutes * 60 * 1000)
+      .filter(id => !this.views[id].webContents.isCurrentlyAudible())
+      .filter(id => !this.memorySaver.isException(this.tabURL(id)))
+      .forEach(id => this.discardTab(id));
+  }
 
-    if (this.options.debug) {
-     // webContents.openDevTools({ mode: 'detach' });
+  /**
+   * Destroy a background tab's view and keep what's needed to reload it
+   * @param {TabID} viewId
+   * @returns {Promise<void>}
+   */
+  discardTab(viewId) {
+    const view = this.views[viewId];
+    if (!view || viewId === this.currentViewId) return Promise.resolve();
+    return view.webContents
+      .executeJavaScript('({ x: window.scrollX, y: window.scrollY })', true)
+      .catch(() => null)
+      .then(scroll => {
+        // Closed, activated or moved while reading the scroll position
+        if (this.views[viewId] !== view || viewId === this.currentViewId) return;
+        log.debug('discard tab', viewId);
+        this.unbindViewEvents(viewId);
+        this.destroyView(viewId);
+        delete this.pendingNavOffset[viewId];
+        delete this.savedEntryLoads[viewId];
+        this.setTabConfig(viewId, { discarded: true, isLoading: false, scroll });
+      });
+  }
+
+  /**
+   * Recreate a discarded tab's view at the url and scroll position it had
+   * @param {TabID} viewId
+   * @ignore
+   */
+  restoreDiscarded(viewId) {
+    const { scroll } = this.tabConfigs[viewId];
+    log.debug('restore discarded tab', viewId);
+    // Back/forward entries stay in tabConfigs, the new view only loads the active one, see goToSavedEntry
+    const url = this.loadableURL(this.tabURL(viewId) || this.options.blankPage);
+    const view = this.createView(url, this.tabContainer(viewId));
+    // Tab keeps its id, strip and groups refer to it
+    view.id = viewId;
+    view.setAutoResize({ width: true, height: true });
+    this.views[viewId] = view;
+    this.setTabConfig(viewId, { discarded: false, scroll: undefined });
+    this.pendingNavOffset[viewId] = 0;
+    if (scroll && (scroll.x || scroll.y)) {
+      view.webContents.once('did-finish-load', () => {
+        view.webContents
+          .executeJavaScript(`window.scrollTo(${Number(scroll.x) || 0}, ${Number(scroll.y) || 0})`, true)
+          .catch(() => {});
+      });
     }
+    this.initView(view, url);
   }
 
-  setCurrentView(viewId) {
-    if (!viewId) return;
-    if(viewId == null) return;
-    if(this.currentView !== null){
-      this.win.removeBrowserView(this.currentView);
+  /**
+   * Take a tab out of this window without destroying its view,
+   * the window is left without tabs if it was the last one
+   * @param {TabID} viewId
+   * @returns {DetachedTab|undefined}
+   */
+  detachTab(viewId) {
+    if (this.isDiscarded(viewId)) this.restoreDiscarded(viewId);
+    if (this.isSplit(viewId)) this.unsplit(this.split.ids.find(id => id !== viewId));
+    const view = this.views[viewId];
+    if (!view || !this.tabs.includes(viewId)) return;
+    log.debug('detach tab', viewId);
+    const config = this.tabConfigs[viewId];
+
+    if (viewId === this.currentViewId) {
+      const removeIndex = this.tabs.indexOf(viewId);
+      const nextId = this.tabs[removeIndex === this.tabs.length - 1 ? removeIndex - 1 : removeIndex + 1];
+      this.win.removeBrowserView(view);
+      this.defCurrentViewId = null;
+      if (nextId) this.setCurrentView(nextId);
     }
-    this.win.addBrowserView(this.views[viewId]);
-    this.currentViewId = viewId;
-    const view = this.views[this.currentView.id];
-    this.controlView.webContents.send('url-enter-l', view.webContents.getURL());
+    this.unbindViewEvents(viewId);
+    this.tabs = this.tabs.filter(id => id !== viewId);
+    this.defGroups = TabGroups.removeTab(this.groups, viewId);
+    delete this.pendingNavOffset[viewId];
+    delete this.savedEntryLoads[viewId];
+    delete this.lastActive[viewId];
+    const thumbnail = this.thumbnails[viewId];
+    delete this.thumbnails[viewId];
+    this.views[viewId] = undefined;
+    this.tabConfigs = {
+      ...this.tabConfigs,
+      [viewId]: undefined
+    };
+    return { view, config, thumbnail };
   }
 
   /**
-   * Create a tab
-   *
-   * @param {string} [url=this.options.blankPage]
-   * @param {number} [appendTo] - add next to specified tab's id
-   * @param {object} [references=this.options.viewReferences] - custom webPreferences to this tab
+   * Add a tab detached from another window and switch to it
+   * @param {DetachedTab} detached
+   * @param {number} [toIndex] - defaults to the end of the strip
+   */
+  attachTab({ view, config, thumbnail }, toIndex) {
+    const { id, webContents } = view;
+    log.debug('attach tab', id);
+    this.views[id] = view;
+    if (thumbnail) this.thumbnails[id] = thumbnail;
+    this.tabs.push(id);
+    this.bindViewEvents(view);
+    this.setTabConfig(id, { ...config, pinned: false });
+    this.setCurrentView(id);
+    if (config && config.pinned) {
+      this.setPinned(id, true);
+    }
+    if (typeof toIndex === 'number') {
+      this.moveTab(id, toIndex);
+    }
+    // Our pages talk to the window they are opened in, reconnect them
+    const url = webContents.getURL();
+    if (InternalPages.isInternalPage(url)) {
+      webContents.reload();
+    } else if (this.isInternalURL(url)) {
+      webContents.loadURL(this.loadableURL(url.split('?')[0]));
+    }
+    webContents.focus();
+  }
+
+  /**
+   * Reopen a recently closed tab or window
+   * @param {number} [index=0] - 0 is the last closed one
    *
-   * @fires RenderWindow#new-tab
+   * @fires RenderWindow#reopen-window
    */
-  newTab(url, appendTo, references) {
-    //Main for Tabs
-    var nodeIntegration = false;
-    var contextIsolation = true;
-    if(url !== undefined){
-      if(url.includes(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/`))){
-        nodeIntegration = true;
-        contextIsolation = false;
-      }else{
-        nodeIntegration = false;
-        contextIsolation = true;
+  reopenClosed(index = 0) {
+    const entry = this.recentlyClosed.take(index);
+    if (!entry) return;
+    log.debug('reopen closed', { type: entry.type, title: entry.title });
+
+    if (entry.type === 'window') {
+      if (this.listenerCount('reopen-window')) {
+        /**
+         * reopen-window event, reopened window should be created by the owner
+         *
+         * @event RenderWindow#reopen-window
+         * @return {ClosedWindow} entry
+         */
+        this.emit('reopen-window', entry);
+      } else {
+        this.restoreSession(entry);
       }
-    }else{
-      nodeIntegration = true;
-      contextIsolation = false;
+      return;
     }
-    const view = new BrowserView({
-      webPreferences: {
-        // Set sandbox to support window.opener
-        // See: https://github.com/electron/electron/issues/1865#issuecomment-249989894
-        nodeIntegration: nodeIntegration,
-        contextIsolation: contextIsolation
+
+    const view = this.restoreTab(entry, this.tabs[entry.index - 1]);
+    if (entry.favicon) this.setTabConfig(view.id, { favicon: entry.favicon });
+  }
+
+  /**
+   * Show recently closed list as a menu at control view's position
+   * @param {number} [x]
+   * @param {number} [y]
+   */
+  popupRecentlyClosed(x, y) {
+    const items = this.recentlyClosed.list().map((entry, index) => ({
+      label: entry.type === 'window'
+        ? `${entry.tabs.length} tab(s) - ${entry.title || 'Window'}`
+        : entry.title || entry.url,
+      sublabel: entry.type === 'window' ? 'Window' : entry.url,
+      icon: faviconImage(entry.type === 'window' ? entry.tabs[0].favicon : entry.favicon),
+      accelerator: index === 0 ? 'Ctrl+Shift+T' : undefined,
+      click: () => this.reopenClosed(index)
+    }));
+    if (items.length === 0) {
+      items.push({ label: 'No recently closed tabs', enabled: false });
+    }
+    Menu.buildFromTemplate(items).popup({
+      window: this.win,
+      x: Math.round(x || 0),
+      y: Math.round(y || this.getControlBounds().height)
+    });
+  }
+
+  /**
+   * Tell control panel about recently closed tabs and windows
+   * @ignore
+   */
+  sendRecentlyClosed() {
+    if (!this.ipc) return;
+    this.ipc.reply(
+      'closed-update',
+      this.recentlyClosed.list().map(({ type, title, url, favicon, tabs }) => ({
+        type,
+        title,
+        url,
+        favicon,
+        tabCount: tabs ? tabs.length : 1
+      }))
+    );
+  }
+
+  /**
+   * Set groups and keep each group's tabs next to each other in the strip
+   * @param {TabGroup[]} groups
+   * @ignore
+   */
+  applyGroups(groups) {
+    const pinned = this.tabs.filter(id => this.isPinned(id));
+    const others = this.tabs.filter(id => !this.isPinned(id));
+    this.tabs = [...pinned, ...TabGroups.arrangeTabs(others, groups)];
+    this.groups = groups;
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {boolean}
+   */
+  isPinned(viewId) {
+    return !!(this.tabConfigs[viewId] && this.tabConfigs[viewId].pinned);
+  }
+
+  /**
+   * Number of pinned tabs, they are always the first ones in `this.tabs`
+   * @returns {number}
+   * @ignore
+   */
+  pinnedCount() {
+    return this.tabs.filter(id => this.isPinned(id)).length;
+  }
+
+  /**
+   * Pin or unpin a tab, pinned tabs leave their group
+   * @param {TabID} viewId
+   * @param {boolean} pinned
+   */
+  setPinned(viewId, pinned) {
+    if (!this.tabs.includes(viewId) || this.isPinned(viewId) === !!pinned) return;
+    const tabs = this.tabs.filter(id => id !== viewId);
+    // Pinning adds to the end of pinned tabs, unpinning puts the tab first after them
+    tabs.splice(this.pinnedCount() - (pinned ? 0 : 1), 0, viewId);
+    this.tabs = tabs;
+    this.defGroups = TabGroups.removeTab(this.groups, viewId);
+    this.setTabConfig(viewId, { pinned: !!pinned });
+  }
+
+  /**
+   * Move a tab to a new position in the strip, pinned and unpinned tabs
+   * stay on their side. Dropping a tab between two members of a group joins it.
+   * Tabs of other windows are asked for with `request-tab`
+   * @param {TabID} viewId
+   * @param {number} toIndex - index of the tab after the move
+   */
+  moveTab(viewId, toIndex) {
+    if (typeof toIndex !== 'number') return;
+    if (!this.tabs.includes(viewId)) {
+      /**
+       * request-tab event, a tab of another window was dropped on the strip
+       *
+       * @event RenderWindow#request-tab
+       * @return {TabID} viewId
+       * @return {number} toIndex
+       */
+      this.emit('request-tab', viewId, toIndex);
+      return;
+    }
+    const pinnedCount = this.pinnedCount();
+    const [min, max] = this.isPinned(viewId) ? [0, pinnedCount - 1] : [pinnedCount, this.tabs.length - 1];
+    const index = Math.min(Math.max(toIndex, min), max);
+    const tabs = this.tabs.filter(id => id !== viewId);
+    tabs.splice(index, 0, viewId);
+    this.tabs = tabs;
+
+    const own = TabGroups.groupOf(this.groups, viewId);
+    const left = TabGroups.groupOf(this.groups, tabs[index - 1]);
+    const right = TabGroups.groupOf(this.groups, tabs[index + 1]);
+    let groups = this.groups;
+    if (left && left === right && left !== own) {
+      groups = TabGroups.addTab(groups, left.id, viewId);
+    } else if (own && own !== left && own !== right) {
+      groups = TabGroups.removeTab(groups, viewId);
+    }
+    this.applyGroups(TabGroups.sortByTabs(groups, tabs));
+  }
+
+  /**
+   * Close every tab except the given one and pinned tabs
+   * @param {TabID} viewId
+   */
+  closeOtherTabs(viewId) {
+    if (!this.tabs.includes(viewId)) return;
+    this.tabs
+      .filter(id => id !== viewId && !this.isPinned(id))
+      .forEach(id => this.closeTab(id));
+    this.switchTab(viewId);
+  }
+
+  /**
+   * Put tabs into a new group
+   * @param {TabID[]} viewIds
+   * @param {object} [props] - name, color
+   * @returns {TabGroup|undefined}
+   */
+  groupTabs(viewIds, props = {}) {
+    const ids = (viewIds || []).filter(id => this.tabs.includes(id));
+    if (ids.length === 0) return;
+    const { name, color } = props;
+    ids.forEach(id => this.setPinned(id, false));
+    const group = TabGroups.createGroup(ids, TabGroups.COLORS.includes(color) ? { name, color } : { name });
+    const groups = ids.reduce((acc, id) => TabGroups.removeTab(acc, id), this.groups);
+    this.applyGroups([...groups, group]);
+    return group;
+  }
+
+  /**
+   * Rename, recolor, collapse or expand a group
+   * @param {number} groupId
+   * @param {object} props - name, color, collapsed
+   */
+  updateTabGroup(groupId, props = {}) {
+    const group = this.groups.find(v => v.id === groupId);
+    if (!group) return;
+    const changes = {};
+    if (typeof props.name === 'string') changes.name = props.name.trim();
+    if (TabGroups.COLORS.includes(props.color)) changes.color = props.color;
+    if (typeof props.collapsed === 'boolean') changes.collapsed = props.collapsed;
+
+    this.groups = this.groups.map(v => (v.id === groupId ? { ...v, ...changes } : v));
+
+    // Active tab can't hide inside a collapsed group, nor move to one hidden in another
+    if (changes.collapsed && group.tabs.includes(this.currentViewId)) {
+      const nextId = this.tabs.find(id => !TabGroups.isCollapsed(this.groups, id));
+      if (nextId) {
+        this.setCurrentView(nextId);
+      } else {
+        this.newTab();
+      }
+    }
+  }
+
+  /**
+   * Move a tab into a group, or out of its group with `groupId = null`
+   * @param {TabID} viewId
+   * @param {number|null} groupId
+   * @param {TabID} [afterId] - place the tab after this one
+   */
+  setTabGroup(viewId, groupId, afterId) {
+    if (!this.tabs.includes(viewId)) return;
+    const target = this.groups.find(v => v.id === groupId);
+    if (target) this.setPinned(viewId, false);
+    if (afterId && afterId !== viewId && this.tabs.includes(afterId)) {
+      const tabs = this.tabs.filter(id => id !== viewId);
+      tabs.splice(tabs.indexOf(afterId) + 1, 0, viewId);
+      this.tabs = tabs;
+    }
+    const groups = target
+      ? TabGroups.addTab(this.groups, target.id, viewId, afterId)
+      : TabGroups.removeTab(this.groups, viewId);
+    this.applyGroups(groups);
+  }
+
+  /**
+   * Remove a group but keep its tabs
+   * @param {number} groupId
+   */
+  ungroupTabs(groupId) {
+    this.groups = this.groups.filter(v => v.id !== groupId);
+  }
+
+  /**
+   * Close every tab of a group
+   * @param {number} groupId
+   */
+  closeTabGroup(groupId) {
+    const group = this.groups.find(v => v.id === groupId);
+    if (!group) return;
+    group.tabs.forEach(id => this.closeTab(id));
+  }
+
+  /**
+   * Show tab's context menu at control view's position
+   * @param {TabID} viewId
+   * @param {number} [x]
+   * @param {number} [y]
+   */
+  popupTabMenu(viewId, x, y) {
+    if (!this.tabs.includes(viewId)) return;
+    const group = TabGroups.groupOf(this.groups, viewId);
+    const otherGroups = this.groups.filter(v => v !== group);
+    const groupLabel = v => v.name || `${v.tabs.length} tab(s)`;
+    const pinned = this.isPinned(viewId);
+    const template = [
+      { label: 'New tab to the right', click: () => this.newTab(undefined, viewId) },
+      { label: pinned ? 'Unpin tab' : 'Pin tab', click: () => this.setPinned(viewId, !pinned) },
+      { type: 'separator' }
+    ];
+    if (this.isSplit(viewId)) {
+      const vertical = this.split.orientation === 'vertical';
+      template.push(
+        { label: 'Swap panes', click: () => this.swapPanes() },
+        {
+          label: vertical ? 'Split side by side' : 'Split top and bottom',
+          click: () => this.setSplitOrientation(vertical ? 'horizontal' : 'vertical')
+        },
+        { label: 'Exit split view', click: () => this.unsplit(viewId) }
+      );
+    } else if (this.currentViewId && viewId !== this.currentViewId) {
+      template.push({ label: 'Open in split view', click: () => this.splitTabs(this.currentViewId, viewId) });
+    }
+    template.push(
+      { label: 'Add tab to new group', click: () => this.groupTabs([viewId]) }
+    );
+    if (otherGroups.length) {
+      template.push({
+        label: 'Add tab to group',
+        submenu: otherGroups.map(v => ({ label: groupLabel(v), click: () => this.setTabGroup(viewId, v.id) }))
+      });
+    }
+    if (group) {
+      template.push({ label: 'Remove from group', click: () => this.setTabGroup(viewId, null) });
+    }
+    if (this.containers) {
+      const containers = this.containers.list();
+      const url = this.tabURL(viewId);
+      template.push(
+        { type: 'separator' },
+        {
+          label: 'New tab in container',
+          submenu: containers.map(v => ({ label: v.name, click: () => this.newTab(undefined, viewId, { container: v.id }) }))
+        }
+      );
+      if (SiteSettings.originOf(url)) {
+        const container = this.tabContainer(viewId) || '';
+        const rule = this.containerRuleFor(url) || '';
+        template.push(
+          {
+            label: 'Reopen in container',
+            submenu: [{ id: '', name: 'No container' }, ...containers]
+              .filter(v => v.id !== container)
+              .map(v => ({ label: v.name, click: () => this.openInContainer(url, v.id, viewId) }))
+          },
+          {
+            label: 'Always open site in',
+            submenu: [{ id: '', name: 'Any container' }, ...containers].map(v => ({
+              label: v.name,
+              type: 'radio',
+              checked: v.id === rule,
+              click: () => this.containers.setRule(url, v.id)
+            }))
+          }
+        );
       }
+    }
+    const muted = this.isMuted(viewId);
+    template.push({ type: 'separator' }, { label: muted ? 'Unmute tab' : 'Mute tab', click: () => this.setTabMuted(viewId, !muted) });
+    if (this.siteSettings && SiteSettings.originOf(this.tabURL(viewId))) {
+      template.push({
+        label: 'Mute site',
+        type: 'checkbox',
+        checked: this.isSiteMuted(this.tabURL(viewId)),
+        click: ({ checked }) => this.setSiteMuted(this.tabURL(viewId), checked)
+      });
+    }
+    const host = MemorySaver.hostOf(this.tabURL(viewId));
+    if (this.memorySaver && host) {
+      template.push({
+        label: `Never discard ${host}`,
+        type: 'checkbox',
+        checked: this.memorySaver.isException(this.tabURL(viewId)),
+        click: ({ checked }) => {
+          if (checked) {
+            this.memorySaver.addException(host);
+          } else {
+            this.memorySaver.removeException(host);
+          }
+        }
+      });
+    }
+    template.push(
+      { type: 'separator' },
+      { label: 'Close tab', click: () => this.closeTab(viewId) },
+      { label: 'Close other tabs', click: () => this.closeOtherTabs(viewId) }
+    );
+    Menu.buildFromTemplate(template).popup({ window: this.win, x: Math.round(x || 0), y: Math.round(y || 0) });
+  }
+
+  /**
+   * Show group's context menu at control view's position
+   * @param {number} groupId
+   * @param {number} [x]
+   * @param {number} [y]
+   */
+  popupGroupMenu(groupId, x, y) {
+    const group = this.groups.find(v => v.id === groupId);
+    if (!group) return;
+    const template = [
+      {
+        label: group.collapsed ? 'Expand group' : 'Collapse group',
+        click: () => this.updateTabGroup(groupId, { collapsed: !group.collapsed })
+      },
+      { label: 'New tab in group', click: () => this.newTab(undefined, group.tabs[group.tabs.length - 1]) },
+      {
+        label: 'Color',
+        submenu: TabGroups.COLORS.map(color => ({
+          label: color.charAt(0).toUpperCase() + color.slice(1),
+          type: 'radio',
+          checked: group.color === color,
+          click: () => this.updateTabGroup(groupId, { color })
+        }))
+      },
+      { type: 'separator' },
+      { label: 'Ungroup', click: () => this.ungroupTabs(groupId) },
+      { label: 'Close group', click: () => this.closeTabGroup(groupId) }
+    ];
+    Menu.buildFromTemplate(template).popup({ window: this.win, x: Math.round(x || 0), y: Math.round(y || 0) });
+  }
+
+  /**
+   * Tabs of this window as quick switcher items
+   * @returns {object[]}
+   */
+  quickSwitcherTabs() {
+    return this.tabs.map(id => {
+      const { title = '', favicon, url, href } = this.tabConfigs[id] || {};
+      return { type: 'tab', id, title, url: href || url || '', favicon, active: id === this.currentViewId };
     });
+  }
 
-    view.id = view.webContents.id;
+  /**
+   * Show quick switcher overlay on top of the current tab, it searches
+   * this window's tabs, `otherTabs` and recently closed ones
+   * @param {object[]} [otherTabs] - quickSwitcherTabs of other windows
+   */
+  showQuickSwitcher(otherTabs = []) {
+    if (!this.switcherView) {
+      this.switcherView = new BrowserView({
+        webPreferences: {
+          contextIsolation: false,
+          nodeIntegration: true
+        }
+      });
+      this.switcherView.webContents.loadURL(fileUrl(`${__dirname.replace("prod_lib","main/../../")}/src/main/renderer/quick-switcher.html`));
+    }
+    const items = [
+      ...this.quickSwitcherTabs(),
+      ...otherTabs.map(item => ({ ...item, active: false, otherWindow: true })),
+      ...this.recentlyClosed.list().map((entry, index) => ({
+        type: 'closed',
+        index,
+        title: entry.type === 'window' ? `${entry.tabs.length} tab(s) - ${entry.title || 'Window'}` : entry.title,
+        url: entry.url || '',
+        favicon: entry.type === 'window' ? entry.tabs[0].favicon : entry.favicon
+      }))
+    ];
+
+    const view = this.switcherView;
+    const area = this.getContentArea();
+    const width = Math.min(600, area.width - 40);
+    this.win.addBrowserView(view);
+    this.win.setTopBrowserView(view);
+    view.setBounds({
+      x: area.x + Math.round((area.width - width) / 2),
+      y: area.y,
+      width,
+      height: 380
+    });
+    this.isQuickSwitcherOpen = true;
 
-    if (appendTo) {
-      const prevIndex = this.tabs.indexOf(appendTo);
-      this.tabs.splice(prevIndex + 1, 0, view.id);
+    const send = () => {
+      view.webContents.send('quick-switcher-items', items);
+      view.webContents.focus();
+    };
+    if (view.webContents.isLoading()) {
+      view.webContents.once('did-finish-load', send);
     } else {
-      this.tabs.push(view.id);
+      send();
     }
-    this.views[view.id] = view;
+  }
 
-    // Add to manager first
-    const lastView = this.currentView;
-    this.setCurrentView(view.id);
-    view.setAutoResize({ width: true, height: true });
-    this.loadURL(url || this.options.blankPage+"?lang="+this.stringify_lang);
-    this.setTabConfig(view.id, {
-      title: this.options.blankTitle || 'about:blank'
-    });
+  /**
+   * Close quick switcher overlay and give focus back to the current tab
+   */
+  hideQuickSwitcher() {
+    if (!this.isQuickSwitcherOpen) return;
+    this.isQuickSwitcherOpen = false;
+    this.win.removeBrowserView(this.switcherView);
+    if (this.currentWebContents) this.currentWebContents.focus();
+  }
+
+  /**
+   * Switch to the chosen tab or reopen the chosen closed one
+   * @param {object} item
+   * @ignore
+   *
+   * @fires RenderWindow#switch-to-tab
+   */
+  selectQuickSwitcherItem(item = {}) {
+    this.hideQuickSwitcher();
+    if (item.type === 'closed') {
+      this.reopenClosed(item.index);
+    } else {
+      this.switchToTab(item.id);
+    }
+  }
+
+  /**
+   * Switch to a tab of this window, or ask its own window to
+   * @param {TabID} viewId
+   *
+   * @fires RenderWindow#switch-to-tab
+   */
+  switchToTab(viewId) {
+    if (this.tabs.includes(viewId)) {
+      this.switchTab(viewId);
+      return;
+    }
     /**
-     * new-tab event.
+     * switch-to-tab event, chosen tab is in another window
      *
-     * @event RenderWindow#new-tab
-     * @return {BrowserView} view - current browser view
-     * @return {string} [source.openedURL] - opened with url
-     * @return {BrowserView} source.lastView - previous active view
+     * @event RenderWindow#switch-to-tab
+     * @type {TabID}
      */
-    // var uril = "px://newtab";
-    // this.emit('url-updated', { view: view, uril });
-    // this.emit('new-tab', view, { openedURL: uril, lastView });
-    return view;
+    this.emit('switch-to-tab', viewId);
   }
 
   /**
@@ -804,10 +3441,89 @@ class RenderWindow extends EventEmitter {
    */
   switchTab(viewId) {
     log.debug('switch to tab', viewId);
+    const group = TabGroups.groupOf(this.groups, viewId);
+    if (group && group.collapsed) {
+      this.updateTabGroup(group.id, { collapsed: false });
+    }
     this.setCurrentView(viewId);
     this.currentView.webContents.focus();
   }
 
+  /**
+   * Switch to the tab offset places away in the strip, wrapping around its ends
+   * @param {number} offset - 1 for next, -1 for previous
+   */
+  cycleTab(offset) {
+    const count = this.tabs.length;
+    if (count < 2) return;
+    const index = this.tabs.indexOf(this.currentViewId);
+    this.switchTab(this.tabs[(index + offset + count) % count]);
+  }
+
+  /**
+   * Switch to the tab at a position in the strip
+   * @param {number} index - negative counts from the end, -1 is the last tab
+   */
+  switchTabAt(index) {
+    const viewId = this.tabs[index < 0 ? this.tabs.length + index : index];
+    if (viewId) this.switchTab(viewId);
+  }
+
+  /**
+   * Focus the address bar and select its text
+   */
+  focusAddressBar() {
+    this.controlView.webContents.focus();
+    this.controlView.webContents.send('focus-address');
+  }
+
+  /**
+   * Call a navigation action on current tab's webContents
+   * @param {string} actionName - like `goBack`, `goForward`, `reload` or `stop`
+   */
+  webContentsAct(actionName) {
+    const webContents = this.currentWebContents;
+    const action = webContents && webContents[actionName];
+    if (typeof action === 'function') {
+      if (actionName === 'reload' && webContents.getURL() === '') return;
+      const offset = { goBack: -1, goForward: 1 }[actionName];
+      if (offset) {
+        const inView = offset < 0 ? this.canGoBack(webContents) : webContents.canGoForward();
+        // Restored and discarded tabs have only their saved entries to go through,
+        // keyboard shortcuts ask for it even when there's no history at all
+        if (!inView) {
+          this.goToSavedEntry(this.currentViewId, offset);
+          return;
+        }
+        this.pendingNavOffset[this.currentViewId] = offset;
+      }
+      if (this.isErrorPage(webContents.getURL()) && (actionName === 'goBack' || actionName === 'reload')) {
+        // Failed page's entry is right before its error page, going to it loads it again
+        webContents.goToOffset(actionName === 'goBack' ? -2 : -1);
+      } else {
+        action.call(webContents);
+      }
+      log.debug(
+        `do webContents action ${actionName} for ${this.currentViewId}:${webContents &&
+          webContents.getTitle()}`
+      );
+    } else {
+      log.error('Invalid webContents action ', actionName);
+    }
+  }
+
+  /**
+   * Tell px://keymap pages about commands and their keys
+   * @ignore
+   */
+  sendKeymap() {
+    if (!this.commands) return;
+    this.io.emit('keymap', {
+      commands: this.commands.list(),
+      conflicts: this.commands.conflicts()
+    });
+  }
+
   /**
    * Destroy tab
    * @param {TabID} viewId
@@ -818,6 +3534,7 @@ class RenderWindow extends EventEmitter {
     if (view) {
       view.webContents.destroy();
       this.views[viewId] = undefined;
+      delete this.viewEvents[viewId];
       log.debug(`${viewId} destroyed`);
     }
   }
@@ -855,7 +3572,7 @@ class RenderWindow extends EventEmitter {
    }
 
    newTabMainProcess(Newpage = this.options.blankPage){
-    this.newTab(Newpage+`?port=${this.port_to_open}&lang=${this.stringify_lang}`, undefined, '');
+    this.newTab(this.loadableURL(Newpage), undefined, '');
    }
 }
 
@@ -0,0 +1,408 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+/**
+ * @typedef {object} SearchEngine
+ * @property {string} id
+ * @property {string} name
+ * @property {string} keyword - `keyword query` in the address bar searches with this engine
+ * @property {string} url - search url template, `%s` is the query
+ * @property {string} [suggestUrl] - OpenSearch suggestions url template, `%s` is the query
+ * @property {boolean} [discovered] - found on a visited page, not added by the user, kept in memory only
+ * @property {string} [descriptionUrl] - OpenSearch description it was found in
+ */
+
+/** @type {SearchEngine[]} */
+const DEFAULT_ENGINES = [
+  {
+    id: 'google',
+    name: 'Google',
+    keyword: 'g',
+    url: 'https://www.google.com/search?q=%s',
+    suggestUrl: 'https://suggestqueries.google.com/complete/search?client=firefox&q=%s'
+  },
+  {
+    id: 'yahoo',
+    name: 'Yahoo',
+    keyword: 'y',
+    url: 'https://search.yahoo.com/search?p=%s',
+    suggestUrl: 'https://search.yahoo.com/sugg/ff?output=fxjson&appid=ffd&command=%s'
+  }
+];
+const DESCRIPTION_TIMEOUT = 5000;
+const DESCRIPTION_MAX_SIZE = 256 * 1024;
+// Discovered engines kept until the user adds one, older ones make way
+const MAX_DISCOVERED = 20;
+
+/**
+ * Is a template a web url with a `%s` query
+ * @param {string} template
+ * @returns {boolean}
+ */
+function isTemplate(template) {
+  return typeof template === 'string' && /^https?:\/\/[^\s]+$/i.test(template) && template.includes('%s');
+}
+
+/**
+ * @param {string} keyword
+ * @returns {string} lower case, without spaces
+ */
+function normalizeKeyword(keyword) {
+  return String(keyword || '').trim().toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Search engine of an OpenSearch description document
+ * @param {string} xml
+ * @returns {{name: string, url: string, suggestUrl: string}|null} null when it has no usable search url
+ */
+function parseOpenSearch(xml) {
+  const decode = v => v.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'");
+  const attrs = tag => {
+    const result = {};
+    tag.replace(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (m, name, a, b) => {
+      result[name.toLowerCase()] = decode(a !== undefined ? a : b);
+      return m;
+    });
+    return result;
+  };
+  // `{searchTerms}` is the query, optional parameters like `p={startPage?}` are left out
+  const toTemplate = template =>
+    template
+      .replace(/\{searchTerms\}/g, '%s')
+      .replace(/([?&])[^=&?#{}]+=\{[^}]*\?\}(&?)/g, (m, lead, next) => (next ? lead : ''))
+      .replace(/\{[^}]*\}/g, '');
+  const urls = (String(xml || '').match(/<(?:\w+:)?Url\b[^>]*>/gi) || []).map(attrs);
+  const find = type =>
+    urls.find(v => (v.type || '').toLowerCase() === type && (!v.method || v.method.toLowerCase() === 'get'));
+  const search = find('text/html');
+  const suggest = find('application/x-suggestions+json');
+  const url = search && search.template ? toTemplate(search.template) : '';
+  if (!isTemplate(url)) return null;
+
+  const shortName = String(xml).match(/<(?:\w+:)?ShortName>([^<]*)</i);
+  const suggestUrl = suggest && suggest.template ? toTemplate(suggest.template) : '';
+  return {
+    name: shortName ? decode(shortName[1]).trim() : new URL(url).hostname,
+    url,
+    suggestUrl: isTemplate(suggestUrl) ? suggestUrl : ''
+  };
+}
+
+/**
+ * Fetch a description document in the session of the tab that links to it, so its
+ * partition and proxy apply. It's sent without cookies and redirects aren't followed
+ * @param {string} url
+ * @param {Session} session
+ * @returns {Promise<string>}
+ * @ignore
+ */
+function fetchDescription(url, session) {
+  const { net } = require('electron');
+  return new Promise((resolve, reject) => {
+    const request = net.request({ url, session, redirect: 'error' });
+    const fail = e => {
+      clearTimeout(timer);
+      request.abort();
+      reject(e);
+    };
+    const timer = setTimeout(() => fail(new Error('Timed out')), DESCRIPTION_TIMEOUT);
+    request.on('response', response => {
+      if (response.statusCode !== 200) {
+        fail(new Error(`Status ${response.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > DESCRIPTION_MAX_SIZE) {
+          fail(new Error('Description too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      });
+      response.on('error', fail);
+    });
+    request.on('error', fail);
+    request.end();
+  });
+}
+
+/**
+ * Is a url on the same origin as a page
+ * @param {string} url
+ * @param {string} pageUrl
+ * @returns {boolean}
+ */
+function isSameOrigin(url, pageUrl) {
+  try {
+    return new URL(url).origin === new URL(pageUrl).origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Search engines the address bar searches with, one of them is the default.
+ * Shared by every RenderWindow
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store engines in
+ * @param {string} [options.defaultId] - default engine of stores saved before engines had ids
+ * @param {SearchEngine[]} [options.presets] - engines offered to everyone, added once so removing them sticks
+ * @param {function(string, Session): Promise<string>} [options.fetch] - load an OpenSearch description
+ */
+class SearchEngines extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+    this.fetch = options.fetch || fetchDescription;
+    // Descriptions looked at since start, pages link them on every load
+    this.tried = new Set();
+    /** @type {SearchEngine[]} engines found on visited pages, they're saved once the user adds them */
+    this.discovered = [];
+    if (!this.store.has('engines')) this.migrate(options.defaultId);
+    this.forgetDiscovered();
+    this.addPresets(options.presets || []);
+  }
+
+  /**
+   * Older stores saved discovered engines, they're only kept for this run now
+   * @ignore
+   */
+  forgetDiscovered() {
+    const engines = this.store.get('engines') || [];
+    if (engines.some(engine => engine.discovered)) this.save(engines);
+  }
+
+  /**
+   * Older stores kept search url prefixes by name
+   * @param {string} [defaultId]
+   * @ignore
+   */
+  migrate(defaultId) {
+    const legacy = Object.entries(this.store.data).filter(([, url]) => typeof url === 'string');
+    const engines = [
+      ...DEFAULT_ENGINES,
+      ...legacy
+        .filter(([id]) => !DEFAULT_ENGINES.some(v => v.id === id))
+        .map(([id, url]) => ({ id, name: id, keyword: normalizeKeyword(id), url: `${url}%s` }))
+        .filter(engine => isTemplate(engine.url))
+    ];
+    legacy.forEach(([id]) => this.store.del(id));
+    this.store.set('engines', engines);
+    this.store.set('default', engines.some(v => v.id === defaultId) ? defaultId : engines[0].id);
+  }
+
+  /**
+   * @param {SearchEngine[]} presets
+   * @ignore
+   */
+  addPresets(presets) {
+    const offered = this.store.get('presets') || [];
+    const fresh = presets.filter(preset => preset && preset.id && !offered.includes(preset.id));
+    if (!fresh.length) return;
+    fresh.forEach(preset => {
+      if (!this.get(preset.id)) this.add(preset);
+    });
+    this.store.set('presets', [...offered, ...fresh.map(v => v.id)]);
+  }
+
+  /**
+   * @returns {SearchEngine[]}
+   */
+  list() {
+    return [...(this.store.get('engines') || DEFAULT_ENGINES), ...this.discovered];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {SearchEngine|undefined}
+   */
+  get(id) {
+    return this.list().find(engine => engine.id === id);
+  }
+
+  /**
+   * @returns {SearchEngine}
+   */
+  getDefault() {
+    return this.get(this.store.get('default')) || this.list()[0] || DEFAULT_ENGINES[0];
+  }
+
+  /**
+   * @param {string} id
+   *
+   * @fires SearchEngines#change
+   */
+  setDefault(id) {
+    const engine = this.get(id);
+    if (!engine) return;
+    log.debug('default search engine', id);
+    // Using a discovered engine as the default is adding it
+    if (engine.discovered) this.update(id, { discovered: false });
+    this.store.set('default', id);
+    this.emitChange();
+  }
+
+  /**
+   * Engine a keyword searches with, added engines win over discovered ones
+   * @param {string} keyword
+   * @returns {SearchEngine|undefined}
+   */
+  forKeyword(keyword) {
+    const key = normalizeKeyword(keyword);
+    if (!key) return undefined;
+    const matches = this.list().filter(engine => engine.keyword === key);
+    return matches.find(engine => !engine.discovered) || matches[0];
+  }
+
+  /**
+   * @param {object} props - name, keyword, url, suggestUrl, discovered, descriptionUrl
+   * @returns {SearchEngine|null} null when its url isn't a `%s` template
+   *
+   * @fires SearchEngines#change
+   */
+  add(props = {}) {
+    if (!isTemplate(props.url)) {
+      log.error('Invalid search engine url', props.url);
+      return null;
+    }
+    const engines = this.list();
+    const name = String(props.name || '').trim() || new URL(props.url).hostname;
+    const base = String(props.id || name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'engine';
+    let id = base;
+    for (let i = 2; engines.some(v => v.id === id); i += 1) id = `${base}-${i}`;
+    const engine = {
+      id,
+      name,
+      keyword: this.freeKeyword(props.keyword, id),
+      url: props.url,
+      suggestUrl: isTemplate(props.suggestUrl) ? props.suggestUrl : '',
+      discovered: !!props.discovered,
+      descriptionUrl: props.descriptionUrl || ''
+    };
+    log.debug('add search engine', engine);
+    this.save([...engines, engine]);
+    return engine;
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} props - name, keyword, url, suggestUrl, discovered
+   *
+   * @fires SearchEngines#change
+   */
+  update(id, props = {}) {
+    const changes = {};
+    if (typeof props.name === 'string' && props.name.trim()) changes.name = props.name.trim();
+    if (props.keyword !== undefined) changes.keyword = this.freeKeyword(props.keyword, id);
+    if (isTemplate(props.url)) changes.url = props.url;
+    if (props.suggestUrl !== undefined) changes.suggestUrl = isTemplate(props.suggestUrl) ? props.suggestUrl : '';
+    if (props.discovered !== undefined) changes.discovered = !!props.discovered;
+    this.save(this.list().map(engine => (engine.id === id ? { ...engine, ...changes } : engine)));
+  }
+
+  /**
+   * Remove an engine, the default one can't be removed
+   * @param {string} id
+   *
+   * @fires SearchEngines#change
+   */
+  remove(id) {
+    if (!this.get(id) || id === this.getDefault().id) return;
+    this.save(this.list().filter(engine => engine.id !== id));
+  }
+
+  /**
+   * Keyword if no other added engine uses it, empty otherwise
+   * @param {string} keyword
+   * @param {string} id - engine the keyword is for
+   * @returns {string}
+   * @ignore
+   */
+  freeKeyword(keyword, id) {
+    const key = normalizeKeyword(keyword);
+    const owner = this.list().find(engine => engine.id !== id && engine.keyword === key && !engine.discovered);
+    if (key && owner) {
+      log.warn(`Keyword ${key} is used by ${owner.id}`);
+      return '';
+    }
+    return key;
+  }
+
+  /**
+   * Offer the engine of an OpenSearch description a page links to, its keyword is the site's domain.
+   * Only descriptions on the page's own origin are loaded
+   * @param {string} descriptionUrl
+   * @param {string} pageUrl
+   * @param {Session} session - session of the page's tab, the description is loaded in it
+   * @returns {Promise<SearchEngine|null>}
+   *
+   * @fires SearchEngines#change
+   */
+  discover(descriptionUrl, pageUrl, session) {
+    if (
+      !isSameOrigin(descriptionUrl, pageUrl) ||
+      this.tried.has(descriptionUrl) ||
+      this.list().some(v => v.descriptionUrl === descriptionUrl)
+    ) {
+      return Promise.resolve(null);
+    }
+    this.tried.add(descriptionUrl);
+    return this.fetch(descriptionUrl, session)
+      .then(xml => {
+        const found = parseOpenSearch(xml);
+        if (!found || this.list().some(v => v.url === found.url)) return null;
+        const keyword = new URL(pageUrl).hostname.replace(/^www\./, '');
+        log.debug('discovered search engine', descriptionUrl);
+        return this.add({ ...found, keyword, discovered: true, descriptionUrl });
+      })
+      .catch(e => {
+        log.warn('Unable to load search engine description', descriptionUrl, e.message || e);
+        return null;
+      });
+  }
+
+  /**
+   * Engines and the default one, like the control panel and px://settings get them
+   * @returns {{engines: SearchEngine[], default: string}}
+   */
+  state() {
+    return { engines: this.list(), default: this.getDefault().id };
+  }
+
+  /**
+   * Save added engines, discovered ones stay in memory until they're added
+   * @param {SearchEngine[]} engines
+   * @ignore
+   */
+  save(engines) {
+    this.store.set('engines', engines.filter(engine => !engine.discovered));
+    this.discovered = engines.filter(engine => engine.discovered).slice(-MAX_DISCOVERED);
+    this.emitChange();
+  }
+
+  /**
+   * @ignore
+   */
+  emitChange() {
+    /**
+     * change event, an engine or the default one changed
+     *
+     * @event SearchEngines#change
+     */
+    this.emit('change');
+  }
+}
+
+SearchEngines.parseOpenSearch = parseOpenSearch;
+
+module.exports = SearchEngines;
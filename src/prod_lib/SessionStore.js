@@ -0,0 +1,171 @@
+const log = require('electron-log');
+
+// Used in Main process
+
+// Back/forward entries kept per tab, only the active one is loaded on restore
+const MAX_ENTRIES = 15;
+const SAVE_DELAY = 1000;
+
+/**
+ * @typedef {object} SessionTab
+ * @property {string} url - tab's url at the active navigation entry
+ * @property {string} title - tab's title
+ * @property {string[]} entries - back/forward navigation entries(oldest first)
+ * @property {number} entryIndex - index of the active entry in `entries`
+ * @property {string} [container] - container the tab was opened in
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {SessionTab[]} tabs - tabs in strip order
+ * @property {number} active - index of the active tab in `tabs`
+ * @property {object[]} [groups] - tab groups, `tabs` are indices in `tabs`
+ */
+
+/**
+ * Record a main frame navigation in a tab's navigation entries
+ *
+ * @param {object} state
+ * @param {string[]} [state.entries]
+ * @param {number} [state.entryIndex]
+ * @param {string} url - navigated url
+ * @param {number} [offset] - pending goBack(-1)/goForward(1)/goToIndex offset,
+ *  0 for the first load of a restored tab's active entry, which may redirect
+ * @returns {{entries: string[], entryIndex: number}}
+ */
+function recordNavigation(state, url, offset) {
+  const entries = state.entries || [];
+  let entryIndex = typeof state.entryIndex === 'number' ? state.entryIndex : entries.length - 1;
+
+  if (typeof offset === 'number' && entries[entryIndex + offset] !== undefined) {
+    entryIndex += offset;
+    return { entries: [...entries.slice(0, entryIndex), url, ...entries.slice(entryIndex + 1)], entryIndex };
+  }
+  // Reload or redirect of the active entry
+  if (entries[entryIndex] === url) {
+    return { entries, entryIndex };
+  }
+
+  const next = [...entries.slice(0, entryIndex + 1), url];
+  const overflow = Math.max(0, next.length - MAX_ENTRIES);
+  return { entries: next.slice(overflow), entryIndex: next.length - 1 - overflow };
+}
+
+/**
+ * Navigation entry a number of steps away from the active one
+ *
+ * @param {object} state
+ * @param {string[]} [state.entries]
+ * @param {number} [state.entryIndex]
+ * @param {number} offset - -1 for the previous entry, 1 for the next one
+ * @returns {string|undefined}
+ */
+function entryAt(state, offset) {
+  const entries = state.entries || [];
+  const entryIndex = typeof state.entryIndex === 'number' ? state.entryIndex : entries.length - 1;
+  return entries[entryIndex + offset];
+}
+
+/**
+ * Persist browser session(open tabs of every window) to disk and tell
+ * whether the last run ended cleanly
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the session in
+ */
+class SessionStore {
+  constructor(options) {
+    this.store = require('data-store')({ path: options.path });
+    this.saveTimer = null;
+    this.pending = false;
+    // Session of every open window, by window key in opening order
+    this.windows = new Map();
+
+    // Only a run that started and never reached markCleanExit leaves `false`, a first run has nothing
+    this.crashed = this.store.get('clean_exit') === false;
+    this.store.set('clean_exit', false);
+    log.debug('session store loaded', { crashed: this.crashed });
+  }
+
+  /**
+   * Last saved session, one entry per window
+   *
+   * @returns {Session[]|undefined}
+   */
+  load() {
+    const saved = this.store.get('session');
+    if (!saved) return;
+    // Sessions saved before multi-window support hold a single window
+    const windows = Array.isArray(saved.windows) ? saved.windows : [saved];
+    const sessions = windows.filter(session => session && Array.isArray(session.tabs) && session.tabs.length > 0);
+    if (sessions.length === 0) return;
+    return sessions;
+  }
+
+  /**
+   * Save a window's session, writes are batched so this is safe to call on every tab update
+   *
+   * @param {Session} session
+   * @param {*} [key='main'] - window the session belongs to
+   */
+  save(session, key = 'main') {
+    this.windows.set(key, session);
+    this.schedule();
+  }
+
+  /**
+   * Forget a window that was closed while others stay open
+   *
+   * @param {*} [key='main']
+   */
+  remove(key = 'main') {
+    if (!this.windows.delete(key)) return;
+    this.schedule();
+  }
+
+  /**
+   * Write to disk after SAVE_DELAY, batching saves in between
+   * @ignore
+   */
+  schedule() {
+    this.pending = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  /**
+   * Write pending session to disk immediately
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.pending) return;
+    this.store.set('session', { windows: [...this.windows.values()], savedAt: Date.now() });
+    this.pending = false;
+  }
+
+  /**
+   * Drop saved session(e.g user choose to start a new one)
+   */
+  clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.pending = false;
+    this.windows.clear();
+    this.store.del('session');
+  }
+
+  /**
+   * Flush and remember that this run was closed by the user
+   */
+  markCleanExit() {
+    this.flush();
+    this.store.set('clean_exit', true);
+  }
+}
+
+SessionStore.MAX_ENTRIES = MAX_ENTRIES;
+SessionStore.recordNavigation = recordNavigation;
+SessionStore.entryAt = entryAt;
+
+module.exports = SessionStore;
@@ -0,0 +1,114 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+/**
+ * @typedef {'secure'|'mixed'|'unsafe'|'insecure'|'internal'|'file'|'none'} SecurityState
+ * @description How safe a tab's page is, the address bar's chip shows it:
+ *  secure - https with a trusted certificate
+ *  mixed - https that loaded http content
+ *  unsafe - https whose bad certificate the user accepted
+ *  insecure - http
+ *  internal - our px:// pages
+ *  file - local files
+ *  none - blank and error pages
+ */
+
+/**
+ * @typedef {object} VerifiedCertificate
+ * @property {Certificate} certificate
+ * @property {string} verificationResult - Chromium's result, `net::OK` for trusted ones
+ * @property {number} verifiedAt
+ */
+
+/**
+ * Security state of a page
+ * @param {object} page
+ * @param {string} page.url - tab's url, our pages' displayed ones included
+ * @param {string} [page.certError] - bad certificate accepted for its host
+ * @param {boolean} [page.mixedContent] - page loaded http content
+ * @returns {SecurityState}
+ */
+function securityState({ url, certError, mixedContent }) {
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (e) {
+    return 'none';
+  }
+  if (protocol === 'https:') {
+    if (certError) return 'unsafe';
+    return mixedContent ? 'mixed' : 'secure';
+  }
+  if (protocol === 'http:') return 'insecure';
+  if (protocol === 'px:' || protocol === 'view-source:') return 'internal';
+  if (protocol === 'file:') return 'file';
+  return 'none';
+}
+
+/**
+ * Certificates the tabs' sessions verified, by host name, shared by every RenderWindow
+ * so the site info panel can show the certificate of a page loaded on a reused connection.
+ * It also tells which https pages load http content, the pages can't say it for themselves
+ */
+class SiteSecurity extends EventEmitter {
+  constructor() {
+    super();
+    /** @type {Object<string, VerifiedCertificate>} */
+    this.certificates = {};
+    this.sessions = new WeakSet();
+  }
+
+  /**
+   * Remember the certificates a session verifies, Chromium still decides whether they're trusted,
+   * and watch its requests for http content loaded into https pages
+   * @param {Session} session
+   *
+   * @fires SiteSecurity#mixed-content
+   */
+  watch(session) {
+    if (!session || this.sessions.has(session)) return;
+    this.sessions.add(session);
+    session.setCertificateVerifyProc((request, callback) => {
+      this.certificates[request.hostname] = {
+        certificate: request.certificate,
+        verificationResult: request.verificationResult,
+        verifiedAt: Date.now()
+      };
+      if (request.errorCode) log.debug('certificate not verified', request.hostname, request.verificationResult);
+      // Use Chromium's verification
+      callback(-3);
+    });
+    session.webRequest.onCompleted(details => {
+      const { webContents, resourceType, url } = details;
+      if (!webContents || webContents.isDestroyed() || resourceType === 'mainFrame' || !url.startsWith('http:')) return;
+      if (!webContents.getURL().startsWith('https:')) return;
+      /**
+       * mixed-content event, a https page loaded http content
+       *
+       * @event SiteSecurity#mixed-content
+       * @type {WebContents} webContents - page's
+       * @type {string} url - http content's
+       */
+      this.emit('mixed-content', webContents, url);
+    });
+  }
+
+  /**
+   * Last certificate verified for a url's host
+   * @param {string} url
+   * @returns {VerifiedCertificate|undefined}
+   */
+  certificate(url) {
+    try {
+      return this.certificates[new URL(url).hostname];
+    } catch (e) {
+      return undefined;
+    }
+  }
+}
+
+SiteSecurity.securityState = securityState;
+
+module.exports = SiteSecurity;
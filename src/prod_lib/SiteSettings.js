@@ -0,0 +1,140 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+/**
+ * Origin of a url, empty for our own pages and other non http urls
+ * @param {string} url
+ * @returns {string}
+ */
+function originOf(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Settings remembered per origin and shared by every RenderWindow,
+ * like sites that are always muted or the permissions blocked for them
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the settings in
+ */
+class SiteSettings extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+    // Permissions sites were granted without a decision of the user's, by origin, until the app quits
+    /** @type {Object<string, Object<string, true>>} */
+    this.requested = {};
+    this.sessions = new WeakSet();
+  }
+
+  /**
+   * Answer a session's permission requests and checks, sites get what they ask for
+   * unless it's blocked for them. Sessions are shared by windows, each gets it once
+   * @param {Session} session
+   */
+  watch(session) {
+    if (!session || this.sessions.has(session)) return;
+    this.sessions.add(session);
+    session.setPermissionRequestHandler((contents, permission, callback, details) => {
+      callback(this.allowPermission((details && details.requestingUrl) || contents.getURL(), permission));
+    });
+    session.setPermissionCheckHandler((contents, permission, requestingOrigin) => {
+      return this.permission(requestingOrigin, permission) !== 'block';
+    });
+  }
+
+  /**
+   * User's decision for a site's permission
+   * @param {string} url - any url of the site
+   * @param {string} permission - like `geolocation` or `notifications`
+   * @returns {'allow'|'block'|undefined} undefined when the user didn't decide
+   */
+  permission(url, permission) {
+    return (this.get(url, 'permissions') || {})[permission];
+  }
+
+  /**
+   * Permissions a site asked for, the user's decision or true when it's allowed by default
+   * @param {string} url - any url of the site
+   * @returns {Object<string, 'allow'|'block'|true>}
+   */
+  permissions(url) {
+    return { ...this.requested[originOf(url)], ...this.get(url, 'permissions') };
+  }
+
+  /**
+   * Answer a site's permission request. What it asked for without a decision is only
+   * listed in its site info panel, allowing it by default isn't a decision to remember
+   * @param {string} url - page asking
+   * @param {string} permission
+   * @returns {boolean}
+   */
+  allowPermission(url, permission) {
+    const decision = this.permission(url, permission);
+    if (decision === 'block') return false;
+    const origin = originOf(url);
+    if (!decision && origin) this.requested[origin] = { ...this.requested[origin], [permission]: true };
+    return true;
+  }
+
+  /**
+   * Every origin's settings
+   * @returns {Object<string, object>}
+   */
+  all() {
+    return this.store.get('sites') || {};
+  }
+
+  /**
+   * @param {string} url - any url of the site
+   * @param {string} key
+   * @returns {*} undefined when the site doesn't have it
+   */
+  get(url, key) {
+    const origin = originOf(url);
+    const site = origin && this.all()[origin];
+    return site ? site[key] : undefined;
+  }
+
+  /**
+   * @param {string} url - any url of the site
+   * @param {string} key
+   * @param {*} value - undefined removes the setting
+   *
+   * @fires SiteSettings#change
+   */
+  set(url, key, value) {
+    const origin = originOf(url);
+    if (!origin) return;
+    const sites = this.all();
+    const { [key]: _, ...rest } = sites[origin] || {};
+    const site = value === undefined ? rest : { ...rest, [key]: value };
+    if (Object.keys(site).length) {
+      sites[origin] = site;
+    } else {
+      delete sites[origin];
+    }
+    log.debug('site setting', { origin, key, value });
+    this.store.set('sites', sites);
+    /**
+     * change event, a site's setting changed
+     *
+     * @event SiteSettings#change
+     * @type {string} origin
+     * @type {string} key
+     * @type {*} value
+     */
+    this.emit('change', origin, key, value);
+  }
+}
+
+SiteSettings.originOf = originOf;
+
+module.exports = SiteSettings;
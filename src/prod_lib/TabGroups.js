@@ -0,0 +1,132 @@
+// Used in Main process
+
+/**
+ * @typedef {object} TabGroup
+ * @property {number} id
+ * @property {string} name
+ * @property {string} color - one of COLORS
+ * @property {boolean} collapsed
+ * @property {TabID[]} tabs - ordered tab ids in the group
+ */
+
+const COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+let lastGroupId = 0;
+
+/**
+ * Create a group object, it's not added to any list
+ *
+ * @param {TabID[]} tabs
+ * @param {object} [props] - name, color, collapsed
+ * @returns {TabGroup}
+ */
+function createGroup(tabs, props = {}) {
+  lastGroupId += 1;
+  return {
+    name: '',
+    color: COLORS[(lastGroupId - 1) % COLORS.length],
+    collapsed: false,
+    ...props,
+    id: lastGroupId,
+    tabs: [...tabs]
+  };
+}
+
+/**
+ * @param {TabGroup[]} groups
+ * @param {TabID} tabId
+ * @returns {TabGroup|undefined}
+ */
+function groupOf(groups, tabId) {
+  return groups.find(group => group.tabs.includes(tabId));
+}
+
+/**
+ * Is a tab inside a collapsed group, the strip doesn't show it
+ *
+ * @param {TabGroup[]} groups
+ * @param {TabID} tabId
+ * @returns {boolean}
+ */
+function isCollapsed(groups, tabId) {
+  const group = groupOf(groups, tabId);
+  return !!(group && group.collapsed);
+}
+
+/**
+ * Take a tab out of its group, groups left empty are dropped
+ *
+ * @param {TabGroup[]} groups
+ * @param {TabID} tabId
+ * @returns {TabGroup[]}
+ */
+function removeTab(groups, tabId) {
+  return groups
+    .map(group => (group.tabs.includes(tabId) ? { ...group, tabs: group.tabs.filter(id => id !== tabId) } : group))
+    .filter(group => group.tabs.length > 0);
+}
+
+/**
+ * Move a tab into a group
+ *
+ * @param {TabGroup[]} groups
+ * @param {number} groupId
+ * @param {TabID} tabId
+ * @param {TabID} [afterTabId] - place next to this group member, defaults to the end
+ * @returns {TabGroup[]}
+ */
+function addTab(groups, groupId, tabId, afterTabId) {
+  return removeTab(groups, tabId).map(group => {
+    if (group.id !== groupId) return group;
+    const tabs = [...group.tabs];
+    const afterIndex = tabs.indexOf(afterTabId);
+    tabs.splice(afterIndex === -1 ? tabs.length : afterIndex + 1, 0, tabId);
+    return { ...group, tabs };
+  });
+}
+
+/**
+ * Keep each group's tabs in strip order
+ *
+ * @param {TabGroup[]} groups
+ * @param {TabID[]} tabs - strip order
+ * @returns {TabGroup[]}
+ */
+function sortByTabs(groups, tabs) {
+  return groups.map(group => ({
+    ...group,
+    tabs: [...group.tabs].sort((a, b) => tabs.indexOf(a) - tabs.indexOf(b))
+  }));
+}
+
+/**
+ * Reorder tabs so members of a group sit next to each other,
+ * a group block takes the place of its first member
+ *
+ * @param {TabID[]} tabs
+ * @param {TabGroup[]} groups
+ * @returns {TabID[]}
+ */
+function arrangeTabs(tabs, groups) {
+  const placed = new Set();
+  const arranged = [];
+  tabs.forEach(id => {
+    if (placed.has(id)) return;
+    const group = groupOf(groups, id);
+    const block = group ? group.tabs.filter(v => tabs.includes(v)) : [id];
+    block.forEach(v => placed.add(v));
+    arranged.push(...block);
+  });
+  return arranged;
+}
+
+module.exports = {
+  COLORS,
+  createGroup,
+  groupOf,
+  isCollapsed,
+  removeTab,
+  addTab,
+  sortByTabs,
+  arrangeTabs
+};
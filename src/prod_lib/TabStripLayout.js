@@ -0,0 +1,71 @@
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Used in Main process
+
+const DEFAULT_WIDTH = 240;
+const MIN_WIDTH = 160;
+const MAX_WIDTH = 480;
+// Icon only side panel
+const COLLAPSED_WIDTH = 48;
+
+/**
+ * @typedef {object} Layout
+ * @property {boolean} vertical - tabs are in a side panel instead of above the page
+ * @property {boolean} collapsed - side panel only shows icons
+ * @property {number} width - expanded side panel's width
+ */
+
+/**
+ * Where the tab strip is, shared by every RenderWindow so they switch together
+ *
+ * @param {object} options
+ * @param {string} options.path - json file to store the layout in
+ */
+class TabStripLayout extends EventEmitter {
+  constructor(options) {
+    super();
+    this.store = require('data-store')({ path: options.path });
+  }
+
+  /**
+   * @returns {Layout}
+   */
+  get() {
+    const { vertical = false, collapsed = false, width = DEFAULT_WIDTH } = this.store.get('layout') || {};
+    return { vertical, collapsed, width };
+  }
+
+  /**
+   * @param {Partial<Layout>} props
+   *
+   * @fires TabStripLayout#change
+   */
+  set(props) {
+    const layout = { ...this.get(), ...props };
+    layout.vertical = !!layout.vertical;
+    layout.collapsed = !!layout.collapsed;
+    layout.width = Math.min(Math.max(Math.round(Number(layout.width)) || DEFAULT_WIDTH, MIN_WIDTH), MAX_WIDTH);
+    log.debug('tab strip layout', layout);
+    this.store.set('layout', layout);
+    /**
+     * change event, layout changed
+     *
+     * @event TabStripLayout#change
+     * @type {Layout}
+     */
+    this.emit('change', layout);
+  }
+
+  /**
+   * Width the side panel takes, 0 when tabs are above the page
+   * @returns {number}
+   */
+  sidebarWidth() {
+    const { vertical, collapsed, width } = this.get();
+    if (!vertical) return 0;
+    return collapsed ? COLLAPSED_WIDTH : width;
+  }
+}
+
+module.exports = TabStripLayout;
@@ -0,0 +1,211 @@
+const { ipcMain, screen } = require('electron');
+const EventEmitter = require('events');
+const log = require('electron-log');
+const RenderWindow = require('./RenderWindow');
+
+// Used in Main process
+
+// New windows open a bit down and right of the focused one
+const CASCADE_OFFSET = 30;
+
+/**
+ * Is a screen point over a window's tab strip(control view)
+ * @param {RenderWindow} rw
+ * @param {{x: number, y: number}} point
+ * @returns {boolean}
+ */
+function isOverTabStrip(rw, point) {
+  if (!rw.controlView || rw.win.isMinimized() || !rw.win.isVisible()) return false;
+  const { x, y } = rw.win.getContentBounds();
+  const strip = rw.getTabStripBounds();
+  return (
+    point.x >= x + strip.x &&
+    point.x < x + strip.x + strip.width &&
+    point.y >= y + strip.y &&
+    point.y < y + strip.y + strip.height
+  );
+}
+
+/**
+ * Own every RenderWindow and route ipc messages to the window they come from
+ *
+ * @param {object} options - default RenderWindow options for every window
+ */
+class WindowManager extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    /** @type {RenderWindow[]} */
+    this.windows = [];
+    this.lastFocused = null;
+  }
+
+  /**
+   * Open a new window
+   * @param {object} [options] - RenderWindow options overriding the defaults
+   * @returns {RenderWindow}
+   *
+   * @fires WindowManager#all-closed
+   */
+  createWindow(options = {}) {
+    const focused = this.focused();
+    const bounds = options.bounds || (focused ? this.cascadeBounds(focused) : undefined);
+    const rw = new RenderWindow({ ...this.options, ...options, bounds });
+    log.debug('window created', { count: this.windows.length + 1 });
+
+    this.windows.push(rw);
+    this.lastFocused = rw;
+    rw.win.on('focus', () => {
+      this.lastFocused = rw;
+    });
+
+    rw.on('reopen-window', entry => this.createWindow({ session: entry }));
+    rw.on('restore-windows', sessions => sessions.forEach(session => this.createWindow({ session })));
+    rw.on('tear-off-tab', viewId => this.tearOffTab(rw, viewId));
+    rw.on('switch-to-tab', viewId => {
+      const owner = this.fromTabId(viewId);
+      if (!owner) return;
+      owner.switchTab(viewId);
+      owner.win.focus();
+    });
+    rw.on('request-tab', (viewId, toIndex) => {
+      const from = this.fromTabId(viewId);
+      if (from && from !== rw) this.transferTab(from, viewId, rw, toIndex);
+    });
+    rw.on('closed', () => {
+      this.windows = this.windows.filter(v => v !== rw);
+      if (this.lastFocused === rw) {
+        this.lastFocused = this.windows[this.windows.length - 1] || null;
+      }
+      if (this.windows.length) {
+        // The last window stays in the session so it's restored on next start
+        if (this.options.sessionStore) this.options.sessionStore.remove(rw);
+        return;
+      }
+      /**
+       * all-closed event, every window was closed
+       *
+       * @event WindowManager#all-closed
+       */
+      this.emit('all-closed');
+    });
+    return rw;
+  }
+
+  /**
+   * Bounds for a window opened from another one
+   * @param {RenderWindow} rw
+   * @returns {Bounds}
+   * @ignore
+   */
+  cascadeBounds(rw) {
+    const { x, y, width, height } = rw.win.getBounds();
+    return { x: x + CASCADE_OFFSET, y: y + CASCADE_OFFSET, width, height };
+  }
+
+  /**
+   * Focused window, or the last focused one when the app is in background
+   * @returns {RenderWindow|null}
+   */
+  focused() {
+    return this.windows.find(rw => rw.win.isFocused()) || this.lastFocused;
+  }
+
+  /**
+   * Window owning a webContents, it can be the window itself, its control view, an overlay or a tab
+   * @param {WebContents} webContents
+   * @returns {RenderWindow|undefined}
+   */
+  fromWebContents(webContents) {
+    return this.windows.find(
+      rw =>
+        rw.win.webContents === webContents ||
+        (rw.controlView && rw.controlView.webContents === webContents) ||
+        (rw.switcherView && rw.switcherView.webContents === webContents) ||
+        rw.tabs.some(id => rw.views[id] && rw.views[id].webContents === webContents)
+    );
+  }
+
+  /**
+   * @param {TabID} viewId
+   * @returns {RenderWindow|undefined}
+   */
+  fromTabId(viewId) {
+    return this.windows.find(rw => rw.tabs.includes(viewId));
+  }
+
+  /**
+   * Listen to an ipc channel and call listener with the sender's window,
+   * messages from webContents outside of our windows are ignored
+   * @param {string} channel
+   * @param {function(RenderWindow, IpcMainEvent, ...*)} listener
+   */
+  handle(channel, listener) {
+    ipcMain.on(channel, (e, ...args) => {
+      const rw = this.fromWebContents(e.sender);
+      if (!rw) {
+        log.debug(`Ignore ${channel} from unknown sender ${e.sender.id}`);
+        return;
+      }
+      listener(rw, e, ...args);
+    });
+  }
+
+  /**
+   * Open a window's quick switcher with tabs of every window, or close it if it's open
+   * @param {RenderWindow} rw
+   */
+  toggleQuickSwitcher(rw) {
+    if (rw.isQuickSwitcherOpen) {
+      rw.hideQuickSwitcher();
+      return;
+    }
+    const otherTabs = this.windows
+      .filter(v => v !== rw)
+      .reduce((acc, v) => [...acc, ...v.quickSwitcherTabs()], []);
+    rw.showQuickSwitcher(otherTabs);
+  }
+
+  /**
+   * Move a live tab to another window, the source window is closed if it's left empty
+   * @param {RenderWindow} from
+   * @param {TabID} viewId
+   * @param {RenderWindow} to
+   * @param {number} [toIndex] - defaults to the end of the strip
+   */
+  transferTab(from, viewId, to, toIndex) {
+    const detached = from.detachTab(viewId);
+    if (!detached) return;
+    to.attachTab(detached, toIndex);
+    to.win.focus();
+    if (from.tabs.length === 0) from.win.close();
+  }
+
+  /**
+   * Tab was dropped outside of its strip, move it to the window under the cursor
+   * or open it in a new window there
+   * @param {RenderWindow} from
+   * @param {TabID} viewId
+   */
+  tearOffTab(from, viewId) {
+    const point = screen.getCursorScreenPoint();
+    if (isOverTabStrip(from, point)) return;
+
+    const target = this.windows.find(rw => rw !== from && isOverTabStrip(rw, point));
+    if (target) {
+      this.transferTab(from, viewId, target);
+      return;
+    }
+
+    const { width, height } = from.win.getBounds();
+    // Keep the cursor over the new window's strip like it's being dragged by the tab
+    const bounds = { x: point.x - Math.round(width / 4), y: point.y - 20, width, height };
+    if (from.tabs.length === 1) {
+      from.win.setBounds(bounds);
+      return;
+    }
+    this.createWindow({ adoptTab: from.detachTab(viewId), bounds });
+  }
+}
+
+module.exports = WindowManager;
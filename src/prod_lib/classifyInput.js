@@ -0,0 +1,203 @@
+const psl = require('psl');
+
+// Used in Main and Renderer process
+
+// Schemes loaded as they're typed, even without `//`
+const SCHEMES = ['http', 'https', 'file', 'ftp', 'px', 'about', 'data', 'mailto', 'view-source', 'blob'];
+// Names for hosts on the local network, they're never searched for
+const INTRANET_TLDS = ['localhost', 'local', 'lan', 'home', 'internal', 'intranet', 'corp', 'test', 'example', 'invalid', 'onion', 'arpa'];
+const LABEL = /^(?!-)[a-z0-9_\u00a1-\uffff-]{1,63}(?<!-)$/i;
+
+/**
+ * @typedef {object} InputClass
+ * @property {'url'|'search'} type
+ * @property {string} [url] - page to load, for urls
+ * @property {string} [query] - text to search for, for searches
+ */
+
+/**
+ * Is a top level domain in the public suffix list or a local network one, IDN ones are all taken
+ * @param {string} tld
+ * @returns {boolean}
+ */
+function isKnownTLD(tld) {
+  const lower = tld.toLowerCase();
+  if (INTRANET_TLDS.includes(lower) || lower.startsWith('xn--') || /[^\x00-\x7f]/.test(lower)) return true;
+  return !!psl.parse(`x.${lower}`).listed;
+}
+
+/**
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isIPv4(host) {
+  const parts = host.split('.');
+  return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+}
+
+/**
+ * @param {string} host - without brackets
+ * @returns {boolean}
+ */
+function isIPv6(host) {
+  if (!/^[0-9a-f:.]+$/i.test(host) || !host.includes(':')) return false;
+  try {
+    return !!new URL(`http://[${host}]/`).host;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Url of a typed path on the disk, like `/home/me/a.html`, `C:\Users\a.html` or `\\server\share`
+ * @param {string} text
+ * @returns {string} empty when it isn't a path
+ */
+function pathToURL(text) {
+  let path = '';
+  if (/^[a-z]:[\\/]/i.test(text)) {
+    path = `/${text.replace(/\\/g, '/')}`;
+  } else if (/^\\\\[^\\]/.test(text)) {
+    // UNC path, the server is the url's host
+    return `file:${encodeURI(text.replace(/\\/g, '/'))}`;
+  } else if (/^\/(?!\/)/.test(text)) {
+    path = text;
+  } else {
+    return '';
+  }
+  return `file://${encodeURI(path).replace(/[?#]/g, encodeURIComponent)}`;
+}
+
+/**
+ * Url of a typed host with an optional port and path, like `example.com`,
+ * `localhost:3000`, `192.168.0.10:8080/path`, `[::1]` or `intranet/`
+ * @param {string} text
+ * @returns {string} empty when it looks like a search
+ */
+function hostToURL(text) {
+  const match = text.match(/^(\[[^\]]*\]|[^/?#:@\s]+)(?::(\d{1,5}))?([/?#].*)?$/);
+  if (!match) {
+    // Bare IPv6, like `::1` or `fe80::1`
+    return isIPv6(text) ? `http://[${text}]/` : '';
+  }
+  const [, host, port, rest = ''] = match;
+  if (port && Number(port) > 65535) return '';
+
+  let known = false;
+  if (host.startsWith('[')) {
+    if (!isIPv6(host.slice(1, -1))) return '';
+    known = true;
+  } else if (isIPv4(host)) {
+    known = true;
+  } else {
+    const labels = host.replace(/\.$/, '').split('.');
+    if (labels.some(label => !LABEL.test(label))) return '';
+    const tld = labels[labels.length - 1];
+    if (labels.length > 1) {
+      // Domains need a real top level domain, so `node.js` and `file.txt` are searched for
+      known = isKnownTLD(tld) && !/^\d+$/.test(tld);
+    } else {
+      // Single words are searched for, except the local machine
+      known = tld.toLowerCase() === 'localhost';
+    }
+  }
+  // A port or a path makes any host a url, like `intranet:8080` or `wiki/Page`
+  if (!known && !port && !rest.startsWith('/')) return '';
+
+  try {
+    return new URL(`http://${text}`).href;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Tell whether address bar input is a url to load or text to search for.
+ *
+ * | Input                        | Result                              |
+ * |------------------------------|-------------------------------------|
+ * | `example.com`                | url `http://example.com/`           |
+ * | `example.photography`        | url, any public suffix              |
+ * | `https://example.com/a b`    | url, as typed                       |
+ * | `localhost:3000`             | url `http://localhost:3000/`        |
+ * | `192.168.0.10:8080/path`     | url `http://192.168.0.10:8080/path` |
+ * | `[::1]:8080`, `fe80::1`      | url, IPv6                           |
+ * | `bücher.de`                  | url `http://xn--bcher-kva.de/`      |
+ * | `router/`, `intranet:8080`   | url, local network hosts            |
+ * | `C:\Users\a.html`, `/tmp/a`  | url `file:///...`                   |
+ * | `px://settings`, `about:blank` | url, as typed                     |
+ * | `node.js`, `word`            | search, unknown TLD or single word  |
+ * | `how to code`                | search                              |
+ * | `"example.com"`              | search `example.com`, quoted        |
+ * | `?example.com`               | search `example.com`                |
+ * | `example.com?`               | search `example.com?`               |
+ * | `me@example.com`             | search                              |
+ *
+ * @param {string} input
+ * @returns {InputClass|null} null for empty input
+ */
+function classifyInput(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+
+  // Forced searches, quoted text or text after a leading `?`
+  const quoted = text.match(/^"(.*)"$/s);
+  if (quoted) return { type: 'search', query: quoted[1].trim() };
+  if (text.startsWith('?')) return { type: 'search', query: text.slice(1).trim() };
+
+  const path = pathToURL(text);
+  if (path) return { type: 'url', url: path };
+
+  const scheme = text.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && (SCHEMES.includes(scheme[1].toLowerCase()) || text.startsWith(`${scheme[1]}://`))) {
+    return { type: 'url', url: text };
+  }
+
+  // A question about a site isn't the site
+  if (text.endsWith('?') || /\s/.test(text)) return { type: 'search', query: text };
+
+  const url = hostToURL(text);
+  return url ? { type: 'url', url } : { type: 'search', query: text };
+}
+
+/**
+ * Url of a search, `%s` in the engine's template is the query
+ * @param {string} template - like `https://www.google.com/search?q=%s`
+ * @param {string} query
+ * @returns {string}
+ */
+function searchURL(template, query) {
+  return template.split('%s').join(encodeURIComponent(query));
+}
+
+/**
+ * Url to load for address bar input, searches go to the default search engine.
+ * A search engine's keyword before the query, like `gh electron`, searches with that engine
+ *
+ * @param {string} input
+ * @param {{engines: SearchEngine[], default: string}} search - search engines and the default one's id
+ * @returns {string} empty for empty input
+ */
+function inputToURL(input, search) {
+  const text = String(input || '').trim();
+  const keyword = text.match(/^(\S+)\s+(\S.*)$/s);
+  const engines = (search && search.engines) || [];
+  if (keyword) {
+    const key = keyword[1].toLowerCase();
+    const matches = engines.filter(engine => engine.keyword === key);
+    const engine = matches.find(v => !v.discovered) || matches[0];
+    if (engine) return searchURL(engine.url, keyword[2]);
+  }
+
+  const result = classifyInput(text);
+  if (!result) return '';
+  if (result.type === 'url') return result.url;
+  const engine = engines.find(v => v.id === search.default) || engines[0];
+  return engine ? searchURL(engine.url, result.query) : '';
+}
+
+module.exports = {
+  classifyInput,
+  inputToURL,
+  searchURL
+};
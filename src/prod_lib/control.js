@@ -53,6 +53,159 @@ const sendNewTab = (url, references) => ipcRenderer.send('new-tab', url, referen
  */
 const sendSwitchTab = id => ipcRenderer.send('switch-tab', id);
 
+/**
+ * Reopen a recently closed tab or window
+ * @param {number} [index=0] - 0 is the last closed one
+ */
+const sendReopenClosed = index => ipcRenderer.send('reopen-closed', index);
+
+/**
+ * Show recently closed tabs list
+ * @param {{x: number, y: number}} position - where to show the list in control view
+ */
+const sendShowRecentlyClosed = position => ipcRenderer.send('show-recently-closed', position);
+
+/**
+ * Put tabs into a new group
+ * @param {TabID[]} ids
+ * @param {object} [props] - name, color
+ */
+const sendGroupTabs = (ids, props) => ipcRenderer.send('group-tabs', ids, props);
+
+/**
+ * Rename, recolor, collapse or expand a group
+ * @param {number} groupId
+ * @param {object} props - name, color, collapsed
+ */
+const sendUpdateTabGroup = (groupId, props) => ipcRenderer.send('update-tab-group', groupId, props);
+
+/**
+ * Move a tab into a group, `groupId = null` takes it out of its group
+ * @param {TabID} id
+ * @param {number|null} groupId
+ * @param {TabID} [afterId] - place the tab after this one
+ */
+const sendSetTabGroup = (id, groupId, afterId) => ipcRenderer.send('set-tab-group', id, groupId, afterId);
+
+/**
+ * Close every tab of a group
+ * @param {number} groupId
+ */
+const sendCloseTabGroup = groupId => ipcRenderer.send('close-tab-group', groupId);
+
+/**
+ * Move a tab to a new position in the strip
+ * @param {TabID} id
+ * @param {number} toIndex - index of the tab after the move
+ */
+const sendMoveTab = (id, toIndex) => ipcRenderer.send('move-tab', id, toIndex);
+
+/**
+ * Pin or unpin a tab
+ * @param {TabID} id
+ * @param {boolean} pinned
+ */
+const sendPinTab = (id, pinned) => ipcRenderer.send('pin-tab', id, pinned);
+
+/**
+ * Close every tab except the given one and pinned tabs
+ * @param {TabID} id
+ */
+const sendCloseOtherTabs = id => ipcRenderer.send('close-other-tabs', id);
+
+/**
+ * Show tab's context menu
+ * @param {TabID} id
+ * @param {{x: number, y: number}} position
+ */
+const sendShowTabMenu = (id, position) => ipcRenderer.send('show-tab-menu', id, position);
+
+/**
+ * Show group's context menu
+ * @param {number} groupId
+ * @param {{x: number, y: number}} position
+ */
+const sendShowGroupMenu = (groupId, position) => ipcRenderer.send('show-group-menu', groupId, position);
+
+/**
+ * Tab was dropped outside of the strip, move it to another window
+ * @param {TabID} id
+ */
+const sendTearOffTab = id => ipcRenderer.send('tear-off-tab', id);
+
+/**
+ * Mute a tab, or unmute it if it's muted
+ * @param {TabID} id
+ */
+const sendToggleTabMuted = id => ipcRenderer.send('toggle-tab-muted', id);
+
+/**
+ * Change the tab strip's layout, every window follows it
+ * @param {object} props
+ * @param {boolean} [props.vertical] - tabs in a side panel
+ * @param {boolean} [props.collapsed] - side panel only shows icons
+ * @param {number} [props.width] - side panel's width
+ */
+const sendSetTabStripLayout = props => ipcRenderer.send('set-tab-strip-layout', props);
+
+/**
+ * Show a tab's preview next to it
+ * @param {TabID} id
+ * @param {{x: number, y: number, width: number, height: number}} rect - tab's bounds in the strip
+ */
+const sendShowHoverCard = (id, rect) => ipcRenderer.send('show-hover-card', id, rect);
+
+const sendHideHoverCard = () => ipcRenderer.send('hide-hover-card');
+
+/**
+ * Current tab's zoom back to 100%, for its whole site
+ */
+const sendResetZoom = () => ipcRenderer.send('reset-zoom');
+
+/**
+ * Ask for address bar suggestions, they come back on `omnibox-suggestions`
+ * @param {string} text - typed text
+ */
+const sendOmniboxQuery = text => ipcRenderer.send('omnibox-query', text);
+
+/**
+ * Show suggestions in the dropdown under the address bar
+ * @param {Suggestion[]} items
+ * @param {number} selected - highlighted suggestion, -1 for none
+ * @param {{x: number, y: number, width: number, height: number}} rect - address bar's bounds
+ */
+const sendShowOmnibox = (items, selected, rect) => ipcRenderer.send('omnibox-show', items, selected, rect);
+
+const sendHideOmnibox = () => ipcRenderer.send('omnibox-hide');
+
+/**
+ * Remove a suggestion from its source, like a page from history
+ * @param {Suggestion} item
+ */
+const sendRemoveOmniboxSuggestion = item => ipcRenderer.send('omnibox-remove', item);
+
+/**
+ * Switch to a tab, it can be in another window
+ * @param {TabID} id
+ */
+const sendSwitchToTab = id => ipcRenderer.send('switch-to-tab', id);
+
+/**
+ * Bookmark current tab's page, or remove its bookmark
+ */
+const sendToggleBookmark = () => ipcRenderer.send('toggle-bookmark');
+
+/**
+ * Show current tab's article in reader view, or leave reader view
+ */
+const sendToggleReader = () => ipcRenderer.send('toggle-reader');
+
+/**
+ * Show the current page's site info panel
+ * @param {{x: number, y: number}} position - under the address bar's chip, in control view
+ */
+const sendShowSiteInfo = position => ipcRenderer.send('show-site-info', position);
+
 module.exports = {
   sendEnterURL, // sendEnterURL(url) to load url
   sendChangeURL, // sendChangeURL(url) on addressbar input change
@@ -62,5 +215,30 @@ module.exports = {
   sendStop,
   sendNewTab, // sendNewTab([url])
   sendSwitchTab, // sendSwitchTab(toID)
-  sendCloseTab // sendCloseTab(id)
+  sendCloseTab, // sendCloseTab(id)
+  sendReopenClosed, // sendReopenClosed([index])
+  sendShowRecentlyClosed, // sendShowRecentlyClosed({ x, y })
+  sendGroupTabs, // sendGroupTabs(ids, [{ name, color }])
+  sendUpdateTabGroup, // sendUpdateTabGroup(groupId, { name, color, collapsed })
+  sendSetTabGroup, // sendSetTabGroup(id, groupId, [afterId])
+  sendCloseTabGroup, // sendCloseTabGroup(groupId)
+  sendMoveTab, // sendMoveTab(id, toIndex)
+  sendPinTab, // sendPinTab(id, pinned)
+  sendCloseOtherTabs, // sendCloseOtherTabs(id)
+  sendShowTabMenu, // sendShowTabMenu(id, { x, y })
+  sendShowGroupMenu, // sendShowGroupMenu(groupId, { x, y })
+  sendTearOffTab, // sendTearOffTab(id)
+  sendToggleTabMuted, // sendToggleTabMuted(id)
+  sendSetTabStripLayout, // sendSetTabStripLayout({ vertical, collapsed, width })
+  sendShowHoverCard, // sendShowHoverCard(id, { x, y, width, height })
+  sendHideHoverCard,
+  sendResetZoom,
+  sendOmniboxQuery, // sendOmniboxQuery(text)
+  sendShowOmnibox, // sendShowOmnibox(items, selected, { x, y, width, height })
+  sendHideOmnibox,
+  sendRemoveOmniboxSuggestion, // sendRemoveOmniboxSuggestion(item)
+  sendSwitchToTab, // sendSwitchToTab(id)
+  sendToggleBookmark,
+  sendToggleReader,
+  sendShowSiteInfo // sendShowSiteInfo({ x, y })
 };
@@ -0,0 +1,59 @@
+// Used in Renderer process
+
+// Characters a word starts after, in titles and urls
+const SEPARATORS = ' /.-_:?=&#';
+
+/**
+ * Score how well a query matches a text. Query characters must appear in order,
+ * consecutive characters, word starts and whole substrings score higher
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {number} 0 when it doesn't match
+ */
+function fuzzyScore(query, text) {
+  const q = (query || '').toLowerCase().replace(/\s+/g, '');
+  const t = (text || '').toLowerCase();
+  if (!q) return 1;
+
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found === -1) return 0;
+    score += 1;
+    if (found === prev + 1) score += 2;
+    if (found === 0 || SEPARATORS.includes(t[found - 1])) score += 3;
+    prev = found;
+    from = found + 1;
+  }
+  if (t.includes(q)) score += q.length * 2;
+  // Shorter texts with the same matches first
+  return score + 1 / (t.length + 1);
+}
+
+/**
+ * Items matching a query, best first. Equal scores keep the items' order
+ *
+ * @param {string} query
+ * @param {object[]} items
+ * @param {string[]} keys - fields to search, the first one weighs more
+ * @returns {object[]}
+ */
+function fuzzyFilter(query, items, keys) {
+  if (!query || !query.trim()) return items;
+  return items
+    .map(item => ({
+      item,
+      score: Math.max(...keys.map((key, i) => fuzzyScore(query, item[key]) * (i === 0 ? 1 : 0.8)))
+    }))
+    .filter(v => v.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(v => v.item);
+}
+
+module.exports = {
+  fuzzyScore,
+  fuzzyFilter
+};
@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Used in Renderer process, preloaded in every tab
+
+// Only our px:// pages learn their window's socket port and language
+if (window.location.protocol === 'px:') {
+  const info = ipcRenderer.sendSync('internal-page-info');
+  // Theme and user agent live in the main process, every px:// page has its own local storage
+  const internalPage = info && {
+    ...info,
+    setPreferences: props => ipcRenderer.send('set-preferences', props),
+    onPreferences: listener => ipcRenderer.on('preferences', (e, prefs) => listener(prefs))
+  };
+  if (internalPage && process.contextIsolated) {
+    contextBridge.exposeInMainWorld('internalPage', internalPage);
+  } else if (internalPage) {
+    window.internalPage = internalPage;
+  }
+}
@@ -0,0 +1,83 @@
+const { net } = require('electron');
+const log = require('electron-log');
+
+// Used in Main process
+
+// Larger sources are cut, highlighting them would hang the page
+const MAX_SOURCE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * @typedef {object} PageSource
+ * @property {string} source - page's html as the server sent it
+ * @property {string} url - url it came from, after redirects
+ * @property {string} contentType
+ * @property {boolean} truncated - source is longer than MAX_SOURCE_SIZE
+ */
+
+/**
+ * Text of a response body in its charset, utf-8 when it has none or an unknown one
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {string}
+ */
+function decode(body, contentType) {
+  const charset = (String(contentType).match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+/**
+ * Load a page's source again, with the cookies of the tab it's shown in
+ * @param {string} url - http or https url
+ * @param {Session} [session] - tab's session, container tabs have their own
+ * @returns {Promise<PageSource>} rejects when the page can't be loaded
+ */
+function fetchSource(url, session) {
+  return new Promise((resolve, reject) => {
+    if (!/^https?:\/\//i.test(url)) {
+      reject(new Error('Only web pages have a source to show'));
+      return;
+    }
+    let finalURL = url;
+    const request = net.request({ url, useSessionCookies: true, ...(session ? { session } : {}) });
+    request.on('redirect', (statusCode, method, redirectUrl) => {
+      finalURL = redirectUrl;
+    });
+    request.on('response', response => {
+      const contentType = [].concat(response.headers['content-type'] || '')[0];
+      const chunks = [];
+      let size = 0;
+      let done = false;
+      const finish = truncated => {
+        if (done) return;
+        done = true;
+        resolve({ source: decode(Buffer.concat(chunks), contentType), url: finalURL, contentType, truncated });
+      };
+      response.on('data', chunk => {
+        if (done) return;
+        const left = MAX_SOURCE_SIZE - size;
+        chunks.push(chunk.length > left ? chunk.slice(0, left) : chunk);
+        size += chunk.length;
+        if (size > MAX_SOURCE_SIZE) {
+          log.debug('page source truncated', url);
+          finish(true);
+          request.abort();
+        }
+      });
+      response.on('end', () => finish(false));
+      response.on('error', e => {
+        if (!done) reject(e);
+      });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+module.exports = {
+  MAX_SOURCE_SIZE,
+  fetchSource
+};
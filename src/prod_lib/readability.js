@@ -0,0 +1,210 @@
+// Used in Renderer process, run in tabs by Reader.js.
+// Each function is sent as its source, so it can't use anything outside itself
+
+/**
+ * Does a page look like an article, a few long enough visible paragraphs.
+ * Cheap enough to run on every page load
+ * @param {Document} doc
+ * @returns {boolean}
+ */
+function isProbablyReaderable(doc) {
+  const unlikely = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|agegate|pagination|pager|popup/i;
+  const maybe = /and|article|body|column|content|main|shadow/i;
+  const nodes = new Set(doc.querySelectorAll('p, pre, article'));
+  // Text split by line breaks instead of paragraphs
+  doc.querySelectorAll('div > br').forEach(br => nodes.add(br.parentNode));
+
+  let score = 0;
+  for (const node of nodes) {
+    if (node.hidden || !node.getClientRects().length) continue;
+    const match = `${node.getAttribute('class') || ''} ${node.id || ''}`;
+    if (unlikely.test(match) && !maybe.test(match)) continue;
+    if (node.matches('li p')) continue;
+    const length = node.textContent.trim().length;
+    if (length < 140) continue;
+    score += Math.sqrt(length - 140);
+    if (score > 20) return true;
+  }
+  return false;
+}
+
+/**
+ * Main content of a page without its menus, ads and comments.
+ * Paragraphs score their ancestors, the best one and its related siblings are the article
+ * @param {Document} doc
+ * @returns {{title: string, byline: string, siteName: string, excerpt: string, lang: string, dir: string, content: string, length: number}|null}
+ *   null when there isn't enough text, content is html that still has to be sanitized
+ */
+function extractArticle(doc) {
+  const UNLIKELY = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|agegate|pagination|pager|popup|newsletter|subscribe/i;
+  const MAYBE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+  const BLOCKS = 'address, article, aside, blockquote, dd, div, dl, dt, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, ul';
+  const MIN_LENGTH = 200;
+
+  const meta = (...names) => {
+    for (const name of names) {
+      const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      const content = el && (el.getAttribute('content') || '').trim();
+      if (content) return content;
+    }
+    return '';
+  };
+  const textOf = el => el.textContent.replace(/\s+/g, ' ').trim();
+  const classOf = el => `${el.getAttribute('class') || ''} ${el.id || ''}`;
+  const weightOf = el => {
+    let weight = 0;
+    [el.getAttribute('class') || '', el.id || ''].forEach(name => {
+      if (!name) return;
+      if (NEGATIVE.test(name)) weight -= 25;
+      if (POSITIVE.test(name)) weight += 25;
+    });
+    return weight;
+  };
+  const absolute = url => {
+    try {
+      return new URL(url, doc.baseURI).href;
+    } catch (e) {
+      return '';
+    }
+  };
+  const linkDensity = el => {
+    const length = textOf(el).length;
+    if (!length) return 0;
+    let links = 0;
+    el.querySelectorAll('a').forEach(a => {
+      links += textOf(a).length;
+    });
+    return links / length;
+  };
+
+  // Work on a copy, the page stays as it is
+  const body = doc.body && doc.body.cloneNode(true);
+  if (!body) return null;
+  body
+    .querySelectorAll(
+      'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, nav, aside, footer, canvas, dialog, link, meta, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="dialog"], [role="alert"]'
+    )
+    .forEach(el => el.remove());
+  Array.from(body.querySelectorAll('*')).forEach(el => {
+    const match = classOf(el);
+    if (!body.contains(el) || ['A', 'TABLE', 'TBODY', 'TR', 'TD', 'ARTICLE', 'MAIN'].includes(el.tagName)) return;
+    if (UNLIKELY.test(match) && !MAYBE.test(match) && !el.closest('pre, code')) el.remove();
+  });
+
+  // Paragraphs give their parent a score, the grandparent half of it and older ancestors less
+  const scores = new Map();
+  const scoreOf = el => {
+    if (!scores.has(el)) {
+      let score = weightOf(el);
+      if (el.tagName === 'DIV') score += 5;
+      else if (['PRE', 'TD', 'BLOCKQUOTE'].includes(el.tagName)) score += 3;
+      else if (['ADDRESS', 'OL', 'UL', 'DL', 'DD', 'DT', 'LI'].includes(el.tagName)) score -= 3;
+      else if (/^H[1-6]$|^TH$/.test(el.tagName)) score -= 5;
+      scores.set(el, score);
+    }
+    return scores.get(el);
+  };
+  const paragraphs = Array.from(body.querySelectorAll('p, pre, td, blockquote, div')).filter(
+    el => el.tagName !== 'DIV' || !el.querySelector(BLOCKS)
+  );
+  paragraphs.forEach(el => {
+    const text = textOf(el);
+    if (text.length < 25) return;
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = el.parentElement;
+    for (let level = 0; ancestor && level < 3; level += 1) {
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scoreOf(ancestor) + score / divider);
+      ancestor = ancestor.parentElement;
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, el) => {
+    const final = score * (1 - linkDensity(el));
+    scores.set(el, final);
+    if (final > topScore) {
+      top = el;
+      topScore = final;
+    }
+  });
+  if (!top) top = body;
+
+  // Siblings of the best candidate that belong to the article, like a lead paragraph
+  const article = doc.createElement('div');
+  const threshold = Math.max(10, topScore * 0.2);
+  const siblings = top.parentElement && top !== body ? Array.from(top.parentElement.children) : [top];
+  siblings.forEach(sibling => {
+    let append = sibling === top || (scores.get(sibling) || 0) >= threshold;
+    if (!append && sibling.tagName === 'P') {
+      const text = textOf(sibling);
+      const density = linkDensity(sibling);
+      append = (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    }
+    if (append) article.appendChild(sibling.cloneNode(true));
+  });
+
+  // Boxes that are mostly links or images aren't the article's
+  Array.from(article.querySelectorAll('div, section, header, ul, ol, table'))
+    .reverse()
+    .forEach(el => {
+      if (el.closest('pre, code') || el.querySelector('pre, code')) return;
+      const text = textOf(el);
+      const weight = weightOf(el);
+      const density = linkDensity(el);
+      const images = el.querySelectorAll('img').length;
+      const paragraphCount = el.querySelectorAll('p').length;
+      if (
+        weight < 0 ||
+        (density > 0.5 && el.tagName !== 'UL' && el.tagName !== 'OL') ||
+        (density > 0.33 && weight < 25 && text.length < 500) ||
+        (images > 1 && paragraphCount / images < 0.5 && !el.querySelector('figcaption')) ||
+        (!text && !images && !el.querySelector('video, audio, table, figure'))
+      ) {
+        el.remove();
+      }
+    });
+
+  // Lazy loaded images and links work outside the page
+  article.querySelectorAll('img').forEach(img => {
+    const lazy = img.getAttribute('data-src') || img.getAttribute('data-original') || img.getAttribute('data-lazy-src');
+    if (lazy && (!img.getAttribute('src') || img.getAttribute('src').startsWith('data:'))) img.setAttribute('src', lazy);
+    if (!img.getAttribute('src') && img.getAttribute('srcset')) img.setAttribute('src', img.getAttribute('srcset').trim().split(/\s+/)[0]);
+    if (img.getAttribute('src')) img.setAttribute('src', absolute(img.getAttribute('src')));
+  });
+  article.querySelectorAll('a[href]').forEach(a => {
+    if (!a.getAttribute('href').startsWith('#')) a.setAttribute('href', absolute(a.getAttribute('href')));
+  });
+
+  // A page's only h1 is usually the article's title, unlike the title that often has the site's name too
+  const headings = doc.querySelectorAll('h1');
+  const heading = headings.length === 1 ? textOf(headings[0]) : '';
+  const title = heading && doc.title.includes(heading) ? heading : meta('og:title', 'twitter:title') || doc.title.trim() || heading;
+  article.querySelectorAll('h1').forEach(el => {
+    if (textOf(el) === title) el.remove();
+  });
+
+  const length = textOf(article).length;
+  if (length < MIN_LENGTH) return null;
+
+  const author = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+  const authorText = author ? textOf(author) : '';
+  return {
+    title,
+    byline: meta('author', 'article:author') || (authorText.length < 100 ? authorText : ''),
+    siteName: meta('og:site_name', 'application-name'),
+    excerpt: meta('og:description', 'description', 'twitter:description'),
+    lang: doc.documentElement.lang || '',
+    dir: doc.dir || '',
+    content: article.innerHTML,
+    length
+  };
+}
+
+module.exports = {
+  isProbablyReaderable,
+  extractArticle
+};
@@ -11,12 +11,28 @@ const noop = () => {};
  * @param {object} options
  * @param {function} options.onTabsUpdate - trigger after tabs updated(title, favicon, loading etc.)
  * @param {function} options.onTabActive - trigger after active tab changed
+ * @param {function} options.onClosedUpdate - trigger after recently closed tabs changed
+ * @param {function} options.onLayoutUpdate - trigger after tab strip's layout changed
+ * @param {function} options.onContainersUpdate - trigger after containers changed
+ * @param {function} options.onSearchEnginesUpdate - trigger after search engines changed
  */
 module.exports = function useConnect(options = {}) {
-  const { onTabsUpdate = noop, onTabActive = noop } = options;
+  const {
+    onTabsUpdate = noop,
+    onTabActive = noop,
+    onClosedUpdate = noop,
+    onLayoutUpdate = noop,
+    onContainersUpdate = noop,
+    onSearchEnginesUpdate = noop
+  } = options;
   const [tabs, setTabs] = useState({});
   const [tabIDs, setTabIDs] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [activeID, setActiveID] = useState(null);
+  const [closed, setClosed] = useState([]);
+  const [layout, setLayout] = useState({ vertical: false, collapsed: false, width: 0, sidebarWidth: 0, top: 0 });
+  const [containers, setContainers] = useState([]);
+  const [searchEngines, setSearchEngines] = useState({ engines: [], default: '' });
 
   const channels = [
     [
@@ -24,6 +40,7 @@ module.exports = function useConnect(options = {}) {
       (e, v) => {
         setTabIDs(v.tabs);
         setTabs(v.confs);
+        setGroups(v.groups || []);
         onTabsUpdate(v);
       }
     ],
@@ -34,6 +51,34 @@ module.exports = function useConnect(options = {}) {
         const activeTab = tabs[v] || {};
         onTabActive(activeTab);
       }
+    ],
+    [
+      'closed-update',
+      (e, v) => {
+        setClosed(v);
+        onClosedUpdate(v);
+      }
+    ],
+    [
+      'tab-strip-layout',
+      (e, v) => {
+        setLayout(v);
+        onLayoutUpdate(v);
+      }
+    ],
+    [
+      'containers-update',
+      (e, v) => {
+        setContainers(v);
+        onContainersUpdate(v);
+      }
+    ],
+    [
+      'search-engines-update',
+      (e, v) => {
+        setSearchEngines(v);
+        onSearchEnginesUpdate(v);
+      }
     ]
   ];
 
@@ -47,5 +92,5 @@ module.exports = function useConnect(options = {}) {
     };
   }, []);
 
-  return { tabIDs, tabs, activeID };
+  return { tabIDs, tabs, activeID, closed, groups, layout, containers, searchEngines };
 };
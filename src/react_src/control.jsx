@@ -63,6 +63,17 @@ const IconReload = () => (
   </svg>
 );
 
+const IconSound = ({ muted }) => (
+  <svg viewBox="0 0 24 24" focusable="false" width="1em" height="1em" fill="currentColor" aria-hidden="true">
+    <path d="M3 9v6h4l5 5V4L7 9H3z" />
+    {muted ? (
+      <path d="M16 9.5l1.4-1.4 2.1 2.1 2.1-2.1 1.4 1.4-2.1 2.1 2.1 2.1-1.4 1.4-2.1-2.1-2.1 2.1-1.4-1.4 2.1-2.1z" />
+    ) : (
+      <path d="M16.5 12A4.5 4.5 0 0 0 14 7.97v8.05A4.5 4.5 0 0 0 16.5 12zM14 3.23v2.06a7 7 0 0 1 0 13.42v2.06a9 9 0 0 0 0-17.54z" />
+    )}
+  </svg>
+);
+
 const IconLeft = () => (
   <svg
     viewBox="64 64 896 896"
@@ -91,21 +102,98 @@ const IconRight = () => (
   </svg>
 );
 
-function Control() {
-  const { tabs, tabIDs, activeID } = useConnect();
-  const validUrl = require('../../prod_lib/isUrl.js');
-  const { ipcRenderer , app } = require('electron')
-
-  const jsonDataSetup = require(`${process.cwd()}/dataSetup.json`);
+const IconHistory = () => (
+  <svg
+    viewBox="64 64 896 896"
+    focusable="false"
+    data-icon="history"
+    width="1em"
+    height="1em"
+    fill="currentColor"
+    aria-hidden="true"
+  >
+    <path d="M536.1 273H488c-4.4 0-8 3.6-8 8v275.3c0 2.6 1.2 5 3.3 6.5l165.3 120.7c3.6 2.6 8.6 1.9 11.2-1.7l28.6-39c2.7-3.7 1.9-8.7-1.7-11.2L544.1 528.5V281c0-4.4-3.6-8-8-8zm219.8 75.2l156.8 38.3c5 1.2 9.9-2.6 9.9-7.7l.8-161.5c0-6.7-7.7-10.5-12.9-6.3L752.9 334.1a8 8 0 0 0 3 14.1zm167.7 301.1l-56.7-19.5a8 8 0 0 0-10.1 4.8c-1.9 5.1-3.9 10.1-6 15.1-17.8 42.1-43.3 80-75.9 112.5a353 353 0 0 1-112.5 75.9 352.18 352.18 0 0 1-137.7 27.8c-47.8 0-94.1-9.3-137.7-27.8a353 353 0 0 1-112.5-75.9c-32.5-32.5-58-70.4-75.9-112.5A353.44 353.44 0 0 1 171 512c0-47.8 9.3-94.2 27.8-137.8 17.8-42.1 43.3-80 75.9-112.5a353 353 0 0 1 112.5-75.9C430.6 167.3 477 158 524.8 158s94.1 9.3 137.7 27.8A353 353 0 0 1 775 261.7c10.2 10.3 19.8 21 28.6 32.3l59.8-46.8C784.7 146.6 662.2 81.9 524.6 82 285 82.1 92.6 276.7 95 516.4 97.4 751.9 288.9 942 524.8 942c185.5 0 343.5-117.6 403.7-282.3 1.5-4.2-.7-8.9-4.9-10.4z" />
+  </svg>
+);
 
-  const settings_data = require('data-store')({ path: jsonDataSetup.userData + '/settings.json' });
-  const search_engines = require('data-store')({ path: jsonDataSetup.userData + '/search_engines.json' });
+const GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#9334e6',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
 
-  if(settings_data.get('default_search') == undefined){
-    settings_data.set('default_search','google');
-  }
+function Control() {
+  const { tabs, tabIDs, activeID, closed, groups, layout, containers, searchEngines } = useConnect();
+  const [renamingGroup, setRenamingGroup] = React.useState(null);
+  const [dropTarget, setDropTarget] = React.useState(null);
+  const hoverTimer = React.useRef(null);
+  const { inputToURL } = require('../../prod_lib/classifyInput');
+  const { ipcRenderer , app } = require('electron')
+  // Address bar suggestions, `selected` -1 keeps the typed text
+  const [omnibox, setOmnibox] = React.useState({ open: false, text: '', items: [], selected: -1, inline: true });
+  const blurTimer = React.useRef(null);
+  // Latest state and handler for ipc listeners bound once
+  const omniboxRef = React.useRef(omnibox);
+  omniboxRef.current = omnibox;
+  const acceptRef = React.useRef(null);
+  React.useEffect(() => {
+    const onSuggestions = (e, { text, items }) => {
+      setOmnibox(prev => {
+        if (prev.text !== text) return prev;
+        // Best match completes the typed text
+        const selected = prev.inline && items[0] && items[0].completion ? 0 : -1;
+        return { ...prev, items, selected };
+      });
+    };
+    const onPick = (e, index) => {
+      const item = omniboxRef.current.items[index];
+      if (item) acceptRef.current(item);
+    };
+    ipcRenderer.on('omnibox-suggestions', onSuggestions);
+    ipcRenderer.on('omnibox-pick', onPick);
+    return () => {
+      ipcRenderer.removeListener('omnibox-suggestions', onSuggestions);
+      ipcRenderer.removeListener('omnibox-pick', onPick);
+    };
+  }, []);
+  // Focus address bar shortcut is handled by the main process
+  React.useEffect(() => {
+    const focusAddress = () => {
+      const input = document.getElementById('address');
+      input.focus();
+      input.select();
+    };
+    ipcRenderer.on('focus-address', focusAddress);
+    return () => ipcRenderer.removeListener('focus-address', focusAddress);
+  }, []);
 
-  const { url, canGoForward, canGoBack, isLoading } = tabs[activeID] || {};
+  const { url, canGoForward, canGoBack, isLoading, zoom = 1, bookmarked, readerable, reader } = tabs[activeID] || {};
+  // Shown after the typed text and selected, typing on replaces it
+  const completion =
+    omnibox.open && omnibox.selected === 0 && omnibox.text === url && omnibox.items[0] ? omnibox.items[0].completion || '' : '';
+  React.useLayoutEffect(() => {
+    const input = document.getElementById('address');
+    if (completion && document.activeElement === input) {
+      input.setSelectionRange(url.length, url.length + completion.length);
+    }
+  }, [url, completion]);
+  React.useEffect(() => {
+    if (omnibox.open && omnibox.items.length) {
+      const { left, top, width, height } = document.getElementById('address').getBoundingClientRect();
+      action.sendShowOmnibox(omnibox.items, omnibox.selected, { x: left, y: top, width, height });
+    } else {
+      action.sendHideOmnibox();
+    }
+  }, [omnibox.open, omnibox.items, omnibox.selected]);
+  React.useEffect(() => {
+    closeOmnibox();
+  }, [activeID]);
   const settings = () => {
     ipcRenderer.send('open-settings', 'yes')
   }
@@ -117,21 +205,58 @@ function Control() {
     // Sync to tab config
     const v = e.target.value;
     action.sendChangeURL(v);
+    // Deleting the completion shouldn't bring it back
+    const inline = !/^delete/.test(e.nativeEvent.inputType || '');
+    setOmnibox(prev => ({ ...prev, open: true, text: v, selected: -1, inline }));
+    action.sendOmniboxQuery(v);
   };
-  const onPressEnter = e => {
-    if (e.keyCode !== 13) return;
-    const v = e.target.value.trim();
-    if (!v) return;
-
-    let href = v;
-    if (!/^.*?:\/\//.test(v)) {
-      if(validUrl.isUri(v)){
-        href = `http://${v}`;
-      }else{
-        href = `${search_engines.get(settings_data.get('default_search'))}${v}`;
+  const closeOmnibox = () => {
+    clearTimeout(blurTimer.current);
+    setOmnibox(prev => ({ ...prev, open: false, items: [], selected: -1 }));
+  };
+  const acceptSuggestion = item => {
+    closeOmnibox();
+    if (item.type === 'tab') {
+      action.sendSwitchToTab(item.tabId);
+    } else {
+      action.sendEnterURL(item.url);
+    }
+  };
+  acceptRef.current = acceptSuggestion;
+  const onAddressKeyDown = e => {
+    const { open, items, selected } = omnibox;
+    const shown = open && items.length > 0;
+    if (shown && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      // -1 is the typed text, it comes between the last and the first suggestion
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const next = ((selected + 1 + step + items.length + 1) % (items.length + 1)) - 1;
+      setOmnibox({ ...omnibox, selected: next });
+    } else if (shown && e.key === 'Delete' && e.shiftKey) {
+      if (!items[selected] || !items[selected].deletable) return;
+      e.preventDefault();
+      action.sendRemoveOmniboxSuggestion(items[selected]);
+    } else if (shown && e.key === 'Escape') {
+      e.preventDefault();
+      closeOmnibox();
+    } else if (e.keyCode === 13) {
+      if (shown && items[selected]) {
+        acceptSuggestion(items[selected]);
+        return;
       }
+      closeOmnibox();
+      onPressEnter(e);
     }
-    action.sendEnterURL(href);
+  };
+  // Clicking a suggestion blurs the address bar first, give the click time to come
+  const onAddressBlur = () => {
+    clearTimeout(blurTimer.current);
+    blurTimer.current = setTimeout(closeOmnibox, 150);
+  };
+  const onAddressFocus = () => clearTimeout(blurTimer.current);
+  const onPressEnter = e => {
+    const href = inputToURL(e.target.value, searchEngines);
+    if (href) action.sendEnterURL(href);
   };
   const close = (e, id) => {
     e.stopPropagation();
@@ -164,7 +289,191 @@ function Control() {
   const switchTab = id => {
     action.sendSwitchTab(id);
   };
-  
+  const groupOf = id => groups.find(group => group.tabs.includes(id));
+  const toggleMuted = (e, id) => {
+    e.stopPropagation();
+    action.sendToggleTabMuted(id);
+  };
+  const showTabMenu = (e, id) => {
+    e.preventDefault();
+    action.sendShowTabMenu(id, { x: e.clientX, y: e.clientY });
+  };
+  const showGroupMenu = (e, groupId) => {
+    e.preventDefault();
+    action.sendShowGroupMenu(groupId, { x: e.clientX, y: e.clientY });
+  };
+  const toggleGroup = group => {
+    action.sendUpdateTabGroup(group.id, { collapsed: !group.collapsed });
+  };
+  const onRenameGroup = (e, group) => {
+    if (e.keyCode === 13) {
+      action.sendUpdateTabGroup(group.id, { name: e.target.value });
+      setRenamingGroup(null);
+    } else if (e.keyCode === 27) {
+      setRenamingGroup(null);
+    }
+  };
+  // Preview shows after the cursor rests on a tab for a moment
+  const onTabMouseEnter = (e, id) => {
+    const { left, top, width, height } = e.currentTarget.getBoundingClientRect();
+    clearTimeout(hoverTimer.current);
+    hoverTimer.current = setTimeout(() => action.sendShowHoverCard(id, { x: left, y: top, width, height }), 500);
+  };
+  const onTabMouseLeave = () => {
+    clearTimeout(hoverTimer.current);
+    action.sendHideHoverCard();
+  };
+  const onTabDragStart = (e, id) => {
+    onTabMouseLeave();
+    e.dataTransfer.setData('text/x-tab-id', String(id));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+  const allowDrop = e => e.preventDefault();
+  const draggedTab = e => Number(e.dataTransfer.getData('text/x-tab-id'));
+  const onDropOnGroup = (e, group) => {
+    const id = draggedTab(e);
+    if (id) action.sendSetTabGroup(id, group.id);
+  };
+  // Drop before or after the hovered tab depending on which half the cursor is on
+  const isAfter = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return layout.vertical ? e.clientY > rect.top + rect.height / 2 : e.clientX > rect.left + rect.width / 2;
+  };
+  const onTabDragOver = (e, id) => {
+    e.preventDefault();
+    const after = isAfter(e);
+    if (!dropTarget || dropTarget.id !== id || dropTarget.after !== after) {
+      setDropTarget({ id, after });
+    }
+  };
+  const clearDropTarget = () => setDropTarget(null);
+  // Nothing accepted the drop, the tab was dragged out of the strip
+  const onTabDragEnd = (e, id) => {
+    setDropTarget(null);
+    if (e.dataTransfer.dropEffect === 'none') action.sendTearOffTab(id);
+  };
+  const onDropOnTab = (e, targetId) => {
+    const id = draggedTab(e);
+    setDropTarget(null);
+    if (!id || id === targetId) return;
+    const fromIndex = tabIDs.indexOf(id);
+    let toIndex = tabIDs.indexOf(targetId) + (isAfter(e) ? 1 : 0);
+    if (fromIndex < toIndex) toIndex -= 1;
+    action.sendMoveTab(id, toIndex);
+  };
+  const showRecentlyClosed = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    action.sendShowRecentlyClosed({ x: rect.left, y: rect.bottom });
+  };
+  const showSiteInfo = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    action.sendShowSiteInfo({ x: rect.left, y: rect.bottom });
+  };
+  const toggleSidebar = () => {
+    action.sendSetTabStripLayout({ collapsed: !layout.collapsed });
+  };
+  // Pointer stays captured while it's over the page's view
+  const onResizeStart = e => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const onResizeMove = e => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    action.sendSetTabStripLayout({ width: e.clientX });
+  };
+
+  const tabList = tabIDs.map(id => {
+    // eslint-disable-next-line no-shadow
+    const { title, isLoading, favicon, pinned, discarded, split, audible, muted, container: containerId } = tabs[id] || {};
+    const group = groupOf(id);
+    const groupColor = group && GROUP_COLORS[group.color];
+    const container = containerId && containers.find(v => v.id === containerId);
+    const containerColor = container && GROUP_COLORS[container.color];
+    return (
+      <React.Fragment key={id}>
+        {group && group.tabs[0] === id && (
+          <div
+            className={cx('tab-group', { collapsed: group.collapsed })}
+            style={{ backgroundColor: groupColor }}
+            title={group.collapsed ? 'Expand group' : 'Collapse group'}
+            onClick={() => toggleGroup(group)}
+            onDoubleClick={() => setRenamingGroup(group.id)}
+            onContextMenu={e => showGroupMenu(e, group.id)}
+            onDragOver={allowDrop}
+            onDrop={e => onDropOnGroup(e, group)}
+          >
+            {renamingGroup === group.id ? (
+              <input
+                className="tab-group-name"
+                autoFocus
+                defaultValue={group.name}
+                onClick={e => e.stopPropagation()}
+                onKeyDown={e => onRenameGroup(e, group)}
+                onBlur={() => setRenamingGroup(null)}
+              />
+            ) : (
+              group.name || (group.collapsed ? group.tabs.length : '')
+            )}
+          </div>
+        )}
+        {!(group && group.collapsed) && (
+          <div
+            className={cx('tab', {
+              active: id === activeID,
+              pinned,
+              discarded,
+              split,
+              'in-group': !!group,
+              'drop-before': dropTarget && dropTarget.id === id && !dropTarget.after,
+              'drop-after': dropTarget && dropTarget.id === id && dropTarget.after
+            })}
+            title={
+              discarded
+                ? `${title} (inactive to save memory)`
+                : pinned || layout.collapsed || container
+                ? [title, container && container.name].filter(Boolean).join(' - ')
+                : undefined
+            }
+            style={{
+              [layout.vertical ? 'borderLeft' : 'borderBottom']: groupColor ? `2px solid ${groupColor}` : undefined,
+              // Container's stripe, on the side the group color isn't
+              boxShadow: containerColor ? `inset ${layout.vertical ? '-3px 0' : '0 3px'} 0 ${containerColor}` : undefined
+            }}
+            draggable
+            onClick={() => switchTab(id)}
+            onContextMenu={e => showTabMenu(e, id)}
+            onMouseEnter={e => onTabMouseEnter(e, id)}
+            onMouseLeave={onTabMouseLeave}
+            onDragStart={e => onTabDragStart(e, id)}
+            onDragOver={e => onTabDragOver(e, id)}
+            onDragLeave={clearDropTarget}
+            onDragEnd={e => onTabDragEnd(e, id)}
+            onDrop={e => onDropOnTab(e, id)}
+          >
+            {isLoading ? <div class="ac-spinner">
+                            <div class="sp-circle sp-sm"></div>
+                            <div class="sp-label"></div>
+                        </div> : !!favicon && <img src={favicon} width="16" alt="icon" />}
+            {!pinned && (
+              <div className="title">
+                <div className="title-content">{title}</div>
+              </div>
+            )}
+            {(audible || muted) && (
+              <span
+                className={cx('sound', { muted })}
+                title={muted ? 'Unmute tab' : 'Mute tab'}
+                onClick={e => toggleMuted(e, id)}
+              >
+                <IconSound muted={muted} />
+              </span>
+            )}
+            {!pinned && <span className="close fa fa-close" onClick={e => close(e, id)}></span>}
+          </div>
+        )}
+      </React.Fragment>
+    );
+  });
+
 
   return (
     <div>
@@ -185,33 +494,14 @@ function Control() {
            
          </span>
         <div  className="tabs">
-          <>
-            {tabIDs.map(id => {
-              // eslint-disable-next-line no-shadow
-              const { title, isLoading, favicon } = tabs[id] || {};
-              return (
-                <div
-                  key={id}
-                  className={cx('tab', { active: id === activeID })}
-                  onClick={() => switchTab(id)}
-                >
-                  {isLoading ? <div class="ac-spinner">
-                                  <div class="sp-circle sp-sm"></div>
-                                  <div class="sp-label"></div>
-                              </div> : !!favicon && <img src={favicon} width="16" alt="icon" />}
-                  <div className="title">
-                    <div className="title-content">{title}</div>
-                  </div>
-                  <span className="close fa fa-close" onClick={e => close(e, id)}></span>
-                </div>
-              );
-            })}
-            <span type="plus" className="plusic" style={{ marginLeft: 10 }} onClick={newTab}>
-              <IconPlus />
-            </span>
-
-            
-          </>
+          {!layout.vertical && (
+            <>
+              {tabList}
+              <span type="plus" className="plusic" style={{ marginLeft: 10 }} onClick={newTab}>
+                <IconPlus />
+              </span>
+            </>
+          )}
         </div>
         
         <div className="bars">
@@ -232,7 +522,7 @@ function Control() {
               <div className={cx('action')} onClick={isLoading ? action.sendStop : action.sendReload}>
                 {isLoading ? <IconClose /> : <IconReload />}
               </div>
-              <div className="chip" >
+              <div className="chip site-chip" title="View site information" onClick={showSiteInfo}>
                <img src="../../icons/icon.png" id="site_logo"/> 
                <ls className="lw"> Hi </ls>
               </div>
@@ -241,13 +531,38 @@ function Control() {
               <input
                 className="address"
                 id="address"
-                value={url || ''}
+                value={(url || '') + completion}
                 onChange={onUrlChange}
-                onKeyDown={onPressEnter}
+                onKeyDown={onAddressKeyDown}
+                onFocus={onAddressFocus}
+                onBlur={onAddressBlur}
                 spellCheck="true"
                 placeholder="Search or Type a URL"
               />
             {/*</div>*/}
+            {zoom !== 1 && (
+              <span className="zoom-indicator" title="Reset zoom" onClick={action.sendResetZoom}>
+                {Math.round(zoom * 100)}%
+              </span>
+            )}
+            {(readerable || reader) && (
+              <span
+                className={cx('reader-toggle', { active: reader })}
+                title={reader ? 'Close reader view' : 'Enter reader view'}
+                onClick={action.sendToggleReader}
+              >
+                <svg width="16" height="16" viewBox="0 0 16 16">
+                  <path fill="currentColor" d="M2 3h12v1.5H2zM2 6.5h12V8H2zM2 10h12v1.5H2zM2 13.5h8V15H2z" />
+                </svg>
+              </span>
+            )}
+            <span
+              className={cx('bookmark-star', { bookmarked })}
+              title={bookmarked ? 'Remove bookmark' : 'Bookmark this page'}
+              onClick={action.sendToggleBookmark}
+            >
+              {bookmarked ? '★' : '☆'}
+            </span>
             <div className="actions" id="chip_acc">
               {/*<div
                 className={"settings"}
@@ -258,6 +573,15 @@ function Control() {
                <img src="" id="login_logo"/> 
                <ls className="user_name">  </ls>
               </div>
+              <span
+                type="plus"
+                className={cx('plusic', { disabled: closed.length === 0 })}
+                style={{ marginLeft: 10 }}
+                title="Recently closed"
+                onClick={showRecentlyClosed}
+              >
+                <IconHistory />
+              </span>
               <span type="plus" className="plusic" style={{ marginLeft: 10 }} onClick={openSettings}>
                 <img src={"../../in_app_icons/cog.png"} width="16" alt="icon" />
               </span>
@@ -269,7 +593,30 @@ function Control() {
 
         </div>
       </div>
-      
+
+      {layout.vertical && (
+        <div
+          className={cx('vertical-tabs', { collapsed: layout.collapsed })}
+          style={{ top: layout.top, width: layout.sidebarWidth }}
+        >
+          <div className="vertical-tabs-header">
+            <span
+              className="plusic"
+              title={layout.collapsed ? 'Expand tabs' : 'Collapse tabs'}
+              onClick={toggleSidebar}
+            >
+              {layout.collapsed ? <IconRight /> : <IconLeft />}
+            </span>
+            <span className="plusic" title="New tab" onClick={newTab}>
+              <IconPlus />
+            </span>
+          </div>
+          <div className="vertical-tabs-list">{tabList}</div>
+          {!layout.collapsed && (
+            <div className="vertical-tabs-resizer" onPointerDown={onResizeStart} onPointerMove={onResizeMove} />
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CertExceptions = require('../src/prod_lib/CertExceptions');
+
+// Self-signed certificate of staging.local and *.staging.local
+const PEM = [
+  '-----BEGIN CERTIFICATE-----',
+  'MIIDPDCCAiSgAwIBAgIUfa2RXfURP9tMDy9czZXrIpxRGmkwDQYJKoZIhvcNAQEL',
+  'BQAwGDEWMBQGA1UEAwwNc3RhZ2luZy5sb2NhbDAeFw0yNjEwMTkwNTUzMTdaFw0y',
+  'NjExMTgwNTUzMTdaMBgxFjAUBgNVBAMMDXN0YWdpbmcubG9jYWwwggEiMA0GCSqG',
+  'SIb3DQEBAQUAA4IBDwAwggEKAoIBAQDUJnbe+ApIQLGh4iGRdu52PV0lOJpPa0Lh',
+  'uNaueDNEpDKfz/wCGEv+lUpDSxcFctcjBKw1UTFmkheneEq7S84omt43HgPDHjmm',
+  'GLRAK0/VHhKyi5kHnsf5qE3GH04nWC7d13nLNkxfghotQhm7l1LiciyBO3g0I6QB',
+  'N4Fa2tkrGk0W7+RESWphUfM/5PPjKAgbW5MgDLNi01G5Y0WPuReFsWQ5fh7Jk/ll',
+  'wIoVjJ2kTmPqlRI+PnTPM3VLfvTOekH87bpsgMP9jCupE4WFfn7Go27VkZi7zFf9',
+  'cjaKZIhyu5R93wRqzjl5qNL69XWjQiIF/j7Pbfa0UShdxpCH7uLpAgMBAAGjfjB8',
+  'MB0GA1UdDgQWBBT3dR7szYL63rEJn/Dz4FWwUFLi4DAfBgNVHSMEGDAWgBT3dR7s',
+  'zYL63rEJn/Dz4FWwUFLi4DAPBgNVHRMBAf8EBTADAQH/MCkGA1UdEQQiMCCCDXN0',
+  'YWdpbmcubG9jYWyCDyouc3RhZ2luZy5sb2NhbDANBgkqhkiG9w0BAQsFAAOCAQEA',
+  'SqfMRqpouJ0HNGLoT18D9OvE4ytRV2hsmVYkZ4gDuV8R43DICpb9TeGOAAQj0ssr',
+  'sSw/4Np03t2E72FaSLJjJzOmbSClKlRnoiuUpOJ+9IsMkfCXpYLEtLATSBZhqJTO',
+  'Vi144Vi0GmEo3cOU0OJJ3R2KkcmkRUDrYfg+XfkFwqnoNPdD/ZOa/LY73FCZ2ODQ',
+  'd2sCB/v+4fPJM5v37LlIyG6bvV0/sR0I5dIEv0pN6HJ14C7AYUkVlg9vvUknTYni',
+  'DDK2RiSXIT+L4E+HB8Fk2t53FUpxP+Wf4NY4GQKHASHcCGCMVfvLwp4qHX7pavEO',
+  'ln1hsdK/wPL4NO/h1TO8rA==',
+  '-----END CERTIFICATE-----'
+].join('\n');
+
+// Electron's Certificate, as certificate-error gives it
+const certificate = (props = {}) => ({
+  data: PEM,
+  subjectName: 'staging.local',
+  issuerName: 'staging.local',
+  issuer: { organizations: ['Staging'] },
+  validStart: 1792300000,
+  validExpiry: 1794900000,
+  serialNumber: '7dad91',
+  fingerprint: 'sha256/G6b1RkOickCtdeHsHlWZt0p+UdoxVxJQz2nkCZKa4O0=',
+  ...props
+});
+
+test('hostOf', () => {
+  assert.equal(CertExceptions.hostOf('https://a.test/page'), 'a.test');
+  assert.equal(CertExceptions.hostOf('https://a.test:8443/'), 'a.test:8443');
+  assert.equal(CertExceptions.hostOf('http://a.test/'), '');
+  assert.equal(CertExceptions.hostOf('not a url'), '');
+});
+
+test('certificateDetails', async t => {
+  await t.test('reads the names and fingerprint from the certificate', () => {
+    assert.deepEqual(CertExceptions.certificateDetails(certificate()), {
+      subject: 'staging.local',
+      issuer: 'staging.local',
+      issuerOrganization: 'Staging',
+      validStart: 1792300000000,
+      validExpiry: 1794900000000,
+      altNames: ['DNS:staging.local', 'DNS:*.staging.local'],
+      serialNumber: '7dad91',
+      fingerprint: '1B:A6:F5:46:43:A2:72:40:AD:75:E1:EC:1E:55:99:B7:4A:7E:51:DA:31:57:12:50:CF:69:E4:09:92:9A:E0:ED',
+      pem: PEM
+    });
+  });
+  await t.test('falls back to what Electron gives when it can\'t be parsed', () => {
+    const details = CertExceptions.certificateDetails(certificate({ data: 'broken', issuer: undefined }));
+    assert.deepEqual(details.altNames, []);
+    assert.equal(details.issuerOrganization, '');
+    assert.equal(details.fingerprint, certificate().fingerprint);
+  });
+});
+
+test('exceptions', async t => {
+  await t.test('cover only the host and certificate accepted', () => {
+    const exceptions = new CertExceptions();
+    exceptions.allow('https://a.test/login', certificate(), 'net::ERR_CERT_AUTHORITY_INVALID');
+    assert.equal(exceptions.isAllowed('https://a.test/other', certificate()), true);
+    assert.equal(exceptions.isAllowed('https://a.test/', certificate({ fingerprint: 'sha256/other' })), false);
+    assert.equal(exceptions.isAllowed('https://a.test:8443/', certificate()), false);
+    assert.equal(exceptions.isAllowed('https://b.test/', certificate()), false);
+    assert.equal(exceptions.get('https://a.test/').error, 'net::ERR_CERT_AUTHORITY_INVALID');
+  });
+  await t.test('only https hosts get one', () => {
+    const exceptions = new CertExceptions();
+    exceptions.allow('http://a.test/', certificate(), 'net::ERR_CERT_DATE_INVALID');
+    assert.deepEqual(exceptions.hosts, {});
+  });
+  await t.test('adding and removing them is announced', () => {
+    const exceptions = new CertExceptions();
+    const changes = [];
+    exceptions.on('change', hosts => changes.push(Object.keys(hosts)));
+    exceptions.allow('https://a.test/', certificate(), 'net::ERR_CERT_DATE_INVALID');
+    exceptions.remove('https://b.test/');
+    exceptions.remove('https://a.test/');
+    assert.deepEqual(changes, [['a.test'], []]);
+    assert.equal(exceptions.isAllowed('https://a.test/', certificate()), false);
+  });
+});
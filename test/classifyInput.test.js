@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyInput, inputToURL, searchURL } = require('../src/prod_lib/classifyInput');
+
+const url = value => ({ type: 'url', url: value });
+const search = value => ({ type: 'search', query: value });
+
+// [input, expected result]
+const CASES = [
+  // Domains
+  ['example.com', url('http://example.com/')],
+  ['Example.COM', url('http://example.com/')],
+  ['www.example.co.uk/path?q=1#top', url('http://www.example.co.uk/path?q=1#top')],
+  ['example.photography', url('http://example.photography/')],
+  ['x.bank', url('http://x.bank/')],
+  ['example.io', url('http://example.io/')],
+  ['example.com.', url('http://example.com./')],
+  ['my_host.example.com', url('http://my_host.example.com/')],
+  ['bücher.de', url('http://xn--bcher-kva.de/')],
+  ['пример.рф', url('http://xn--e1afmkfd.xn--p1ai/')],
+  ['example.xn--p1ai', url('http://example.xn--p1ai/')],
+
+  // Schemes, as typed
+  ['https://example.com/a b', url('https://example.com/a b')],
+  ['http://localhost', url('http://localhost')],
+  ['px://settings', url('px://settings')],
+  ['about:blank', url('about:blank')],
+  ['mailto:me@example.com', url('mailto:me@example.com')],
+  ['view-source:https://example.com', url('view-source:https://example.com')],
+  ['data:text/plain,hi', url('data:text/plain,hi')],
+  ['chrome-extension://abc/page.html', url('chrome-extension://abc/page.html')],
+
+  // Local network
+  ['localhost', url('http://localhost/')],
+  ['localhost:3000', url('http://localhost:3000/')],
+  ['printer.local', url('http://printer.local/')],
+  ['router/', url('http://router/')],
+  ['intranet:8080', url('http://intranet:8080/')],
+  ['wiki/Page', url('http://wiki/Page')],
+
+  // IP addresses
+  ['192.168.0.10', url('http://192.168.0.10/')],
+  ['192.168.0.10:8080/path', url('http://192.168.0.10:8080/path')],
+  ['[::1]', url('http://[::1]/')],
+  ['[::1]:8080', url('http://[::1]:8080/')],
+  ['fe80::1', url('http://[fe80::1]/')],
+  ['::1', url('http://[::1]/')],
+
+  // Paths on the disk
+  ['/tmp/a.html', url('file:///tmp/a.html')],
+  ['/tmp/a b.html', url('file:///tmp/a%20b.html')],
+  ['C:\\Users\\a.html', url('file:///C:/Users/a.html')],
+  ['\\\\server\\share', url('file://server/share')],
+
+  // Searches
+  ['word', search('word')],
+  ['node.js', search('node.js')],
+  ['file.txt', search('file.txt')],
+  ['report.pdf', search('report.pdf')],
+  ['how to code', search('how to code')],
+  ['what is example.com', search('what is example.com')],
+  ['me@example.com', search('me@example.com')],
+  ['example.com?', search('example.com?')],
+  ['1.5', search('1.5')],
+  ['256.1.1.1', search('256.1.1.1')],
+  ['example.123', search('example.123')],
+  ['-bad.com', search('-bad.com')],
+  ['localhost:99999', search('localhost:99999')],
+
+  // Forced searches
+  ['"example.com"', search('example.com')],
+  ['?example.com', search('example.com')],
+  ['? how to code ', search('how to code')]
+];
+
+test('classifyInput', async t => {
+  for (const [input, expected] of CASES) {
+    await t.test(input, () => {
+      assert.deepEqual(classifyInput(input), expected);
+    });
+  }
+});
+
+test('classifyInput trims and ignores empty input', () => {
+  assert.deepEqual(classifyInput('  example.com  '), url('http://example.com/'));
+  assert.equal(classifyInput(''), null);
+  assert.equal(classifyInput('   '), null);
+  assert.equal(classifyInput(undefined), null);
+});
+
+test('searchURL puts the encoded query in every %s', () => {
+  assert.equal(searchURL('https://s.test/?q=%s', 'a b&c'), 'https://s.test/?q=a%20b%26c');
+  assert.equal(searchURL('https://s.test/%s?q=%s', 'x'), 'https://s.test/x?q=x');
+});
+
+test('inputToURL', async t => {
+  const search = {
+    default: 'ddg',
+    engines: [
+      { id: 'google', keyword: 'g', url: 'https://google.test/search?q=%s' },
+      { id: 'ddg', keyword: 'd', url: 'https://ddg.test/?q=%s' },
+      { id: 'found', keyword: 'g', url: 'https://found.test/?q=%s', discovered: true }
+    ]
+  };
+
+  await t.test('loads urls', () => {
+    assert.equal(inputToURL('example.com', search), 'http://example.com/');
+  });
+  await t.test('searches with the default engine', () => {
+    assert.equal(inputToURL('node.js', search), 'https://ddg.test/?q=node.js');
+  });
+  await t.test('searches with a keyword engine, added engines first', () => {
+    assert.equal(inputToURL('g electron app', search), 'https://google.test/search?q=electron%20app');
+    assert.equal(inputToURL('D electron', search), 'https://ddg.test/?q=electron');
+  });
+  await t.test('keyword alone is a search for it', () => {
+    assert.equal(inputToURL('g', search), 'https://ddg.test/?q=g');
+  });
+  await t.test('falls back to the first engine', () => {
+    assert.equal(inputToURL('word', { ...search, default: 'gone' }), 'https://google.test/search?q=word');
+  });
+  await t.test('empty input and no engines', () => {
+    assert.equal(inputToURL('  ', search), '');
+    assert.equal(inputToURL('word', { engines: [] }), '');
+  });
+});
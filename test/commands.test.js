@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Commands = require('../src/prod_lib/Commands');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+// Commands with their own empty keymap file
+function commands(...list) {
+  files += 1;
+  const store = new Commands({ path: path.join(dir, `keymap${files}.json`) });
+  list.forEach(command => store.register({ run() {}, ...command }));
+  return store;
+}
+
+// [accelerator, canonical form]
+const ACCELERATORS = [
+  ['Ctrl+T', 'Ctrl+T'],
+  ['ctrl+shift+t', 'Ctrl+Shift+T'],
+  ['Shift+Control+T', 'Ctrl+Shift+T'],
+  ['Alt+CommandOrControl+Left', 'CmdOrCtrl+Alt+Left'],
+  ['cmd+option+i', 'Alt+Super+I'],
+  ['Meta+Super+K', 'Super+K'],
+  [' Ctrl + W ', 'Ctrl+W'],
+  ['Ctrl++', 'Ctrl+Plus'],
+  ['Ctrl+-', 'Ctrl+-'],
+  ['F5', 'F5'],
+  ['shift+f12', 'Shift+F12'],
+  ['Ctrl+return', 'Ctrl+Enter'],
+  ['Escape', 'Esc'],
+  ['ctrl+pagedown', 'Ctrl+PageDown'],
+  ['Ctrl+mediaplaypause', 'Ctrl+MediaPlayPause'],
+
+  // Invalid
+  ['', ''],
+  ['Ctrl+', ''],
+  ['Ctrl', ''],
+  ['Hyper+T', ''],
+  ['Ctrl+F25', ''],
+  ['Ctrl+Enterr', ''],
+  [undefined, '']
+];
+
+test('normalizeAccelerator', async t => {
+  for (const [accelerator, expected] of ACCELERATORS) {
+    await t.test(String(accelerator), () => {
+      assert.equal(Commands.normalizeAccelerator(accelerator), expected);
+    });
+  }
+});
+
+test('keys', async t => {
+  await t.test('defaults are normalized, invalid ones dropped', () => {
+    const store = commands({ id: 'tab.new', keys: ['ctrl+t', 'Ctrl+Nope'] });
+    assert.deepEqual(store.keysFor('tab.new'), ['Ctrl+T']);
+  });
+  await t.test('user keys replace the defaults until reset', () => {
+    const store = commands({ id: 'tab.new', keys: ['Ctrl+T'] });
+    store.setKeys('tab.new', ['shift+ctrl+n', 'Ctrl+Shift+N', 'bad+key']);
+    assert.deepEqual(store.keysFor('tab.new'), ['Ctrl+Shift+N']);
+    assert.deepEqual(store.list()[0], {
+      id: 'tab.new',
+      label: 'tab.new',
+      category: 'Plugins',
+      keys: ['Ctrl+Shift+N'],
+      defaultKeys: ['Ctrl+T'],
+      customized: true
+    });
+    store.setKeys('tab.new', []);
+    assert.deepEqual(store.keysFor('tab.new'), []);
+    store.resetKeys('tab.new');
+    assert.deepEqual(store.keysFor('tab.new'), ['Ctrl+T']);
+  });
+  await t.test('changes are announced', () => {
+    const store = commands();
+    let changes = 0;
+    store.on('change', () => changes++);
+    store.register({ id: 'a', run() {} });
+    store.setKeys('a', ['Ctrl+A']);
+    store.resetKeys('a');
+    store.unregister('a');
+    store.unregister('a');
+    assert.equal(changes, 4);
+  });
+});
+
+test('conflicts lists keys bound to more than one command', () => {
+  const store = commands(
+    { id: 'a', keys: ['Ctrl+A', 'Ctrl+X'] },
+    { id: 'b', keys: ['ctrl+a'] },
+    { id: 'c', keys: ['Ctrl+C'] }
+  );
+  assert.deepEqual(store.conflicts(), { 'Ctrl+A': ['a', 'b'] });
+  store.setKeys('c', ['Ctrl+X']);
+  assert.deepEqual(store.conflicts(), { 'Ctrl+A': ['a', 'b'], 'Ctrl+X': ['a', 'c'] });
+  store.setKeys('b', []);
+  assert.deepEqual(store.conflicts(), { 'Ctrl+X': ['a', 'c'] });
+});
+
+test('menuTemplate', async t => {
+  // Accelerators of each item, by command label
+  const accelerators = store =>
+    store
+      .menuTemplate()
+      .reduce((acc, menu) => [...acc, ...menu.submenu], [])
+      .reduce((acc, item) => ({ ...acc, [item.label]: [...(acc[item.label] || []), item.accelerator] }), {});
+
+  await t.test('groups commands by category, extra keys are hidden items', () => {
+    const store = commands(
+      { id: 'tab.new', label: 'New tab', category: 'Tabs', keys: ['Ctrl+T', 'Ctrl+N'] },
+      { id: 'view.zoom', label: 'Zoom in', category: 'View' },
+      { id: 'tab.close', label: 'Close tab', category: 'Tabs', keys: ['Ctrl+W'] }
+    );
+    const template = store.menuTemplate();
+    assert.deepEqual(template.map(menu => menu.label), ['Tabs', 'View']);
+    assert.deepEqual(
+      template[0].submenu.map(({ label, accelerator, visible }) => [label, accelerator, visible]),
+      [
+        ['New tab', 'Ctrl+T', true],
+        ['New tab', 'Ctrl+N', false],
+        ['Close tab', 'Ctrl+W', true]
+      ]
+    );
+    assert.deepEqual(template[1].submenu.map(({ label, accelerator }) => [label, accelerator]), [['Zoom in', undefined]]);
+  });
+  await t.test('the first registered command keeps a conflicting default key', () => {
+    const store = commands({ id: 'a', label: 'A', keys: ['Ctrl+K'] }, { id: 'b', label: 'B', keys: ['Ctrl+K', 'Ctrl+B'] });
+    assert.deepEqual(accelerators(store), { A: ['Ctrl+K'], B: ['Ctrl+B'] });
+  });
+  await t.test('keys the user bound win over default ones', () => {
+    const store = commands({ id: 'a', label: 'A', keys: ['Ctrl+K'] }, { id: 'b', label: 'B', keys: ['Ctrl+B'] });
+    store.setKeys('b', ['Ctrl+K']);
+    assert.deepEqual(accelerators(store), { A: [undefined], B: ['Ctrl+K'] });
+  });
+  await t.test('items run their command', () => {
+    const ran = [];
+    const store = commands({ id: 'a', label: 'A', keys: ['Ctrl+K'], run: () => ran.push('a') });
+    store.menuTemplate()[0].submenu[0].click();
+    assert.deepEqual(ran, ['a']);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NetErrors = require('../src/prod_lib/NetErrors');
+
+// [net error code, error type]
+const TYPES = [
+  [-106, 'offline'],
+  [-105, 'dns'],
+  [-102, 'refused'],
+  [-7, 'timeout'],
+  [-101, 'reset'],
+  [-109, 'unreachable'],
+  [-130, 'proxy'],
+  [-107, 'ssl'],
+  [-202, 'ssl'],
+  [-310, 'redirects'],
+  [-20, 'blocked'],
+  [-6, 'file'],
+  [-300, 'invalid'],
+  [-2, 'generic'],
+  [-999, 'generic']
+];
+
+test('errorType', async t => {
+  for (const [code, type] of TYPES) {
+    await t.test(String(code), () => {
+      assert.equal(NetErrors.errorType(code), type);
+    });
+  }
+});
+
+test('isCertError', () => {
+  assert.equal(NetErrors.isCertError(-200), true);
+  assert.equal(NetErrors.isCertError(-202), true);
+  assert.equal(NetErrors.isCertError(-299), true);
+  assert.equal(NetErrors.isCertError(-300), false);
+  assert.equal(NetErrors.isCertError(-107), false);
+});
+
+test('showsErrorPage', () => {
+  assert.equal(NetErrors.showsErrorPage(-105, true), true);
+  assert.equal(NetErrors.showsErrorPage(-105, false), false);
+  assert.equal(NetErrors.showsErrorPage(NetErrors.ABORTED, true), false);
+});
+
+test('errorPageURL', async t => {
+  const params = url => Object.fromEntries(new URL(url).searchParams);
+
+  await t.test('network errors the connection may fix are retried', () => {
+    const url = NetErrors.errorPageURL({ url: 'https://a.test/?q=1&r=2', code: -105, description: 'ERR_NAME_NOT_RESOLVED' });
+    assert.ok(url.startsWith('px://error?'));
+    assert.deepEqual(params(url), {
+      url: 'https://a.test/?q=1&r=2',
+      code: '-105',
+      name: 'ERR_NAME_NOT_RESOLVED',
+      type: 'dns',
+      retry: '1'
+    });
+  });
+  await t.test('others aren\'t', () => {
+    const url = NetErrors.errorPageURL({ url: 'https://a.test/', code: -102 });
+    assert.deepEqual(params(url), { url: 'https://a.test/', code: '-102', name: '', type: 'refused' });
+  });
+  await t.test('certificate errors get their warning page', () => {
+    const url = NetErrors.errorPageURL({ url: 'https://a.test/', code: -202, description: 'ERR_CERT_AUTHORITY_INVALID' });
+    assert.ok(url.startsWith('px://cert-error?'));
+    assert.equal(params(url).retry, undefined);
+  });
+});
+
+test('isErrorPageURL', () => {
+  assert.equal(NetErrors.isErrorPageURL('px://error?url=x'), true);
+  assert.equal(NetErrors.isErrorPageURL('px://error/'), true);
+  assert.equal(NetErrors.isErrorPageURL('px://cert-error?url=x'), true);
+  assert.equal(NetErrors.isErrorPageURL('px://errors'), false);
+  assert.equal(NetErrors.isErrorPageURL('https://error.test/'), false);
+  assert.equal(NetErrors.isErrorPageURL(''), false);
+});
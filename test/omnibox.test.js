@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Omnibox = require('../src/prod_lib/Omnibox');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 31);
+
+// Provider answering with fixed suggestions
+const fixed = (name, items) => ({ name, suggest: () => items });
+
+test('frecency', async t => {
+  await t.test('no visits', () => {
+    assert.equal(Omnibox.frecency([], NOW), 0);
+  });
+  await t.test('recent visits weigh more', () => {
+    assert.equal(Omnibox.frecency([NOW - DAY], NOW), 100);
+    assert.equal(Omnibox.frecency([NOW - 10 * DAY], NOW), 70);
+    assert.equal(Omnibox.frecency([NOW - 200 * DAY], NOW), 10);
+    assert.equal(Omnibox.frecency([NOW - DAY, NOW - 10 * DAY], NOW), 170);
+  });
+  await t.test('visits beyond the samples count at their average', () => {
+    const visits = Array.from({ length: 12 }, (v, i) => NOW - i * 60 * 1000);
+    assert.equal(Omnibox.frecency(visits, NOW), 1200);
+  });
+});
+
+test('matchPage', async t => {
+  const page = { url: 'https://www.example.com/docs/', title: 'Example Docs' };
+
+  await t.test('completes a url prefix inline', () => {
+    assert.deepEqual(Omnibox.matchPage('exa', page), { prefix: true, completion: 'mple.com/docs' });
+    assert.deepEqual(Omnibox.matchPage('https://www.example.com/d', page), { prefix: true, completion: 'ocs' });
+  });
+  await t.test('matches every word anywhere in url or title', () => {
+    assert.deepEqual(Omnibox.matchPage('docs EXAMPLE', page), { prefix: false, completion: '' });
+    assert.deepEqual(Omnibox.matchPage('com', page), { prefix: false, completion: '' });
+  });
+  await t.test('misses when a word is missing', () => {
+    assert.equal(Omnibox.matchPage('example blog', page), null);
+    assert.equal(Omnibox.matchPage('   ', page), null);
+  });
+});
+
+test('historyProvider ranks by match and frecency', () => {
+  const now = Date.now();
+  const history = {
+    data: {
+      [now - DAY]: { url: 'https://often.test/', title: 'Often' },
+      [now - 2 * DAY]: { url: 'https://often.test/', title: 'Often' },
+      [now - 100 * DAY]: { url: 'https://rare.test/', title: 'Rare often' },
+      [now - 3 * DAY]: { url: 'https://other.test/', title: 'Other' }
+    }
+  };
+  const items = Omnibox.historyProvider(history).suggest('often');
+  assert.deepEqual(
+    items.map(({ url, relevance, completion }) => ({ url, relevance, completion })),
+    [
+      { url: 'https://often.test/', relevance: 1220, completion: '.test' },
+      { url: 'https://rare.test/', relevance: 901, completion: '' }
+    ]
+  );
+});
+
+test('tabsProvider leaves out the asking tab', () => {
+  const tabs = [
+    { id: 1, url: 'https://a.test/', title: 'A' },
+    { id: 2, url: 'https://a.test/two', title: 'A two' },
+    { id: 3, url: '', title: 'a blank tab' }
+  ];
+  const items = Omnibox.tabsProvider(() => tabs).suggest('a', { tabId: 1 });
+  assert.deepEqual(items.map(item => item.tabId), [2]);
+  assert.equal(items[0].type, 'tab');
+});
+
+test('searchSuggestProvider', async t => {
+  const engine = { url: 'https://s.test/?q=%s', suggestUrl: 'https://s.test/suggest?q=%s' };
+
+  await t.test('asks the engine with a stub fetch', async () => {
+    const asked = [];
+    const provider = Omnibox.searchSuggestProvider({
+      engine: () => engine,
+      fetch: url => {
+        asked.push(url);
+        return Promise.resolve(['a b', ['a b c', '', 42, 'a bd', 'a b3', 'a b4', 'a b5']]);
+      }
+    });
+    const items = await provider.suggest('a b');
+    assert.deepEqual(asked, ['https://s.test/suggest?q=a%20b']);
+    assert.deepEqual(
+      items.map(({ title, url, relevance }) => ({ title, url, relevance })),
+      [
+        { title: 'a b c', url: 'https://s.test/?q=a%20b%20c', relevance: 600 },
+        { title: 'a bd', url: 'https://s.test/?q=a%20bd', relevance: 599 },
+        { title: 'a b3', url: 'https://s.test/?q=a%20b3', relevance: 598 },
+        { title: 'a b4', url: 'https://s.test/?q=a%20b4', relevance: 597 }
+      ]
+    );
+  });
+  await t.test('ignores answers that aren\'t OpenSearch suggestions', async () => {
+    const provider = Omnibox.searchSuggestProvider({ engine: () => engine, fetch: () => Promise.resolve({ error: 1 }) });
+    assert.deepEqual(await provider.suggest('a'), []);
+  });
+  await t.test('off without an engine or its suggestion url', () => {
+    const fetch = () => assert.fail('fetched');
+    assert.deepEqual(Omnibox.searchSuggestProvider({ engine: () => null, fetch }).suggest('a'), []);
+    assert.deepEqual(Omnibox.searchSuggestProvider({ engine: () => ({ url: engine.url }), fetch }).suggest('a'), []);
+  });
+});
+
+test('Omnibox.suggest', async t => {
+  await t.test('sorts by relevance and keeps each page once', async () => {
+    const omnibox = new Omnibox({
+      providers: [
+        fixed('history', [
+          { type: 'history', url: 'https://a.test/', relevance: 1200 },
+          { type: 'history', url: 'https://b.test/', relevance: 900 }
+        ]),
+        fixed('bookmarks', [{ type: 'bookmark', url: 'https://a.test/', relevance: 1500 }]),
+        fixed('tabs', [
+          { type: 'tab', url: 'https://a.test/', tabId: 4, relevance: 1150 },
+          { type: 'tab', url: 'https://a.test/', tabId: 5, relevance: 950 }
+        ])
+      ]
+    });
+    const items = await omnibox.suggest('a');
+    assert.deepEqual(
+      items.map(({ type, url, tabId }) => [type, url, tabId]),
+      [
+        ['bookmark', 'https://a.test/', undefined],
+        ['tab', 'https://a.test/', 4],
+        ['tab', 'https://a.test/', 5],
+        ['history', 'https://b.test/', undefined]
+      ]
+    );
+  });
+  await t.test('returns at most its limit', async () => {
+    const many = Array.from({ length: 20 }, (v, i) => ({ type: 'history', url: `https://${i}.test/`, relevance: i }));
+    assert.equal((await new Omnibox({ providers: [fixed('history', many)] }).suggest('a')).length, 8);
+    assert.equal((await new Omnibox({ providers: [fixed('history', many)], limit: 3 }).suggest('a')).length, 3);
+  });
+  await t.test('a failing provider only loses its own suggestions', async () => {
+    const omnibox = new Omnibox({
+      providers: [
+        { name: 'throws', suggest: () => { throw new Error('broken'); } },
+        { name: 'rejects', suggest: () => Promise.reject(new Error('offline')) },
+        fixed('history', [{ type: 'history', url: 'https://a.test/', relevance: 900 }])
+      ]
+    });
+    assert.deepEqual((await omnibox.suggest('a')).map(item => item.url), ['https://a.test/']);
+  });
+  await t.test('passes the context to providers', async () => {
+    let context;
+    const omnibox = new Omnibox({ providers: [{ name: 'tabs', suggest: (text, c) => ((context = c), []) }] });
+    await omnibox.suggest('a', { tabId: 7 });
+    assert.deepEqual(context, { tabId: 7 });
+  });
+  await t.test('nothing for empty text', async () => {
+    const omnibox = new Omnibox({ providers: [{ name: 'history', suggest: () => assert.fail('asked') }] });
+    assert.deepEqual(await omnibox.suggest('  '), []);
+  });
+});
+
+test('Omnibox providers', async t => {
+  await t.test('one with the same name is replaced, invalid ones are ignored', () => {
+    const omnibox = new Omnibox({ providers: [fixed('history', []), fixed('tabs', [])] });
+    const history = fixed('history', []);
+    omnibox.addProvider(history);
+    omnibox.addProvider({ name: 'broken' });
+    assert.deepEqual(omnibox.providers.map(v => v.name), ['tabs', 'history']);
+    assert.equal(omnibox.providers[1], history);
+    omnibox.removeProvider('tabs');
+    assert.deepEqual(omnibox.providers.map(v => v.name), ['history']);
+  });
+  await t.test('remove reaches only deletable suggestions of their provider', () => {
+    const removed = [];
+    const omnibox = new Omnibox({ providers: [{ name: 'history', suggest: () => [], remove: item => removed.push(item.url) }] });
+    omnibox.remove({ provider: 'history', url: 'https://a.test/', deletable: true });
+    omnibox.remove({ provider: 'history', url: 'https://b.test/' });
+    omnibox.remove({ provider: 'tabs', url: 'https://c.test/', deletable: true });
+    assert.deepEqual(removed, ['https://a.test/']);
+  });
+});
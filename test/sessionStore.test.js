@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../src/prod_lib/SessionStore');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+// Path of a session file no run used yet
+const newPath = () => path.join(dir, `session${++files}.json`);
+
+const tab = (url, extra = {}) => ({ url, title: url, entries: [url], entryIndex: 0, ...extra });
+
+test('save and load', async t => {
+  await t.test('nothing saved', () => {
+    assert.equal(new SessionStore({ path: newPath() }).load(), undefined);
+  });
+  await t.test('windows come back in opening order', () => {
+    const file = newPath();
+    const store = new SessionStore({ path: file });
+    const main = { tabs: [tab('https://a.test/'), tab('https://b.test/', { container: 'work' })], active: 1 };
+    const other = { tabs: [tab('https://c.test/')], active: 0, groups: [{ name: 'G', tabs: [0] }] };
+    store.save(main);
+    store.save(other, 2);
+    store.flush();
+    assert.deepEqual(new SessionStore({ path: file }).load(), [main, other]);
+  });
+  await t.test('saves are batched until flushed', () => {
+    const file = newPath();
+    const store = new SessionStore({ path: file });
+    store.save({ tabs: [tab('https://a.test/')], active: 0 });
+    assert.equal(new SessionStore({ path: file }).load(), undefined);
+    store.flush();
+    assert.equal(new SessionStore({ path: file }).load().length, 1);
+  });
+  await t.test('closed windows and empty sessions are left out', () => {
+    const file = newPath();
+    const store = new SessionStore({ path: file });
+    store.save({ tabs: [tab('https://a.test/')], active: 0 });
+    store.save({ tabs: [tab('https://b.test/')], active: 0 }, 2);
+    store.save({ tabs: [], active: 0 }, 3);
+    store.remove(2);
+    store.flush();
+    assert.deepEqual(new SessionStore({ path: file }).load(), [{ tabs: [tab('https://a.test/')], active: 0 }]);
+  });
+  await t.test('a session saved before multi-window support is one window', () => {
+    const file = newPath();
+    const legacy = { tabs: [tab('https://a.test/')], active: 0 };
+    fs.writeFileSync(file, JSON.stringify({ session: legacy }));
+    assert.deepEqual(new SessionStore({ path: file }).load(), [legacy]);
+  });
+  await t.test('clear drops the saved session and pending saves', () => {
+    const file = newPath();
+    const store = new SessionStore({ path: file });
+    store.save({ tabs: [tab('https://a.test/')], active: 0 });
+    store.flush();
+    store.save({ tabs: [tab('https://b.test/')], active: 0 });
+    store.clear();
+    store.flush();
+    assert.equal(new SessionStore({ path: file }).load(), undefined);
+  });
+});
+
+test('crash detection', async t => {
+  await t.test('a first run didn\'t crash', () => {
+    assert.equal(new SessionStore({ path: newPath() }).crashed, false);
+  });
+  await t.test('a run that didn\'t exit cleanly crashed', () => {
+    const file = newPath();
+    new SessionStore({ path: file });
+    assert.equal(new SessionStore({ path: file }).crashed, true);
+  });
+  await t.test('a clean exit isn\'t a crash, the next run starts unclean again', () => {
+    const file = newPath();
+    const store = new SessionStore({ path: file });
+    store.save({ tabs: [tab('https://a.test/')], active: 0 });
+    store.markCleanExit();
+    const next = new SessionStore({ path: file });
+    assert.equal(next.crashed, false);
+    assert.equal(next.load().length, 1);
+    assert.equal(new SessionStore({ path: file }).crashed, true);
+  });
+});
+
+test('recordNavigation', async t => {
+  const state = { entries: ['a', 'b', 'c'], entryIndex: 1 };
+
+  await t.test('a new page drops the forward entries', () => {
+    assert.deepEqual(SessionStore.recordNavigation(state, 'd'), { entries: ['a', 'b', 'd'], entryIndex: 2 });
+  });
+  await t.test('a reload keeps the entries', () => {
+    assert.deepEqual(SessionStore.recordNavigation(state, 'b'), state);
+  });
+  await t.test('back and forward move through the entries', () => {
+    assert.deepEqual(SessionStore.recordNavigation(state, 'a', -1), { entries: ['a', 'b', 'c'], entryIndex: 0 });
+    assert.deepEqual(SessionStore.recordNavigation(state, 'c2', 1), { entries: ['a', 'b', 'c2'], entryIndex: 2 });
+  });
+  await t.test('offset 0 replaces the active entry, a restored page may redirect', () => {
+    assert.deepEqual(SessionStore.recordNavigation(state, 'b2', 0), { entries: ['a', 'b2', 'c'], entryIndex: 1 });
+  });
+  await t.test('an offset without an entry is a new page', () => {
+    assert.deepEqual(SessionStore.recordNavigation(state, 'x', 5), { entries: ['a', 'b', 'x'], entryIndex: 2 });
+  });
+  await t.test('a new tab starts its entries', () => {
+    assert.deepEqual(SessionStore.recordNavigation({}, 'a'), { entries: ['a'], entryIndex: 0 });
+  });
+  await t.test('keeps the most recent entries', () => {
+    const entries = Array.from({ length: SessionStore.MAX_ENTRIES }, (v, i) => `p${i}`);
+    const next = SessionStore.recordNavigation({ entries, entryIndex: entries.length - 1 }, 'last');
+    assert.equal(next.entries.length, SessionStore.MAX_ENTRIES);
+    assert.equal(next.entries[0], 'p1');
+    assert.equal(next.entryIndex, SessionStore.MAX_ENTRIES - 1);
+    assert.equal(next.entries[next.entryIndex], 'last');
+  });
+});
+
+test('entryAt', () => {
+  const state = { entries: ['a', 'b', 'c'], entryIndex: 1 };
+  assert.equal(SessionStore.entryAt(state, -1), 'a');
+  assert.equal(SessionStore.entryAt(state, 1), 'c');
+  assert.equal(SessionStore.entryAt(state, 2), undefined);
+  assert.equal(SessionStore.entryAt({ entries: ['a', 'b'] }, -1), 'a');
+  assert.equal(SessionStore.entryAt({}, -1), undefined);
+});
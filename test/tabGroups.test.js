@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TabGroups = require('../src/prod_lib/TabGroups');
+
+// Tab ids of each group
+const members = groups => groups.map(group => group.tabs);
+
+test('createGroup', () => {
+  const first = TabGroups.createGroup([1, 2]);
+  const second = TabGroups.createGroup([3], { name: 'Work', color: 'red', collapsed: true, id: 0, tabs: [9] });
+  assert.equal(second.id, first.id + 1);
+  assert.deepEqual(first.tabs, [1, 2]);
+  assert.equal(first.collapsed, false);
+  assert.ok(TabGroups.COLORS.includes(first.color));
+  assert.notEqual(first.color, TabGroups.createGroup([4]).color);
+  assert.deepEqual({ ...second, id: 0 }, { name: 'Work', color: 'red', collapsed: true, id: 0, tabs: [3] });
+});
+
+test('groupOf and isCollapsed', () => {
+  const open = TabGroups.createGroup([1, 2]);
+  const collapsed = TabGroups.createGroup([3], { collapsed: true });
+  const groups = [open, collapsed];
+  assert.equal(TabGroups.groupOf(groups, 2), open);
+  assert.equal(TabGroups.groupOf(groups, 4), undefined);
+  assert.equal(TabGroups.isCollapsed(groups, 1), false);
+  assert.equal(TabGroups.isCollapsed(groups, 3), true);
+  assert.equal(TabGroups.isCollapsed(groups, 4), false);
+});
+
+test('removeTab', async t => {
+  await t.test('takes the tab out of its group only', () => {
+    const groups = [TabGroups.createGroup([1, 2]), TabGroups.createGroup([3, 4])];
+    assert.deepEqual(members(TabGroups.removeTab(groups, 2)), [[1], [3, 4]]);
+    assert.deepEqual(members(groups), [[1, 2], [3, 4]]);
+  });
+  await t.test('drops groups left empty', () => {
+    const groups = [TabGroups.createGroup([1]), TabGroups.createGroup([3, 4])];
+    assert.deepEqual(members(TabGroups.removeTab(groups, 1)), [[3, 4]]);
+  });
+  await t.test('ignores tabs in no group', () => {
+    const groups = [TabGroups.createGroup([1])];
+    assert.deepEqual(members(TabGroups.removeTab(groups, 5)), [[1]]);
+  });
+});
+
+test('addTab', async t => {
+  const groups = () => [TabGroups.createGroup([1, 2]), TabGroups.createGroup([3, 4])];
+
+  await t.test('appends by default', () => {
+    const before = groups();
+    assert.deepEqual(members(TabGroups.addTab(before, before[0].id, 5)), [[1, 2, 5], [3, 4]]);
+  });
+  await t.test('places the tab after a member', () => {
+    const before = groups();
+    assert.deepEqual(members(TabGroups.addTab(before, before[1].id, 5, 3)), [[1, 2], [3, 5, 4]]);
+  });
+  await t.test('moves a tab out of its old group', () => {
+    const before = groups();
+    assert.deepEqual(members(TabGroups.addTab(before, before[1].id, 2)), [[1], [3, 4, 2]]);
+  });
+  await t.test('a group emptied by the move is dropped', () => {
+    const before = [TabGroups.createGroup([1]), TabGroups.createGroup([3])];
+    const after = TabGroups.addTab(before, before[1].id, 1);
+    assert.deepEqual(members(after), [[3, 1]]);
+    assert.equal(after[0].id, before[1].id);
+  });
+});
+
+test('sortByTabs keeps members in strip order', () => {
+  const groups = [TabGroups.createGroup([1, 2, 3]), TabGroups.createGroup([5, 4])];
+  assert.deepEqual(members(TabGroups.sortByTabs(groups, [3, 4, 1, 5, 2])), [[3, 1, 2], [4, 5]]);
+});
+
+test('arrangeTabs', async t => {
+  await t.test('a group block takes the place of its first member', () => {
+    const groups = [TabGroups.createGroup([2, 5])];
+    assert.deepEqual(TabGroups.arrangeTabs([1, 2, 3, 4, 5], groups), [1, 2, 5, 3, 4]);
+  });
+  await t.test('members keep their group order', () => {
+    const groups = [TabGroups.createGroup([5, 2]), TabGroups.createGroup([4, 1])];
+    assert.deepEqual(TabGroups.arrangeTabs([1, 2, 3, 4, 5], groups), [4, 1, 5, 2, 3]);
+  });
+  await t.test('members that aren\'t in the strip are left out', () => {
+    const groups = [TabGroups.createGroup([2, 9])];
+    assert.deepEqual(TabGroups.arrangeTabs([1, 2, 3], groups), [1, 2, 3]);
+  });
+});
+
+test('moving a tab keeps groups together', () => {
+  // What moveTab does when a tab is dropped between two members of another group
+  const groups = [TabGroups.createGroup([1, 2]), TabGroups.createGroup([3, 4])];
+  const tabs = [2, 3, 1, 4];
+  const joined = TabGroups.sortByTabs(TabGroups.addTab(groups, groups[1].id, 1), tabs);
+  assert.deepEqual(members(joined), [[2], [3, 1, 4]]);
+  assert.deepEqual(TabGroups.arrangeTabs(tabs, joined), tabs);
+});